@@ -0,0 +1,137 @@
+/**
+ * Album Art Store
+ * Captures the cover of each track, stores it content-addressed on disk
+ * and serves resized variants generated with sharp
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_ART_DIR = path.join(__dirname, 'data', 'art');
+const REQUEST_TIMEOUT = 10000;
+const MAX_COVER_BYTES = 10 * 1024 * 1024;
+
+// Allowed variants - keep this list small, every combination is cached on disk
+const ART_SIZES = [96, 300, 540];
+const ART_FORMATS = ['webp', 'avif', 'jpeg'];
+
+const FORMAT_OPTIONS = {
+  webp: { quality: 85 },
+  avif: { quality: 60 },
+  jpeg: { quality: 85, mozjpeg: true }
+};
+
+const CONTENT_TYPES = {
+  webp: 'image/webp',
+  avif: 'image/avif',
+  jpeg: 'image/jpeg'
+};
+
+const HASH_PATTERN = /^[0-9a-f]{64}$/;
+
+/**
+ * Create an art store rooted at `dir`
+ */
+function createArtStore({
+  dir = DEFAULT_ART_DIR,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  const originalsDir = path.join(dir, 'originals');
+  const variantsDir = path.join(dir, 'variants');
+  const pendingVariants = new Map();
+
+  function ensureDirs() {
+    fs.mkdirSync(originalsDir, { recursive: true });
+    fs.mkdirSync(variantsDir, { recursive: true });
+  }
+
+  function originalPath(hash) {
+    if (!HASH_PATTERN.test(hash)) throw new Error('Invalid art hash');
+    return path.join(originalsDir, hash);
+  }
+
+  function variantPath(hash, size, format) {
+    if (!HASH_PATTERN.test(hash)) throw new Error('Invalid art hash');
+    return path.join(variantsDir, `${hash}-${size}.${format}`);
+  }
+
+  // Write via a temp file so readers never see a partial image
+  async function writeAtomic(filePath, data) {
+    const tempPath = `${filePath}.${process.pid}.${Date.now()}.tmp`;
+    await fs.promises.writeFile(tempPath, data);
+    await fs.promises.rename(tempPath, filePath);
+  }
+
+  /**
+   * Download a cover image and store it, returns its sha256 hash
+   */
+  async function capture(coverUrl) {
+    const response = await fetchImpl(coverUrl, {
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+    });
+
+    if (!response.ok) {
+      throw new Error(`Cover request failed with status ${response.status}`);
+    }
+
+    const image = Buffer.from(await response.arrayBuffer());
+    if (image.length === 0 || image.length > MAX_COVER_BYTES) {
+      throw new Error(`Cover image has unexpected size (${image.length} bytes)`);
+    }
+
+    const hash = crypto.createHash('sha256').update(image).digest('hex');
+    const filePath = originalPath(hash);
+
+    ensureDirs();
+    if (!fs.existsSync(filePath)) {
+      await writeAtomic(filePath, image);
+    }
+
+    return hash;
+  }
+
+  /**
+   * Path to a resized variant, generated on first request
+   * Concurrent requests for the same variant share one sharp pipeline
+   */
+  function getVariant(hash, size, format) {
+    const filePath = variantPath(hash, size, format);
+    if (fs.existsSync(filePath)) {
+      return Promise.resolve(filePath);
+    }
+
+    if (!pendingVariants.has(filePath)) {
+      // Loaded lazily so the API starts even where sharp is unavailable
+      const sharp = require('sharp');
+
+      const pending = sharp(originalPath(hash))
+        .resize(size, size, { fit: 'cover' })
+        .toFormat(format, FORMAT_OPTIONS[format])
+        .toBuffer()
+        .then(async (data) => {
+          ensureDirs();
+          await writeAtomic(filePath, data);
+          return filePath;
+        })
+        .finally(() => pendingVariants.delete(filePath));
+
+      pendingVariants.set(filePath, pending);
+    }
+
+    return pendingVariants.get(filePath);
+  }
+
+  function hasOriginal(hash) {
+    return HASH_PATTERN.test(hash) && fs.existsSync(originalPath(hash));
+  }
+
+  return { capture, getVariant, hasOriginal };
+}
+
+module.exports = {
+  createArtStore,
+  ART_SIZES,
+  ART_FORMATS,
+  CONTENT_TYPES
+};
@@ -8,6 +8,19 @@ const DATABASE_TYPE = process.env.DATABASE_TYPE || 'sqlite';
 let db;
 let dbType;
 
+/**
+ * PostgreSQL connection settings from environment
+ */
+function getPostgresConfig() {
+  return {
+    host: process.env.POSTGRES_HOST || 'localhost',
+    port: process.env.POSTGRES_PORT || 5432,
+    database: process.env.POSTGRES_DB || 'radio',
+    user: process.env.POSTGRES_USER || 'radio',
+    password: process.env.POSTGRES_PASSWORD,
+  };
+}
+
 /**
  * Initialize database connection based on environment
  */
@@ -21,11 +34,7 @@ async function initializeDatabase() {
     }
 
     db = new Pool({
-      host: process.env.POSTGRES_HOST || 'localhost',
-      port: process.env.POSTGRES_PORT || 5432,
-      database: process.env.POSTGRES_DB || 'radio',
-      user: process.env.POSTGRES_USER || 'radio',
-      password: process.env.POSTGRES_PASSWORD,
+      ...getPostgresConfig(),
       max: 20,
       idleTimeoutMillis: 30000,
       connectionTimeoutMillis: 2000,
@@ -46,6 +55,7 @@ async function initializeDatabase() {
 
     await createPostgresSchema();
     await migratePostgresSchema();
+    await migrateSongCatalog();
   } else {
     const Database = require('better-sqlite3');
     const DB_PATH = process.env.DB_PATH || 'radio.db';
@@ -56,6 +66,7 @@ async function initializeDatabase() {
 
     createSqliteSchema();
     migrateSqliteSchema();
+    await migrateSongCatalog();
   }
 
   return db;
@@ -80,6 +91,8 @@ function createSqliteSchema() {
       started_at DATETIME DEFAULT CURRENT_TIMESTAMP,
       ended_at DATETIME,
       duration INTEGER,
+      station_id TEXT NOT NULL DEFAULT 'main',
+      last_heartbeat DATETIME,
       FOREIGN KEY (listener_id) REFERENCES listeners(id)
     );
 
@@ -90,6 +103,7 @@ function createSqliteSchema() {
       artist TEXT,
       message TEXT,
       status TEXT DEFAULT 'pending',
+      station_id TEXT NOT NULL DEFAULT 'main',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -109,8 +123,82 @@ function createSqliteSchema() {
       ip_address TEXT,
       user_fingerprint TEXT,
       rating INTEGER NOT NULL,
+      station_id TEXT NOT NULL DEFAULT 'main',
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE TABLE IF NOT EXISTS play_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      artist TEXT,
+      title TEXT,
+      album TEXT,
+      year INTEGER,
+      bit_depth INTEGER,
+      sample_rate INTEGER,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME,
+      song_id TEXT,
+      station_id TEXT NOT NULL DEFAULT 'main',
+      event_id TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_play_history_started ON play_history(started_at);
+
+    CREATE TABLE IF NOT EXISTS songs (
+      id TEXT PRIMARY KEY,
+      artist TEXT NOT NULL,
+      title TEXT NOT NULL,
+      album TEXT,
+      year INTEGER,
+      normalized_artist TEXT NOT NULL,
+      normalized_title TEXT NOT NULL,
+      legacy_id TEXT,
+      art_hash TEXT,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (normalized_artist, normalized_title)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_songs_legacy_id ON songs(legacy_id);
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      created_at DATETIME NOT NULL,
+      updated_at DATETIME NOT NULL,
+      next_attempt_at DATETIME,
+      dedupe_key TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS stations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      stream_url TEXT NOT NULL,
+      metadata_source TEXT NOT NULL,
+      metadata_url TEXT,
+      metadata_mount TEXT,
+      metadata_file TEXT,
+      cover_url TEXT,
+      branding TEXT,
+      position INTEGER DEFAULT 0,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP,
+      updated_at DATETIME
+    );
   `);
 }
 
@@ -133,6 +221,8 @@ async function createPostgresSchema() {
       started_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
       ended_at TIMESTAMP,
       duration INTEGER,
+      station_id TEXT NOT NULL DEFAULT 'main',
+      last_heartbeat TIMESTAMP,
       FOREIGN KEY (listener_id) REFERENCES listeners(id)
     );
 
@@ -143,6 +233,7 @@ async function createPostgresSchema() {
       artist TEXT,
       message TEXT,
       status TEXT DEFAULT 'pending',
+      station_id TEXT NOT NULL DEFAULT 'main',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
 
@@ -162,8 +253,82 @@ async function createPostgresSchema() {
       ip_address TEXT,
       user_fingerprint TEXT,
       rating INTEGER NOT NULL,
+      station_id TEXT NOT NULL DEFAULT 'main',
       created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
     );
+    CREATE TABLE IF NOT EXISTS play_history (
+      id SERIAL PRIMARY KEY,
+      artist TEXT,
+      title TEXT,
+      album TEXT,
+      year INTEGER,
+      bit_depth INTEGER,
+      sample_rate INTEGER,
+      started_at TIMESTAMP NOT NULL,
+      ended_at TIMESTAMP,
+      song_id TEXT,
+      station_id TEXT NOT NULL DEFAULT 'main',
+      event_id TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_play_history_started ON play_history(started_at);
+
+    CREATE TABLE IF NOT EXISTS songs (
+      id TEXT PRIMARY KEY,
+      artist TEXT NOT NULL,
+      title TEXT NOT NULL,
+      album TEXT,
+      year INTEGER,
+      normalized_artist TEXT NOT NULL,
+      normalized_title TEXT NOT NULL,
+      legacy_id TEXT,
+      art_hash TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (normalized_artist, normalized_title)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_songs_legacy_id ON songs(legacy_id);
+
+    CREATE TABLE IF NOT EXISTS webhooks (
+      id SERIAL PRIMARY KEY,
+      url TEXT NOT NULL,
+      secret TEXT NOT NULL,
+      events TEXT NOT NULL,
+      description TEXT,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+      id TEXT PRIMARY KEY,
+      webhook_id INTEGER NOT NULL,
+      event TEXT NOT NULL,
+      payload TEXT NOT NULL,
+      status TEXT DEFAULT 'pending',
+      attempts INTEGER DEFAULT 0,
+      response_status INTEGER,
+      error TEXT,
+      created_at TIMESTAMP NOT NULL,
+      updated_at TIMESTAMP NOT NULL,
+      next_attempt_at TIMESTAMP,
+      dedupe_key TEXT
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook ON webhook_deliveries(webhook_id, created_at);
+
+    CREATE TABLE IF NOT EXISTS stations (
+      id TEXT PRIMARY KEY,
+      name TEXT NOT NULL,
+      stream_url TEXT NOT NULL,
+      metadata_source TEXT NOT NULL,
+      metadata_url TEXT,
+      metadata_mount TEXT,
+      metadata_file TEXT,
+      cover_url TEXT,
+      branding TEXT,
+      position INTEGER DEFAULT 0,
+      created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP
+    );
   `);
 }
 
@@ -191,6 +356,7 @@ function migrateSqliteSchema() {
           ip_address TEXT,
           user_fingerprint TEXT,
           rating INTEGER NOT NULL,
+          station_id TEXT NOT NULL DEFAULT 'main',
           created_at DATETIME DEFAULT CURRENT_TIMESTAMP
         );
       `);
@@ -230,8 +396,53 @@ function migrateSqliteSchema() {
       }
     }
 
+    // Rows from before multi-station support belong to the default station
+    for (const table of ['song_ratings', 'play_history', 'song_requests', 'listening_sessions']) {
+      const tableColumns = db.prepare(`PRAGMA table_info(${table})`).all().map(col => col.name);
+      if (!tableColumns.includes('station_id')) {
+        console.log(`📦 Adding ${table}.station_id column...`);
+        db.exec(`ALTER TABLE ${table} ADD COLUMN station_id TEXT NOT NULL DEFAULT 'main'`);
+      }
+    }
+
+    // One vote per listener, song and station
     db.exec('CREATE INDEX IF NOT EXISTS idx_song_ip ON song_ratings(song_id, ip_address)');
-    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_song_fingerprint ON song_ratings(song_id, user_fingerprint)');
+    db.exec('DROP INDEX IF EXISTS idx_song_fingerprint');
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_station_song_fingerprint ON song_ratings(station_id, song_id, user_fingerprint)');
+
+    const historyColumns = db.prepare("PRAGMA table_info(play_history)").all().map(col => col.name);
+    if (!historyColumns.includes('song_id')) {
+      console.log('📦 Adding play_history.song_id column...');
+      db.exec('ALTER TABLE play_history ADD COLUMN song_id TEXT');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_play_history_station ON play_history(station_id, started_at)');
+    if (!historyColumns.includes('event_id')) {
+      console.log('📦 Adding play_history.event_id column...');
+      db.exec('ALTER TABLE play_history ADD COLUMN event_id TEXT');
+    }
+    // Every server process records the same transition; only one open entry per track
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_play_history_open_event ON play_history(station_id, event_id) WHERE ended_at IS NULL');
+
+    const sessionColumns = db.prepare("PRAGMA table_info(listening_sessions)").all().map(col => col.name);
+    if (!sessionColumns.includes('last_heartbeat')) {
+      console.log('📦 Adding listening_sessions.last_heartbeat column...');
+      db.exec('ALTER TABLE listening_sessions ADD COLUMN last_heartbeat DATETIME');
+    }
+    db.exec('CREATE INDEX IF NOT EXISTS idx_listening_sessions_open ON listening_sessions(ended_at, last_heartbeat)');
+
+    const deliveryColumns = db.prepare("PRAGMA table_info(webhook_deliveries)").all().map(col => col.name);
+    if (!deliveryColumns.includes('dedupe_key')) {
+      console.log('📦 Adding webhook_deliveries.dedupe_key column...');
+      db.exec('ALTER TABLE webhook_deliveries ADD COLUMN dedupe_key TEXT');
+    }
+    // Every server process dispatches the same track change; deliver it once
+    db.exec('CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_dedupe ON webhook_deliveries(webhook_id, dedupe_key)');
+
+    const songColumns = db.prepare("PRAGMA table_info(songs)").all().map(col => col.name);
+    if (!songColumns.includes('art_hash')) {
+      console.log('📦 Adding songs.art_hash column...');
+      db.exec('ALTER TABLE songs ADD COLUMN art_hash TEXT');
+    }
 
     console.log('✅ Database schema up to date');
   } catch (migrationError) {
@@ -244,25 +455,93 @@ function migrateSqliteSchema() {
  */
 async function migratePostgresSchema() {
   try {
+    // Rows from before multi-station support belong to the default station
+    await db.query("ALTER TABLE song_ratings ADD COLUMN IF NOT EXISTS station_id TEXT NOT NULL DEFAULT 'main'");
+    await db.query("ALTER TABLE play_history ADD COLUMN IF NOT EXISTS station_id TEXT NOT NULL DEFAULT 'main'");
+    await db.query("ALTER TABLE song_requests ADD COLUMN IF NOT EXISTS station_id TEXT NOT NULL DEFAULT 'main'");
+    await db.query("ALTER TABLE listening_sessions ADD COLUMN IF NOT EXISTS station_id TEXT NOT NULL DEFAULT 'main'");
+
     // Check if indexes exist
     const indexCheck = await db.query(`
       SELECT indexname FROM pg_indexes
-      WHERE tablename = 'song_ratings' AND indexname = 'idx_song_fingerprint'
+      WHERE tablename = 'song_ratings' AND indexname = 'idx_station_song_fingerprint'
     `);
 
     if (indexCheck.rows.length === 0) {
       console.log('📦 Creating indexes for PostgreSQL...');
       await db.query('CREATE INDEX IF NOT EXISTS idx_song_ip ON song_ratings(song_id, ip_address)');
-      await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_song_fingerprint ON song_ratings(song_id, user_fingerprint) WHERE user_fingerprint IS NOT NULL');
+      // One vote per listener, song and station
+      await db.query('DROP INDEX IF EXISTS idx_song_fingerprint');
+      await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_station_song_fingerprint ON song_ratings(station_id, song_id, user_fingerprint) WHERE user_fingerprint IS NOT NULL');
       console.log('✅ PostgreSQL indexes created');
     }
 
+    await db.query('ALTER TABLE play_history ADD COLUMN IF NOT EXISTS song_id TEXT');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_play_history_station ON play_history(station_id, started_at)');
+    await db.query('ALTER TABLE play_history ADD COLUMN IF NOT EXISTS event_id TEXT');
+    // Every server process records the same transition; only one open entry per track
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_play_history_open_event ON play_history(station_id, event_id) WHERE ended_at IS NULL');
+    await db.query('ALTER TABLE songs ADD COLUMN IF NOT EXISTS art_hash TEXT');
+    await db.query('ALTER TABLE webhook_deliveries ADD COLUMN IF NOT EXISTS dedupe_key TEXT');
+    // Every server process dispatches the same track change; deliver it once
+    await db.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_webhook_deliveries_dedupe ON webhook_deliveries(webhook_id, dedupe_key)');
+    await db.query('ALTER TABLE listening_sessions ADD COLUMN IF NOT EXISTS last_heartbeat TIMESTAMP');
+    await db.query('CREATE INDEX IF NOT EXISTS idx_listening_sessions_open ON listening_sessions(ended_at, last_heartbeat)');
+
     console.log('✅ PostgreSQL schema up to date');
   } catch (migrationError) {
     console.error('⚠️ PostgreSQL migration error:', migrationError.message);
   }
 }
 
+/**
+ * Map legacy song_ratings.song_id strings ("Artist-Title" with non-ASCII
+ * replaced by "_") to song catalog ids
+ * Seeds the catalog from play_history, then remaps every legacy id that
+ * matches a catalog entry. Ids that match nothing are left alone and are
+ * remapped when the track is next played.
+ * Catalog ids derived with older normalization rules are merged first.
+ */
+async function migrateSongCatalog() {
+  // Required here to avoid a circular import at load time
+  const songCatalog = require('./song-catalog');
+
+  try {
+    const rekeyed = await songCatalog.rekeySongs();
+    if (rekeyed > 0) {
+      console.log(`📦 Merged ${rekeyed} songs into their normalized catalog ids`);
+    }
+
+    const legacyIds = (await all('SELECT DISTINCT song_id FROM song_ratings'))
+      .map(row => row.song_id)
+      .filter(songId => !songCatalog.isSongId(songId));
+
+    if (legacyIds.length === 0) {
+      return;
+    }
+
+    console.log(`📦 Migrating ${legacyIds.length} legacy song ids to the song catalog...`);
+
+    const playedTracks = await all('SELECT DISTINCT artist, title, album, year FROM play_history');
+    for (const track of playedTracks) {
+      await songCatalog.resolveSong(track);
+    }
+
+    let mapped = 0;
+    for (const legacyId of legacyIds) {
+      const song = await songCatalog.findSong(legacyId);
+      if (song) {
+        await songCatalog.remapLegacyRatings(legacyId, song.id);
+        mapped++;
+      }
+    }
+
+    console.log(`✅ Song catalog migration complete (${mapped} mapped, ${legacyIds.length - mapped} pending)`);
+  } catch (migrationError) {
+    console.error('⚠️ Song catalog migration error:', migrationError.message);
+  }
+}
+
 /**
  * Unified query interface
  */
@@ -379,6 +658,7 @@ module.exports = {
   run,
   all,
   close,
+  getPostgresConfig,
   getDb: () => db,
   getDbType: () => dbType
 };
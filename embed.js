@@ -0,0 +1,72 @@
+/**
+ * Embeddable Player
+ * Configuration for the /embed player page that partner sites put in an
+ * iframe: which origins may frame it and the options it accepts
+ *
+ * Allowed origins come from EMBED_ALLOWED_ORIGINS, a comma-separated list
+ * such as "https://partner.example,https://*.blog.example". They become the
+ * Content-Security-Policy frame-ancestors of the /embed route only; the rest
+ * of the site stays same-origin. Without the variable the player can only
+ * be framed by this site.
+ */
+
+const EMBED_PATH = '/embed';
+const EMBED_THEMES = ['light', 'dark'];
+const EMBED_AUTOPLAY = ['muted'];
+
+function parseUrl(value) {
+  try {
+    return new URL(value);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Validate one configured origin (scheme, host and port; a leading "*."
+ * wildcard is allowed, as in CSP); throws so a bad EMBED_ALLOWED_ORIGINS
+ * stops the server at startup
+ */
+function normalizeOrigin(value) {
+  const text = String(value).trim();
+  const wildcard = /^https?:\/\/\*\./i.test(text);
+  const url = parseUrl(wildcard ? text.replace('*.', '') : text);
+
+  if (!url || (url.protocol !== 'https:' && url.protocol !== 'http:')
+    || url.pathname !== '/' || url.search || url.hash || url.username) {
+    throw new Error(`EMBED_ALLOWED_ORIGINS: "${text}" must be an http(s) origin without a path`);
+  }
+  return wildcard ? url.origin.replace('://', '://*.') : url.origin;
+}
+
+/**
+ * Parse the comma-separated allowlist, dropping empty entries and duplicates
+ */
+function parseAllowedOrigins(value) {
+  if (!value) return [];
+
+  const origins = value.split(',')
+    .filter(entry => entry.trim().length > 0)
+    .map(normalizeOrigin);
+  return origins.filter((origin, index) => origins.indexOf(origin) === index);
+}
+
+function loadAllowedOrigins(env = process.env) {
+  return parseAllowedOrigins(env.EMBED_ALLOWED_ORIGINS);
+}
+
+/**
+ * frame-ancestors sources for the embed page: this site and the partners
+ */
+function getFrameAncestors(origins) {
+  return ["'self'", ...origins];
+}
+
+module.exports = {
+  parseAllowedOrigins,
+  loadAllowedOrigins,
+  getFrameAncestors,
+  EMBED_PATH,
+  EMBED_THEMES,
+  EMBED_AUTOPLAY
+};
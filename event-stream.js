@@ -0,0 +1,113 @@
+/**
+ * Server-Sent Events Hub
+ * Keeps track of connected EventSource clients and broadcasts events to them
+ */
+
+const DEFAULT_KEEPALIVE_INTERVAL = 25000; // below nginx proxy_read_timeout (60s)
+const DEFAULT_RETRY = 5000; // client reconnect delay in ms
+
+/**
+ * Serialize a single SSE message
+ */
+function formatEvent({ event, data, id }) {
+  let message = '';
+  if (id !== undefined && id !== null) message += `id: ${id}\n`;
+  if (event) message += `event: ${event}\n`;
+
+  const payload = typeof data === 'string' ? data : JSON.stringify(data);
+  for (const line of payload.split('\n')) {
+    message += `data: ${line}\n`;
+  }
+
+  return `${message}\n`;
+}
+
+/**
+ * Create an event stream hub
+ * getInitialEvents(lastEventId) returns the events a client should receive
+ * right after connecting, so reconnecting clients catch up immediately
+ */
+function createEventStream({
+  keepAliveMs = DEFAULT_KEEPALIVE_INTERVAL,
+  retryMs = DEFAULT_RETRY,
+  getInitialEvents = () => []
+} = {}) {
+  const clients = new Set();
+  let keepAliveTimer = null;
+
+  function startKeepAlive() {
+    if (keepAliveTimer) return;
+    keepAliveTimer = setInterval(() => {
+      for (const res of clients) {
+        res.write(': keepalive\n\n');
+      }
+    }, keepAliveMs);
+    if (keepAliveTimer.unref) keepAliveTimer.unref();
+  }
+
+  function stopKeepAlive() {
+    if (keepAliveTimer) {
+      clearInterval(keepAliveTimer);
+      keepAliveTimer = null;
+    }
+  }
+
+  /**
+   * Express handler that turns the response into an event stream
+   */
+  function handler(req, res) {
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache, no-transform',
+      'Connection': 'keep-alive',
+      'X-Accel-Buffering': 'no' // Disable nginx buffering for this response
+    });
+    res.write(`retry: ${retryMs}\n\n`);
+
+    const lastEventId = req.headers['last-event-id'] || null;
+    for (const event of getInitialEvents(lastEventId)) {
+      res.write(formatEvent(event));
+    }
+
+    clients.add(res);
+    startKeepAlive();
+
+    req.on('close', () => {
+      clients.delete(res);
+      if (clients.size === 0) stopKeepAlive();
+    });
+  }
+
+  /**
+   * Send an event to every connected client
+   */
+  function broadcast(event, data, id) {
+    const message = formatEvent({ event, data, id });
+    for (const res of clients) {
+      res.write(message);
+    }
+  }
+
+  /**
+   * Disconnect all clients (used on shutdown)
+   */
+  function close() {
+    for (const res of clients) {
+      res.end();
+    }
+    clients.clear();
+    stopKeepAlive();
+  }
+
+  return {
+    handler,
+    broadcast,
+    close,
+    getClientCount: () => clients.size
+  };
+}
+
+module.exports = {
+  createEventStream,
+  formatEvent
+};
@@ -0,0 +1,61 @@
+const sharp = require('sharp');
+const fs = require('fs');
+const path = require('path');
+
+// App icons for the web app manifest and iOS home screen, generated from
+// the logo. Maskable icons keep the logo inside the 80% safe zone so
+// launchers can crop them to any shape
+const BACKGROUND = '#FFFFFF';
+const ICONS = [
+  { file: 'icon-192.png', size: 192 },
+  { file: 'icon-512.png', size: 512 },
+  { file: 'icon-maskable-512.png', size: 512, padding: 0.1, background: BACKGROUND },
+  // iOS fills transparency with black
+  { file: 'apple-touch-icon.png', size: 180, background: BACKGROUND }
+];
+
+async function generateIcons() {
+  const publicDir = path.join(__dirname, 'public');
+  const logoPath = path.join(publicDir, 'RadioCalicoLogoTM.png');
+  const iconsDir = path.join(publicDir, 'icons');
+
+  if (!fs.existsSync(logoPath)) {
+    console.error('Logo file not found:', logoPath);
+    return;
+  }
+
+  fs.mkdirSync(iconsDir, { recursive: true });
+  console.log('Generating app icons from RadioCalicoLogoTM.png...');
+
+  try {
+    for (const icon of ICONS) {
+      const inset = Math.round(icon.size * (icon.padding || 0));
+      const logoSize = icon.size - inset * 2;
+      const transparent = { r: 0, g: 0, b: 0, alpha: 0 };
+
+      const logo = await sharp(logoPath)
+        .resize(logoSize, logoSize, { fit: 'contain', background: transparent })
+        .toBuffer();
+
+      await sharp({
+        create: {
+          width: icon.size,
+          height: icon.size,
+          channels: 4,
+          background: icon.background || transparent
+        }
+      })
+        .composite([{ input: logo, top: inset, left: inset }])
+        .png({ compressionLevel: 9 })
+        .toFile(path.join(iconsDir, icon.file));
+
+      const size = fs.statSync(path.join(iconsDir, icon.file)).size;
+      console.log(`✓ ${icon.file} (${icon.size}x${icon.size}, ${(size / 1024).toFixed(2)} KB)`);
+    }
+  } catch (error) {
+    console.error('Error generating icons:', error);
+    process.exit(1);
+  }
+}
+
+generateIcons();
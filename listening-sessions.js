@@ -0,0 +1,245 @@
+/**
+ * Listening Sessions
+ * A session runs from play to pause or stop. Players send a heartbeat
+ * every HEARTBEAT_INTERVAL while they play; sessions that miss heartbeats
+ * for SESSION_TIMEOUT (closed tab, crashed browser, lost network) are
+ * closed by the sweeper at their last heartbeat, so every session gets a
+ * duration even when the client never says goodbye. Recent heartbeats
+ * also give the number of listeners playing right now
+ */
+
+const database = require('./db');
+const { DEFAULT_STATION_ID } = require('./stations');
+const { toIsoString } = require('./values');
+
+const HEARTBEAT_INTERVAL = 30000; // 30 seconds, sent by the player
+const SESSION_TIMEOUT = 90000; // Three missed heartbeats
+const SWEEP_INTERVAL = 60000;
+const LIVE_WINDOW = 60000; // "Listening now": a heartbeat in the last minute
+const LIVE_UPDATE_INTERVAL = 15000;
+
+// Rows written with CURRENT_TIMESTAMP by SQLite ("YYYY-MM-DD HH:MM:SS")
+// are UTC without a zone designator
+function parseTimestamp(value) {
+  if (typeof value === 'string' && !value.includes('T')) {
+    return new Date(`${value.replace(' ', 'T')}Z`);
+  }
+  return new Date(value);
+}
+
+// Whole minutes, as stored in duration and total_listening_time
+function getDurationMinutes(startedAt, endedAt) {
+  return Math.max(0, Math.floor((parseTimestamp(endedAt) - parseTimestamp(startedAt)) / 1000 / 60));
+}
+
+/**
+ * Open a session for a registered listener; resolves to the listening
+ * session id, or null when the listener is unknown
+ */
+async function startSession(sessionId, stationId = DEFAULT_STATION_ID, now = new Date()) {
+  const listener = await database.get('SELECT id FROM listeners WHERE session_id = ?', [sessionId]);
+  if (!listener) return null;
+
+  const startedAt = toIsoString(now);
+  const result = await database.run(`
+    INSERT INTO listening_sessions (listener_id, station_id, started_at, last_heartbeat)
+    VALUES (?, ?, ?, ?)
+  `, [listener.id, stationId, startedAt, startedAt]);
+
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * A listening session, only if it belongs to the listener with this
+ * session id
+ */
+async function findSession(sessionId, listeningSessionId) {
+  return database.get(`
+    SELECT ls.* FROM listening_sessions ls
+    JOIN listeners l ON l.id = ls.listener_id
+    WHERE ls.id = ? AND l.session_id = ?
+  `, [listeningSessionId, sessionId]);
+}
+
+/**
+ * Extend an open session (and follow the listener to another station);
+ * resolves to false when the session has already been closed
+ */
+async function recordHeartbeat(session, stationId = session.station_id, now = new Date()) {
+  const result = await database.run(`
+    UPDATE listening_sessions SET last_heartbeat = ?, station_id = ?
+    WHERE id = ? AND ended_at IS NULL
+  `, [toIsoString(now), stationId, session.id]);
+
+  return result.changes > 0;
+}
+
+/**
+ * Close a session at endedAt and add its duration to the listener's
+ * total; resolves to the duration in minutes. Closing a session twice
+ * (the player and the sweeper racing) keeps the first end
+ */
+async function closeSession(session, endedAt = new Date()) {
+  const duration = getDurationMinutes(session.started_at, endedAt);
+
+  const result = await database.run(`
+    UPDATE listening_sessions SET ended_at = ?, duration = ?
+    WHERE id = ? AND ended_at IS NULL
+  `, [toIsoString(endedAt), duration, session.id]);
+
+  if (result.changes === 0) {
+    const closed = await database.get('SELECT duration FROM listening_sessions WHERE id = ?', [session.id]);
+    return closed ? Number(closed.duration) : duration;
+  }
+
+  await database.run(`
+    UPDATE listeners
+    SET total_listening_time = total_listening_time + ?
+    WHERE id = ?
+  `, [duration, session.listener_id]);
+
+  return duration;
+}
+
+/**
+ * Close every open session without a heartbeat in the last timeoutMs, at
+ * its last heartbeat; resolves to the number of sessions closed
+ */
+async function sweepSessions({ now = new Date(), timeoutMs = SESSION_TIMEOUT } = {}) {
+  const cutoff = toIsoString(new Date(now).getTime() - timeoutMs);
+
+  // Sessions from before heartbeats have no last_heartbeat and end as
+  // soon as they are swept
+  const stale = await database.all(`
+    SELECT id, listener_id, started_at, last_heartbeat FROM listening_sessions
+    WHERE ended_at IS NULL AND COALESCE(last_heartbeat, started_at) < ?
+  `, [cutoff]);
+
+  for (const session of stale) {
+    await closeSession(session, parseTimestamp(session.last_heartbeat || session.started_at));
+  }
+
+  return stale.length;
+}
+
+/**
+ * Listeners with an open session and a heartbeat in the last windowMs:
+ * { total, stations: { [station_id]: count } }. A listener playing two
+ * stations in two tabs counts once in the total
+ */
+async function countLiveListeners({ now = new Date(), windowMs = LIVE_WINDOW } = {}) {
+  const cutoff = toIsoString(new Date(now).getTime() - windowMs);
+  const where = 'WHERE ended_at IS NULL AND last_heartbeat >= ?';
+
+  const perStation = await database.all(`
+    SELECT station_id, COUNT(DISTINCT listener_id) AS listeners
+    FROM listening_sessions ${where}
+    GROUP BY station_id
+  `, [cutoff]);
+  const overall = await database.get(`
+    SELECT COUNT(DISTINCT listener_id) AS listeners
+    FROM listening_sessions ${where}
+  `, [cutoff]);
+
+  const stations = {};
+  for (const row of perStation) {
+    stations[row.station_id] = Number(row.listeners);
+  }
+  return { total: Number(overall.listeners), stations };
+}
+
+/**
+ * Keep the live listener count: recount every intervalMs and on refresh()
+ * (sessions started or ended), calling onChange(counts) when it changes
+ */
+function createLiveListenerCounter({ intervalMs = LIVE_UPDATE_INTERVAL, windowMs = LIVE_WINDOW, onChange = () => {} } = {}) {
+  let counts = null;
+  let timer = null;
+  let inFlight = null;
+
+  async function count() {
+    try {
+      const next = await countLiveListeners({ windowMs });
+      if (JSON.stringify(next) !== JSON.stringify(counts)) {
+        counts = next;
+        onChange(counts);
+      }
+    } catch (error) {
+      console.error('⚠️ Failed to count live listeners:', error.message);
+    }
+    return counts;
+  }
+
+  // Concurrent refreshes share one count
+  function refresh() {
+    if (!inFlight) {
+      inFlight = count().finally(() => {
+        inFlight = null;
+      });
+    }
+    return inFlight;
+  }
+
+  return {
+    refresh,
+    getCounts: () => counts,
+    start() {
+      if (timer) return;
+      timer = setInterval(refresh, intervalMs);
+      if (timer.unref) timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+/**
+ * Run sweepSessions() every intervalMs
+ */
+function createSessionSweeper({ intervalMs = SWEEP_INTERVAL, timeoutMs = SESSION_TIMEOUT } = {}) {
+  let timer = null;
+
+  async function sweep() {
+    try {
+      const closed = await sweepSessions({ timeoutMs });
+      if (closed > 0) {
+        console.log(`🧹 Closed ${closed} listening session(s) without a heartbeat`);
+      }
+      return closed;
+    } catch (error) {
+      console.error('⚠️ Failed to sweep listening sessions:', error.message);
+      return 0;
+    }
+  }
+
+  return {
+    sweep,
+    start() {
+      if (timer) return;
+      timer = setInterval(sweep, intervalMs);
+      if (timer.unref) timer.unref();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = {
+  startSession,
+  findSession,
+  recordHeartbeat,
+  closeSession,
+  sweepSessions,
+  createSessionSweeper,
+  countLiveListeners,
+  createLiveListenerCounter,
+  getDurationMinutes,
+  HEARTBEAT_INTERVAL,
+  SESSION_TIMEOUT,
+  SWEEP_INTERVAL,
+  LIVE_WINDOW
+};
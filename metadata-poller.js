@@ -0,0 +1,145 @@
+/**
+ * Now Playing Metadata Poller
+ * Fetches the upstream metadata once on behalf of every listener through a
+ * metadata source adapter and caches the latest result for /api/now-playing
+ */
+
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const {
+  createMetadataV2Source,
+  DEFAULT_METADATA_URL,
+  DEFAULT_COVER_URL
+} = require('./metadata-sources');
+
+const DEFAULT_POLL_INTERVAL = 5000; // 5 seconds, same cadence the browsers used
+
+/**
+ * Identity of a track, used to detect track changes between polls
+ */
+function getTrackKey(track) {
+  if (!track) return null;
+  return [track.artist, track.title, track.album].join('\u0000');
+}
+
+/**
+ * Stable event id for a track, identical across server processes
+ * Used as the SSE event id so reconnecting clients can skip a resend
+ */
+function getTrackEventId(track) {
+  if (!track) return null;
+  return crypto.createHash('sha1').update(getTrackKey(track)).digest('hex').slice(0, 16);
+}
+
+/**
+ * Create a poller instance
+ * Emits 'update' after every successful poll and 'trackchange' when the
+ * current track differs from the previous one
+ * `source` is a metadata source adapter (see metadata-sources.js); without
+ * one, metadatav2.json is read from `url`
+ * resolveTrack(track) may return extra fields (e.g. song_id) to merge into
+ * the track; it runs once per track change
+ */
+function createMetadataPoller({
+  source = null,
+  url = DEFAULT_METADATA_URL,
+  coverUrl = DEFAULT_COVER_URL,
+  intervalMs = DEFAULT_POLL_INTERVAL,
+  fetchImpl = (...args) => fetch(...args),
+  resolveTrack = null
+} = {}) {
+  const metadataSource = source || createMetadataV2Source({ url, coverUrl, fetchImpl });
+  const emitter = new EventEmitter();
+  let current = null;
+  let extras = {};
+  let lastError = null;
+  let timer = null;
+  let inFlight = null;
+
+  async function resolveExtras(track) {
+    if (!resolveTrack) return {};
+
+    try {
+      return (await resolveTrack(track)) || {};
+    } catch (error) {
+      console.error('⚠️ Failed to resolve track:', error.message);
+      return {};
+    }
+  }
+
+  async function fetchOnce() {
+    const track = await metadataSource.fetchTrack();
+    const previous = current;
+    const changed = getTrackKey(previous) !== getTrackKey(track);
+    const now = new Date().toISOString();
+
+    if (changed) {
+      extras = await resolveExtras(track);
+    }
+
+    current = {
+      ...track,
+      ...extras,
+      started_at: changed ? now : previous.started_at,
+      updated_at: now
+    };
+    lastError = null;
+
+    emitter.emit('update', current);
+    if (changed) {
+      emitter.emit('trackchange', current, previous);
+    }
+
+    return current;
+  }
+
+  /**
+   * Poll upstream once; concurrent callers share the same request
+   */
+  function poll() {
+    if (!inFlight) {
+      inFlight = fetchOnce()
+        .catch((error) => {
+          lastError = error;
+          console.error('⚠️ Metadata poll failed:', error.message);
+          return current;
+        })
+        .finally(() => {
+          inFlight = null;
+        });
+    }
+    return inFlight;
+  }
+
+  function start() {
+    if (timer) return;
+    poll();
+    timer = setInterval(poll, intervalMs);
+    // Don't keep the process alive just for polling
+    if (timer.unref) timer.unref();
+  }
+
+  function stop() {
+    if (timer) {
+      clearInterval(timer);
+      timer = null;
+    }
+  }
+
+  return {
+    start,
+    stop,
+    poll,
+    getNowPlaying: () => current,
+    getLastError: () => lastError,
+    getSourceType: () => metadataSource.type,
+    on: (event, listener) => emitter.on(event, listener),
+    off: (event, listener) => emitter.off(event, listener)
+  };
+}
+
+module.exports = {
+  createMetadataPoller,
+  getTrackKey,
+  getTrackEventId
+};
@@ -0,0 +1,275 @@
+/**
+ * Metadata Source Adapters
+ * Each adapter reads now playing data from one kind of upstream and maps it
+ * into the normalized track object served at /api/now-playing
+ * Supports metadatav2.json (default), Icecast, Shoutcast v2 and a local JSON file
+ */
+
+const fs = require('fs');
+const { normalizeTrack } = require('./public/track-metadata');
+const { toText } = require('./values');
+
+const METADATA_SOURCE = process.env.METADATA_SOURCE || 'metadatav2';
+const DEFAULT_METADATA_URL = 'https://d3d4yli4hf5bmh.cloudfront.net/metadatav2.json';
+const DEFAULT_COVER_URL = 'https://d3d4yli4hf5bmh.cloudfront.net/cover.jpg';
+const REQUEST_TIMEOUT = 4000;
+const RECENTLY_PLAYED_COUNT = 5;
+
+/**
+ * Convert a value to an integer, or null when not numeric
+ */
+function toInteger(value) {
+  const number = parseInt(value, 10);
+  return Number.isFinite(number) ? number : null;
+}
+
+/**
+ * Build a normalized track, filling in defaults for missing fields
+ * Every adapter returns this shape; artist, title, album, year, tags and
+ * featured_artists come from the shared normalization in track-metadata.js
+ */
+function createTrack(fields = {}) {
+  const track = normalizeTrack({
+    artist: fields.artist,
+    title: fields.title,
+    album: fields.album,
+    year: fields.year,
+    tags: fields.tags,
+    featured_artists: fields.featured_artists
+  });
+
+  return {
+    ...track,
+    bit_depth: toInteger(fields.bit_depth),
+    sample_rate: toInteger(fields.sample_rate),
+    is_new: Boolean(fields.is_new),
+    is_explicit: Boolean(fields.is_explicit),
+    cover_url: toText(fields.cover_url),
+    recently_played: Array.isArray(fields.recently_played)
+      ? fields.recently_played
+        .map((item) => {
+          const { artist, title } = normalizeTrack({ artist: item && item.artist, title: item && item.title });
+          return { artist, title };
+        })
+        .filter(item => item.artist && item.title)
+        .slice(0, RECENTLY_PLAYED_COUNT)
+      : []
+  };
+}
+
+/**
+ * Split a combined "Artist - Title" stream title
+ * Titles without the separator are returned with a null artist
+ */
+function splitStreamTitle(streamTitle) {
+  const text = toText(streamTitle);
+  if (!text) return { artist: null, title: null };
+
+  const separator = text.indexOf(' - ');
+  if (separator === -1) return { artist: null, title: text };
+
+  return {
+    artist: text.slice(0, separator),
+    title: text.slice(separator + 3)
+  };
+}
+
+/**
+ * Keeps a recently played list for upstreams that only report the current
+ * track (Icecast, Shoutcast)
+ */
+function createRecentTracker() {
+  let current = null;
+  let recent = [];
+
+  return function observe(track) {
+    if (current && track.artist && track.title &&
+        (current.artist !== track.artist || current.title !== track.title)) {
+      recent = [{ artist: current.artist, title: current.title }, ...recent].slice(0, RECENTLY_PLAYED_COUNT);
+    }
+    if (track.artist && track.title) {
+      current = track;
+    }
+    return recent;
+  };
+}
+
+async function fetchJson(fetchImpl, url) {
+  const response = await fetchImpl(url, {
+    headers: { Accept: 'application/json' },
+    signal: AbortSignal.timeout(REQUEST_TIMEOUT)
+  });
+
+  if (!response.ok) {
+    throw new Error(`Metadata request failed with status ${response.status}`);
+  }
+
+  return response.json();
+}
+
+/**
+ * Normalize the upstream metadatav2.json payload
+ * Turns the prev_artist_N / prev_title_N fields into a recently_played array
+ */
+function normalizeMetadata(raw, { coverUrl = DEFAULT_COVER_URL } = {}) {
+  const data = raw || {};
+  const recentlyPlayed = [];
+
+  for (let i = 1; i <= RECENTLY_PLAYED_COUNT; i++) {
+    recentlyPlayed.push({ artist: data[`prev_artist_${i}`], title: data[`prev_title_${i}`] });
+  }
+
+  return createTrack({
+    ...data,
+    cover_url: coverUrl,
+    recently_played: recentlyPlayed
+  });
+}
+
+/**
+ * Normalize an Icecast status-json.xsl payload
+ * Picks the source whose listen URL ends with `mount`, or the first source
+ */
+function normalizeIcecast(raw, { mount = null, coverUrl = null } = {}) {
+  const stats = (raw && raw.icestats) || {};
+  const sources = [].concat(stats.source || []);
+  const source = (mount && sources.find(item => String(item.listenurl || '').endsWith(mount))) || sources[0];
+
+  if (!source) {
+    throw new Error(mount ? `Icecast mount ${mount} not found` : 'Icecast reports no active sources');
+  }
+
+  // Icecast only has a separate artist field when the source sends one
+  const { artist, title } = source.artist
+    ? { artist: source.artist, title: source.title }
+    : splitStreamTitle(source.title);
+
+  return createTrack({
+    artist,
+    title,
+    album: source.album,
+    sample_rate: source.audio_samplerate || source.samplerate,
+    cover_url: coverUrl
+  });
+}
+
+/**
+ * Normalize a Shoutcast v2 stats?json=1 payload
+ */
+function normalizeShoutcast(raw, { coverUrl = null } = {}) {
+  const data = raw || {};
+
+  if (data.streamstatus !== undefined && Number(data.streamstatus) !== 1) {
+    throw new Error('Shoutcast stream is offline');
+  }
+
+  return createTrack({
+    ...splitStreamTitle(data.songtitle),
+    sample_rate: data.samplerate,
+    cover_url: coverUrl
+  });
+}
+
+/**
+ * metadatav2.json - the format published next to the HLS stream
+ */
+function createMetadataV2Source({
+  url = DEFAULT_METADATA_URL,
+  coverUrl = DEFAULT_COVER_URL,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  return {
+    type: 'metadatav2',
+    fetchTrack: async () => normalizeMetadata(await fetchJson(fetchImpl, url), { coverUrl })
+  };
+}
+
+/**
+ * Icecast status-json.xsl (e.g. http://host:8000/status-json.xsl)
+ */
+function createIcecastSource({
+  url,
+  mount = null,
+  coverUrl = null,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  if (!url) throw new Error('METADATA_URL is required for the icecast metadata source');
+  const observe = createRecentTracker();
+
+  return {
+    type: 'icecast',
+    fetchTrack: async () => {
+      const track = normalizeIcecast(await fetchJson(fetchImpl, url), { mount, coverUrl });
+      return { ...track, recently_played: observe(track) };
+    }
+  };
+}
+
+/**
+ * Shoutcast v2 stats (e.g. http://host:8000/stats?sid=1&json=1)
+ */
+function createShoutcastSource({
+  url,
+  coverUrl = null,
+  fetchImpl = (...args) => fetch(...args)
+} = {}) {
+  if (!url) throw new Error('METADATA_URL is required for the shoutcast metadata source');
+  const observe = createRecentTracker();
+
+  return {
+    type: 'shoutcast',
+    fetchTrack: async () => {
+      const track = normalizeShoutcast(await fetchJson(fetchImpl, url), { coverUrl });
+      return { ...track, recently_played: observe(track) };
+    }
+  };
+}
+
+/**
+ * Local JSON file already in the normalized track layout
+ * Re-read on every poll, so editing the file changes the track
+ */
+function createFileSource({ path, coverUrl = null } = {}) {
+  if (!path) throw new Error('METADATA_FILE is required for the file metadata source');
+
+  return {
+    type: 'file',
+    fetchTrack: async () => {
+      const data = JSON.parse(await fs.promises.readFile(path, 'utf8'));
+      return createTrack({ cover_url: coverUrl, ...data });
+    }
+  };
+}
+
+/**
+ * Create the metadata source selected by METADATA_SOURCE
+ */
+function createMetadataSource(type = METADATA_SOURCE, options = {}) {
+  switch (type) {
+    case 'metadatav2':
+      return createMetadataV2Source(options);
+    case 'icecast':
+      return createIcecastSource(options);
+    case 'shoutcast':
+      return createShoutcastSource(options);
+    case 'file':
+      return createFileSource(options);
+    default:
+      throw new Error(`Unknown METADATA_SOURCE: ${type} (expected 'metadatav2', 'icecast', 'shoutcast' or 'file')`);
+  }
+}
+
+module.exports = {
+  createMetadataSource,
+  createMetadataV2Source,
+  createIcecastSource,
+  createShoutcastSource,
+  createFileSource,
+  createTrack,
+  splitStreamTitle,
+  normalizeMetadata,
+  normalizeIcecast,
+  normalizeShoutcast,
+  DEFAULT_METADATA_URL,
+  DEFAULT_COVER_URL
+};
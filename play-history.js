@@ -0,0 +1,169 @@
+/**
+ * Play History
+ * Records every track transition seen by the metadata poller and
+ * answers "what played when" queries with cursor pagination
+ */
+
+const database = require('./db');
+const { DEFAULT_STATION_ID } = require('./stations');
+const { getTrackEventId } = require('./metadata-poller');
+const { toIsoString } = require('./values');
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+
+function formatRow(row) {
+  return {
+    id: Number(row.id),
+    artist: row.artist,
+    title: row.title,
+    album: row.album,
+    year: row.year,
+    bit_depth: row.bit_depth,
+    sample_rate: row.sample_rate,
+    song_id: row.song_id || null,
+    station_id: row.station_id,
+    started_at: toIsoString(row.started_at),
+    ended_at: toIsoString(row.ended_at)
+  };
+}
+
+/**
+ * Opaque pagination cursor pointing after the given row
+ */
+function encodeCursor(row) {
+  return Buffer.from(`${row.started_at}|${row.id}`).toString('base64url');
+}
+
+/**
+ * Decode a cursor, returns null when it is malformed
+ */
+function decodeCursor(cursor) {
+  const [startedAt, id] = Buffer.from(cursor, 'base64url').toString('utf8').split('|');
+  const rowId = parseInt(id, 10);
+
+  if (!startedAt || Number.isNaN(Date.parse(startedAt)) || !Number.isInteger(rowId)) {
+    return null;
+  }
+
+  return { started_at: new Date(startedAt).toISOString(), id: rowId };
+}
+
+/**
+ * Record a track transition on a station: close its open entry and start
+ * a new one
+ * A repeated announcement of the track already playing (e.g. after a
+ * server restart, or by another server process) keeps the existing entry
+ */
+async function recordTrackChange(track, stationId = DEFAULT_STATION_ID) {
+  const startedAt = toIsoString(track.started_at || new Date());
+  const eventId = getTrackEventId(track);
+
+  const open = await database.get(`
+    SELECT id, artist, title, album FROM play_history
+    WHERE ended_at IS NULL AND station_id = ?
+    ORDER BY started_at DESC, id DESC
+    LIMIT 1
+  `, [stationId]);
+
+  if (open && open.artist === track.artist && open.title === track.title && open.album === track.album) {
+    return Number(open.id);
+  }
+
+  // Another process may have opened this track's entry since the read above
+  await database.run(`
+    UPDATE play_history SET ended_at = ?
+    WHERE ended_at IS NULL AND station_id = ? AND (event_id IS NULL OR event_id <> ?)
+  `, [startedAt, stationId, eventId]);
+
+  const result = await database.run(`
+    INSERT INTO play_history (artist, title, album, year, bit_depth, sample_rate, song_id, station_id, started_at, event_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT DO NOTHING
+  `, [
+    track.artist,
+    track.title,
+    track.album,
+    track.year,
+    track.bit_depth,
+    track.sample_rate,
+    track.song_id || null,
+    stationId,
+    startedAt,
+    eventId
+  ]);
+
+  if (result.changes === 0) {
+    const existing = await database.get(
+      'SELECT id FROM play_history WHERE ended_at IS NULL AND station_id = ? AND event_id = ?',
+      [stationId, eventId]
+    );
+    return Number(existing.id);
+  }
+  return Number(result.lastInsertRowid);
+}
+
+/**
+ * List history newest first
+ * - station: only tracks played on that station
+ * - from / to: only tracks that started in [from, to)
+ * - at: only the track that was playing at that instant
+ * - cursor: continue after the last row of the previous page
+ */
+async function listHistory({ station, from, to, at, cursor, limit = DEFAULT_PAGE_SIZE } = {}) {
+  const conditions = [];
+  const params = [];
+
+  if (station) {
+    conditions.push('station_id = ?');
+    params.push(station);
+  }
+
+  if (from) {
+    conditions.push('started_at >= ?');
+    params.push(toIsoString(from));
+  }
+
+  if (to) {
+    conditions.push('started_at < ?');
+    params.push(toIsoString(to));
+  }
+
+  if (at) {
+    const instant = toIsoString(at);
+    conditions.push('started_at <= ? AND (ended_at > ? OR ended_at IS NULL)');
+    params.push(instant, instant);
+  }
+
+  if (cursor) {
+    conditions.push('(started_at < ? OR (started_at = ? AND id < ?))');
+    params.push(cursor.started_at, cursor.started_at, cursor.id);
+  }
+
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_PAGE_SIZE, 1), MAX_PAGE_SIZE);
+  const where = conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '';
+
+  // Fetch one extra row to know whether another page exists
+  const rows = await database.all(`
+    SELECT * FROM play_history
+    ${where}
+    ORDER BY started_at DESC, id DESC
+    LIMIT ?
+  `, [...params, pageSize + 1]);
+
+  const items = rows.slice(0, pageSize).map(formatRow);
+  const hasMore = rows.length > pageSize;
+
+  return {
+    items,
+    next_cursor: hasMore ? encodeCursor(items[items.length - 1]) : null
+  };
+}
+
+module.exports = {
+  recordTrackChange,
+  listHistory,
+  encodeCursor,
+  decodeCursor,
+  MAX_PAGE_SIZE
+};
@@ -0,0 +1,71 @@
+/* eslint-env browser */
+/**
+ * Accessibility
+ * Keyboard shortcuts for the player (Space play/pause, M mute, arrow keys
+ * volume, U / D rate the current track) and the polite live region that
+ * reads changes to screen readers
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Accessibility = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const SHORTCUTS = {
+        ' ': 'play-pause',
+        m: 'mute',
+        ArrowUp: 'volume-up',
+        ArrowRight: 'volume-up',
+        ArrowDown: 'volume-down',
+        ArrowLeft: 'volume-down',
+        u: 'rate-up',
+        d: 'rate-down'
+    };
+
+    const EDITABLE_SELECTOR = 'input, select, textarea, [contenteditable]';
+    const ACTIVATABLE_SELECTOR = 'button, summary, a';
+
+    /**
+     * The shortcut a keydown event triggers, or null. Ignored while typing
+     * in a form field or with modifier keys; Space is left to a focused
+     * button so it does not toggle twice
+     */
+    function getShortcut(event) {
+        if (event.defaultPrevented || event.ctrlKey || event.metaKey || event.altKey) return null;
+
+        const target = event.target && event.target.closest ? event.target : null;
+        if (target && target.closest(EDITABLE_SELECTOR)) return null;
+
+        const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+        if (key === ' ' && target && target.closest(ACTIVATABLE_SELECTOR)) return null;
+
+        return Object.prototype.hasOwnProperty.call(SHORTCUTS, key) ? SHORTCUTS[key] : null;
+    }
+
+    function describeVolume(volume) {
+        return Number(volume) === 0 ? 'Muted' : `Volume ${Number(volume)}%`;
+    }
+
+    /**
+     * Announce messages in a live region element. Clearing it first makes
+     * screen readers repeat a message that is announced twice
+     */
+    function createAnnouncer(element, delayMs = 100) {
+        return function announce(message) {
+            element.textContent = '';
+            setTimeout(() => {
+                element.textContent = message;
+            }, delayMs);
+        };
+    }
+
+    return {
+        getShortcut,
+        describeVolume,
+        createAnnouncer,
+        SHORTCUTS
+    };
+});
@@ -1,10 +1,47 @@
+/* eslint-env browser */
 import Hls from 'hls.js';
+import './track-metadata.js';
+import './stream-quality.js';
+import './sleep-timer.js';
+import './audio-effects.js';
+import './visualizer.js';
+import './playback-supervisor.js';
+import './time-shift.js';
+import './radio-player.js';
+import './listening-session.js';
+import './offline-snapshot.js';
+import './media-controls.js';
+import './accessibility.js';
+
+const { normalizeTrack } = window.TrackMetadata;
+const {
+    getLevelQuality,
+    parseMasterPlaylist,
+    summarizeVariants,
+    readSampleRate,
+    formatStreamQuality,
+    getQualityTiers,
+    isChoiceAvailable,
+    getLevelSelection,
+    formatDataUsage
+} = window.StreamQuality;
+const { parseSleepMinutes, getFadeOutVolume, getFadeInVolume, getNextAlarm, formatCountdown, FADE_IN_MS } = window.SleepTimer;
+const { normalizeSettings, isBypassed, createEffectsChain, EQ_BANDS, EQ_PRESETS, MAX_GAIN_DB } = window.AudioEffects;
+const { createVisualizer, VISUALIZER_MODES } = window.Visualizer;
+const { createPlaybackSupervisor } = window.PlaybackSupervisor;
+const { getLiveOffset, formatLiveOffset, getRewindPosition, getResumePosition, getAudioDelay, createTrackTimeline } = window.TimeShift;
+const { RadioPlayer } = window.RadioPlayer;
+const { createListeningSession } = window.ListeningSession;
+const { createSnapshot, saveSnapshot, loadSnapshot, formatSnapshotAge } = window.OfflineSnapshot;
+const { getArtwork, setMetadata, setPlaybackState, setActionHandlers } = window.MediaControls;
+const { getShortcut, describeVolume, createAnnouncer } = window.Accessibility;
 
 const audioPlayer = document.getElementById('audioPlayer');
 const playButton = document.getElementById('playButton');
 const volumeSlider = document.getElementById('volumeSlider');
 const volumeIcon = document.getElementById('volumeIcon');
 const statusDiv = document.getElementById('status');
+const announce = createAnnouncer(document.getElementById('announcer'));
 const elapsedTimeDisplay = document.getElementById('elapsedTime');
 const trackTitle = document.getElementById('trackTitle');
 const trackArtist = document.getElementById('trackArtist');
@@ -18,19 +55,99 @@ const thumbsUpBtn = document.getElementById('thumbsUpBtn');
 const thumbsDownBtn = document.getElementById('thumbsDownBtn');
 const thumbsUpCount = document.getElementById('thumbsUpCount');
 const thumbsDownCount = document.getElementById('thumbsDownCount');
+const stationSelect = document.getElementById('stationSelect');
+const stationName = document.getElementById('stationName');
+const stationTagline = document.getElementById('stationTagline');
+const listeningNow = document.getElementById('listeningNow');
+const stationLogo = document.getElementById('stationLogo');
+const stationLogoSource = document.getElementById('stationLogoSource');
+const qualitySelect = document.getElementById('qualitySelect');
+const dataSaverToggle = document.getElementById('dataSaverToggle');
+const dataUsage = document.getElementById('dataUsage');
+const sleepSelect = document.getElementById('sleepSelect');
+const sleepMinutes = document.getElementById('sleepMinutes');
+const alarmToggle = document.getElementById('alarmToggle');
+const alarmTime = document.getElementById('alarmTime');
+const timerCountdown = document.getElementById('timerCountdown');
+const connectionStatus = document.getElementById('connectionStatus');
+const retryButton = document.getElementById('retryButton');
+const rewindButton = document.getElementById('rewindButton');
+const liveButton = document.getElementById('liveButton');
+const eqToggle = document.getElementById('eqToggle');
+const eqPreset = document.getElementById('eqPreset');
+const levelingToggle = document.getElementById('levelingToggle');
+const eqBands = document.getElementById('eqBands');
+const visualizerCanvas = document.getElementById('visualizer');
+const visualizerMode = document.getElementById('visualizerMode');
+const installButton = document.getElementById('installButton');
+const offlineScreen = document.getElementById('offlineScreen');
+const offlineTitle = document.getElementById('offlineTitle');
+const offlineMessage = document.getElementById('offlineMessage');
+const offlineTrack = document.getElementById('offlineTrack');
+const offlineTrackLabel = document.getElementById('offlineTrackLabel');
+const offlineArtist = document.getElementById('offlineArtist');
+const offlineSong = document.getElementById('offlineSong');
+const offlineRecent = document.getElementById('offlineRecent');
+const offlineRecentList = document.getElementById('offlineRecentList');
+const reconnectButton = document.getElementById('reconnectButton');
+
+const stationsUrl = '/api/stations';
+const stationStorageKey = 'radio_station_id';
+const qualityStorageKey = 'radio_quality';
+const dataSaverStorageKey = 'radio_data_saver';
+const timersStorageKey = 'radio_timers';
+const effectsStorageKey = 'radio_audio_effects';
+const visualizerStorageKey = 'radio_visualizer';
+
+// Default branding from the page, restored for stations without their own
+const defaultBranding = {
+    name: stationName.textContent,
+    logo: stationLogo.getAttribute('src'),
+    logoWebp: stationLogoSource.getAttribute('srcset'),
+    title: document.title
+};
+
+// Played when the station list cannot be loaded (the server's default station)
+const fallbackStation = { id: null, name: 'Radio Calico', stream_url: 'https://d3d4yli4hf5bmh.cloudfront.net/hls/live.m3u8' };
+let stations = [];
 
-const streamUrl = 'https://d3d4yli4hf5bmh.cloudfront.net/hls/live.m3u8';
-const metadataUrl = 'https://d3d4yli4hf5bmh.cloudfront.net/metadatav2.json';
-
-let isPlaying = false;
-let hls = null;
 let startTime = null;
 let elapsedSeconds = 0;
 let timerInterval = null;
 let previousVolume = 100;
-let metadataInterval = null;
 let currentSongId = null;
 let userSessionId = null; // Lazy-loaded on first use
+let deliveredQuality = { codec: null, bitrate: null, sampleRate: null };
+let qualityChoice = 'auto';
+let dataSaver = false;
+let bytesLoaded = 0; // Stream bytes loaded by hls.js since the page opened
+let metadataPaused = false;
+let announcedTrack = null;
+let liveOffset = 0; // Seconds the audio is behind the live position
+let installPrompt = null; // Deferred beforeinstallprompt event
+let displayedTrack = null;
+const trackTimeline = createTrackTimeline();
+let sleepEndsAt = null; // Timestamp when the sleep timer pauses playback
+let alarmAt = null; // Date of the next alarm
+let fadeInStartedAt = null;
+let timersInterval = null;
+let audioEffects = normalizeSettings(null);
+let effectsChain = null; // Web Audio graph, created when an effect is first used
+let audioContext = null;
+let visualizerSetting = 'off';
+let visualizer = null;
+const reducedMotion = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+// Playback, now playing and ratings live in the headless player (see
+// public/radio-player.js); the rest of this file binds the page to it
+const player = new RadioPlayer({ media: audioPlayer, Hls, getSessionId });
+player.setStation(fallbackStation);
+
+// Listening time is reported while the player plays (buffering included)
+const listeningSession = createListeningSession({
+    getSessionId,
+    getStationId: () => player.station.id
+});
 
 // Generate browser fingerprint for persistent user identification (lazy-loaded)
 function generateFingerprint() {
@@ -103,107 +220,202 @@ function getSessionId() {
 }
 
 // Set initial volume
-audioPlayer.volume = volumeSlider.value / 100;
-
-// Initialize HLS
-function initPlayer() {
-    console.log('initPlayer called. HLS supported:', Hls.isSupported());
-    console.log('Stream URL:', streamUrl);
-
-    if (Hls.isSupported()) {
-        console.log('Creating HLS instance...');
-        hls = new Hls({
-            enableWorker: true,
-            lowLatencyMode: true,
-            backBufferLength: 90
-        });
+player.setVolume(volumeSlider.value / 100);
 
-        console.log('Loading source:', streamUrl);
-        hls.loadSource(streamUrl);
-        hls.attachMedia(audioPlayer);
+// Follow each stream the player attaches: quality and data usage from
+// hls.js, or the master playlist for Safari's native HLS
+player.on('stream', function({ hls }) {
+    console.log('Stream URL:', player.station.stream_url);
 
-        hls.on(Hls.Events.MANIFEST_PARSED, function() {
+    if (hls) {
+        hls.on(Hls.Events.MANIFEST_PARSED, function(event, data) {
             console.log('✅ HLS manifest loaded successfully');
+            // Until a level is selected, show what all variants have in common
+            setStreamQuality(summarizeVariants(data.levels.map(getLevelQuality)));
+            applyQualityChoice();
         });
 
-        hls.on(Hls.Events.MEDIA_ATTACHED, function() {
-            console.log('✅ HLS media attached to audio element');
+        // Count playlist and segment downloads for the data usage meter
+        hls.on(Hls.Events.MANIFEST_LOADED, function(event, data) {
+            addDataUsage(data.stats.loaded);
         });
 
-        hls.on(Hls.Events.ERROR, function(event, data) {
-            console.error('❌ HLS error:', data);
-            console.error('Error type:', data.type);
-            console.error('Error details:', data.details);
-            console.error('Error fatal:', data.fatal);
+        hls.on(Hls.Events.LEVEL_LOADED, function(event, data) {
+            addDataUsage(data.stats.loaded);
+        });
 
-            if (data.fatal) {
-                switch(data.type) {
-                    case Hls.ErrorTypes.NETWORK_ERROR:
-                        console.error('Network error - attempting retry');
-                        updateStatus('Network error - retrying...', 'loading');
-                        hls.startLoad();
-                        break;
-                    case Hls.ErrorTypes.MEDIA_ERROR:
-                        console.error('Media error - attempting recovery');
-                        updateStatus('Media error - recovering...', 'loading');
-                        hls.recoverMediaError();
-                        break;
-                    default:
-                        console.error('Fatal error - cannot recover');
-                        updateStatus('Fatal error - please refresh', 'stopped');
-                        stopTimer();
-                        hls.destroy();
-                        break;
-                }
+        hls.on(Hls.Events.FRAG_LOADED, function(event, data) {
+            addDataUsage((data.part || data.frag).stats.loaded);
+        });
+
+        hls.on(Hls.Events.LEVEL_SWITCHED, function(event, data) {
+            const level = getLevelQuality(hls.levels[data.level]);
+            // Keep the sample rate read from the init segment if the manifest has none
+            setStreamQuality({ ...level, sampleRate: level.sampleRate || deliveredQuality.sampleRate });
+        });
+
+        hls.on(Hls.Events.FRAG_PARSING_INIT_SEGMENT, function(event, data) {
+            const track = data.tracks && (data.tracks.audio || data.tracks.audiovideo);
+            const sampleRate = track && readSampleRate(track.initSegment);
+            if (sampleRate) {
+                setStreamQuality({ ...deliveredQuality, sampleRate });
             }
         });
-    } else if (audioPlayer.canPlayType('application/vnd.apple.mpegurl')) {
+
+        hls.on(Hls.Events.MEDIA_ATTACHED, function() {
+            console.log('✅ HLS media attached to audio element');
+        });
+    } else {
         // Native HLS support (Safari)
         console.log('Using native HLS support (Safari)');
-        audioPlayer.src = streamUrl;
-    } else {
-        console.error('HLS is not supported in this browser');
-        alert('HLS is not supported in your browser');
+        fetchNativeStreamQuality();
+
+        // Safari picks the variant itself and does not report downloads
+        qualitySelect.disabled = true;
+        dataUsage.textContent = 'Data used: not measured';
+    }
+});
+
+// Show the codec, bitrate and sample rate actually being delivered
+function setStreamQuality(quality) {
+    deliveredQuality = quality;
+    streamQuality.textContent = formatStreamQuality(quality);
+    console.log(`✅ ${streamQuality.textContent}`);
+    renderDataUsage();
+}
+
+// Enable the quality choices the stream offers and apply the listener's
+// choice; data saver caps automatic switching at the Low level
+function applyQualityChoice() {
+    const hls = player.hls;
+    const levels = hls ? hls.levels : [];
+    // Until the manifest is parsed, keep every choice selectable
+    const tiers = getQualityTiers(levels.map(getLevelQuality));
+    const selection = levels.length > 0
+        ? getLevelSelection(qualityChoice, tiers, dataSaver)
+        : { choice: dataSaver ? 'auto' : qualityChoice, level: -1, cap: -1 };
+
+    qualitySelect.querySelectorAll('option').forEach(option => {
+        option.disabled = levels.length > 0
+            ? !isChoiceAvailable(option.value, tiers, dataSaver)
+            : dataSaver && option.value !== 'auto' && option.value !== 'low';
+    });
+    qualitySelect.value = selection.choice;
+
+    if (levels.length === 0) return;
+
+    hls.autoLevelCapping = selection.cap;
+    if (selection.level === -1) {
+        if (!hls.autoLevelEnabled) hls.currentLevel = -1;
+    } else if (hls.currentLevel !== selection.level) {
+        hls.currentLevel = selection.level;
     }
+    console.log(`🎚️ Quality: ${selection.choice}${dataSaver ? ' (data saver)' : ''}`);
+}
+
+function addDataUsage(bytes) {
+    if (!bytes) return;
+    bytesLoaded += bytes;
+    renderDataUsage();
+}
+
+// Data loaded so far, with an hourly estimate at the current bitrate
+// (only hls.js reports downloads)
+function renderDataUsage() {
+    if (!player.hls) return;
+    dataUsage.textContent = formatDataUsage(bytesLoaded, deliveredQuality.bitrate);
 }
 
-// Fetch metadata from server
-async function fetchMetadata() {
+// Restore the quality choice and data saver mode from the last visit
+function loadPlaybackSettings() {
     try {
-        const response = await fetch(metadataUrl);
-        if (!response.ok) throw new Error('Failed to fetch metadata');
+        qualityChoice = localStorage.getItem(qualityStorageKey) || 'auto';
+        dataSaver = localStorage.getItem(dataSaverStorageKey) === 'true';
+    } catch (e) {
+        console.warn('localStorage not available, using automatic quality');
+    }
+
+    dataSaverToggle.checked = dataSaver;
+    applyQualityChoice();
+}
 
-        const data = await response.json();
-        updateNowPlaying(data);
+function savePlaybackSettings() {
+    try {
+        localStorage.setItem(qualityStorageKey, qualityChoice);
+        localStorage.setItem(dataSaverStorageKey, String(dataSaver));
+    } catch (e) {
+        console.warn('localStorage not available, quality choice will not be remembered');
+    }
+}
+
+qualitySelect.addEventListener('change', function() {
+    qualityChoice = this.value;
+    savePlaybackSettings();
+    applyQualityChoice();
+});
+
+dataSaverToggle.addEventListener('change', function() {
+    dataSaver = this.checked;
+    savePlaybackSettings();
+    applyQualityChoice();
+});
+
+// Safari plays HLS natively without exposing the selected variant, so read
+// the master playlist and show what its variants have in common
+async function fetchNativeStreamQuality() {
+    try {
+        const response = await fetch(player.station.stream_url);
+        if (!response.ok) throw new Error('Failed to fetch stream manifest');
+
+        setStreamQuality(summarizeVariants(parseMasterPlaylist(await response.text())));
     } catch (error) {
-        console.error('Error fetching metadata:', error);
+        console.error('Error fetching stream manifest:', error);
+        setStreamQuality(deliveredQuality);
     }
 }
 
 // Update now playing display
 function updateNowPlaying(data) {
+    // Same normalization as the server (year, tags, featured artists)
+    const track = normalizeTrack(data);
+
     // Update current track display
-    trackArtist.textContent = data.artist || 'Unknown Artist';
-
-    // Extract year from title if present (format: "Title (Year)")
-    let title = data.title || 'Unknown Track';
-    let year = '';
-    const yearMatch = title.match(/\((\d{4})\)$/);
-    if (yearMatch) {
-        year = yearMatch[1];
-        yearBadge.textContent = year;
+    const featured = track.featured_artists.length > 0 ? ` feat. ${track.featured_artists.join(', ')}` : '';
+    trackArtist.textContent = track.artist ? track.artist + featured : 'Unknown Artist';
+    trackTitle.textContent = track.title || 'Unknown Track';
+    trackTitle.title = track.tags.join(', ');
+
+    if (track.year) {
+        yearBadge.textContent = track.year;
+        yearBadge.style.display = '';
     } else {
         yearBadge.style.display = 'none';
     }
-    trackTitle.textContent = title;
 
-    trackAlbum.textContent = data.album || '';
+    trackAlbum.textContent = track.album || '';
+
+    const trackLabel = `${trackTitle.textContent} by ${trackArtist.textContent}`;
+    if (trackLabel !== announcedTrack) {
+        announcedTrack = trackLabel;
+        announce(`Now playing: ${trackLabel}`);
+    }
+
+    // Update album art from the server's art cache, falling back to the
+    // upstream cover until the art for this song has been captured
+    if (data.song_id) {
+        albumArt.onerror = data.cover_url ? () => {
+            albumArt.onerror = null;
+            albumArt.src = `${data.cover_url}?t=${encodeURIComponent(data.song_id)}`;
+        } : null;
+        albumArt.src = getArtUrl(data.song_id, dataSaver ? 300 : 540, 'webp');
+    } else if (data.cover_url) {
+        albumArt.src = `${data.cover_url}?t=${Date.now()}`;
+    }
 
-    // Update album art with cache-busting parameter
-    albumArt.src = `https://d3d4yli4hf5bmh.cloudfront.net/cover.jpg?t=${Date.now()}`;
+    updateMediaMetadata(track, data);
 
-    // Create song ID from artist and title
-    const newSongId = `${data.artist}-${data.title}`.replace(/[^a-zA-Z0-9-]/g, '_');
+    // Song ID comes from the server's song catalog
+    const newSongId = data.song_id || null;
 
     // If song changed, reset rating buttons and fetch ratings
     if (currentSongId !== newSongId) {
@@ -222,56 +434,55 @@ function updateNowPlaying(data) {
     sourceQuality.textContent = sourceQualityText;
     console.log(`✅ Source quality updated: ${sourceQualityText}`);
 
-    // Update stream quality (how it's being delivered - typically upsampled to 48kHz)
-    // The stream is always 48kHz FLAC/HLS Lossless regardless of source
-    const streamSampleRate = 48; // kHz - our stream is always 48kHz
-    const streamFormat = 'FLAC / HLS Lossless';
-    const streamQualityText = `Stream quality: ${streamSampleRate}kHz ${streamFormat}`;
-    streamQuality.textContent = streamQualityText;
-    console.log(`✅ Stream quality updated: ${streamQualityText}`);
-
     // Update recently played from server data
     renderRecentlyPlayed(data);
+
+    // Kept for the offline screen
+    saveSnapshot(localStorage, createSnapshot({ ...track, recently_played: data.recently_played }, player.station));
 }
 
 // Render recently played tracks from server data
 function renderRecentlyPlayed(data) {
-    const recentTracks = [];
-
-    // Build array from prev_* fields
-    for (let i = 1; i <= 5; i++) {
-        const artist = data[`prev_artist_${i}`];
-        const title = data[`prev_title_${i}`];
-
-        if (artist && title) {
-            recentTracks.push({ artist, title });
-        }
-    }
+    const recentTracks = data.recently_played || [];
 
     if (recentTracks.length === 0) {
         recentlyPlayedList.innerHTML = '<div class="empty-state">No recent tracks yet</div>';
         return;
     }
 
+    // Data saver skips the thumbnails
     recentlyPlayedList.innerHTML = recentTracks.map(track => `
         <div class="track-item">
-            <span class="artist">${track.artist}:</span> <span class="title">${track.title}</span>
+            ${track.song_id && !dataSaver ? `<img class="track-thumb" src="${getArtUrl(track.song_id, 96, 'webp')}" alt="" width="48" height="48" loading="lazy">` : ''}
+            <span class="artist">${escapeHtml(track.artist)}:</span> <span class="title">${escapeHtml(track.title)}</span>
         </div>
     `).join('');
+
+    // Songs played before art capture have no thumbnail
+    recentlyPlayedList.querySelectorAll('.track-thumb').forEach(img => {
+        img.addEventListener('error', () => img.remove(), { once: true });
+    });
+}
+
+// Album art URL for a catalog song (see GET /api/art/:song_id)
+function getArtUrl(songId, size, format) {
+    return `/api/art/${encodeURIComponent(songId)}?size=${size}&format=${format}`;
+}
+
+// Escape text for insertion into innerHTML
+function escapeHtml(text) {
+    const div = document.createElement('div');
+    div.textContent = text == null ? '' : String(text);
+    return div.innerHTML;
 }
 
-// Fetch ratings for current song
+// Fetch ratings for the displayed song
 async function fetchRatings() {
     if (!currentSongId) return;
 
-    try {
-        const response = await fetch(`/api/ratings/${currentSongId}?session_id=${getSessionId()}`);
-        if (!response.ok) throw new Error('Failed to fetch ratings');
-
-        const data = await response.json();
+    const data = await player.fetchRatings(currentSongId);
+    if (data) {
         updateRatingDisplay(data);
-    } catch (error) {
-        console.error('Error fetching ratings:', error);
     }
 }
 
@@ -280,118 +491,194 @@ function updateRatingDisplay(data) {
     thumbsUpCount.textContent = data.thumbs_up || 0;
     thumbsDownCount.textContent = data.thumbs_down || 0;
 
-    // Reset button states - keep them enabled so users can change their mind
-    thumbsUpBtn.classList.remove('active');
-    thumbsDownBtn.classList.remove('active');
+    // Mark user's previous rating if exists (but keep buttons enabled
+    // so users can change their mind)
+    setActiveRating(data.user_rating);
     thumbsUpBtn.disabled = false;
     thumbsDownBtn.disabled = false;
+}
 
-    // Mark user's previous rating if exists (but keep buttons enabled)
-    if (data.user_rating === 1) {
-        thumbsUpBtn.classList.add('active');
-    } else if (data.user_rating === -1) {
-        thumbsDownBtn.classList.add('active');
-    }
+// Highlight the listener's vote (1, -1 or none) on the rating buttons
+function setActiveRating(rating) {
+    thumbsUpBtn.classList.toggle('active', rating === 1);
+    thumbsDownBtn.classList.toggle('active', rating === -1);
+    thumbsUpBtn.setAttribute('aria-pressed', String(rating === 1));
+    thumbsDownBtn.setAttribute('aria-pressed', String(rating === -1));
 }
 
-// Submit rating
+// Update vote totals pushed by the server (ignores other songs)
+function updateRatingCounts(data) {
+    if (data.song_id !== currentSongId) return;
+
+    thumbsUpCount.textContent = data.thumbs_up || 0;
+    thumbsDownCount.textContent = data.thumbs_down || 0;
+}
+
+// Submit rating for the displayed song (which may lag the live track
+// while time-shifted)
 async function submitRating(rating) {
     if (!currentSongId) return;
 
-    try {
-        const response = await fetch('/api/ratings', {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({
-                song_id: currentSongId,
-                session_id: getSessionId(),
-                rating: rating
-            })
-        });
+    const data = await player.rate(rating, currentSongId);
+    if (!data) return;
 
-        if (!response.ok) throw new Error('Failed to submit rating');
+    // Update display with new counts
+    thumbsUpCount.textContent = data.thumbs_up || 0;
+    thumbsDownCount.textContent = data.thumbs_down || 0;
 
-        const data = await response.json();
+    // Mark active button but keep both enabled so users can change their vote
+    setActiveRating(rating);
+    announce(rating === 1 ? 'You rated this track thumbs up' : 'You rated this track thumbs down');
+    thumbsUpBtn.disabled = false;
+    thumbsDownBtn.disabled = false;
+}
+
+// Rating button event listeners
+thumbsUpBtn.addEventListener('click', () => submitRating(1));
+thumbsDownBtn.addEventListener('click', () => submitRating(-1));
 
-        // Update display with new counts
-        thumbsUpCount.textContent = data.thumbs_up || 0;
-        thumbsDownCount.textContent = data.thumbs_down || 0;
+// Track changes and live rating totals from other listeners, pushed by
+// the server while the player follows the station's now playing stream
+player.on('trackchange', receiveTrack);
+player.on('ratings', updateRatingCounts);
 
-        // Mark active button but keep both enabled so users can change their vote
-        thumbsUpBtn.classList.remove('active');
-        thumbsDownBtn.classList.remove('active');
+// "N listening now" for the selected station, hidden until it is known
+function updateListeningNow({ listening }) {
+    listeningNow.textContent = `${listening.toLocaleString()} listening now`;
+    listeningNow.hidden = listening === 0;
+}
 
-        if (rating === 1) {
-            thumbsUpBtn.classList.add('active');
-        } else {
-            thumbsDownBtn.classList.add('active');
-        }
+player.on('listeners', updateListeningNow);
+player.on('stationchange', () => {
+    listeningNow.hidden = true;
+});
 
-        // Keep buttons enabled so users can change their vote
-        thumbsUpBtn.disabled = false;
-        thumbsDownBtn.disabled = false;
+// In data saver mode, drop the now playing stream while the page is hidden
+// and catch up (current track and rating totals) when it is shown again
+document.addEventListener('visibilitychange', function() {
+    if (document.hidden && dataSaver && player.followingMetadata) {
+        console.log('⏸️ Page hidden - pausing now playing updates (data saver)');
+        metadataPaused = true;
+        player.stopMetadata();
+    } else if (!document.hidden && metadataPaused) {
+        metadataPaused = false;
+        player.startMetadata();
+        fetchRatings();
+    }
+});
+
+// Load the station list, restore the listener's last station and follow it
+async function loadStations() {
+    try {
+        const response = await fetch(stationsUrl);
+        if (!response.ok) throw new Error('Failed to fetch stations');
+
+        stations = await response.json();
     } catch (error) {
-        console.error('Error submitting rating:', error);
-        alert('Failed to submit rating');
+        console.error('Error fetching stations:', error);
+    }
+
+    stationSelect.innerHTML = stations.map(station =>
+        `<option value="${escapeHtml(station.id)}">${escapeHtml(station.name)}</option>`
+    ).join('');
+    stationSelect.hidden = stations.length < 2;
+
+    let savedId = null;
+    try {
+        savedId = localStorage.getItem(stationStorageKey);
+    } catch (e) {
+        console.warn('localStorage not available, using the default station');
+    }
+
+    const station = stations.find(item => item.id === savedId)
+        || stations.find(item => item.is_default)
+        || stations[0];
+    if (station) {
+        selectStation(station);
     }
+
+    player.startMetadata();
 }
 
-// Rating button event listeners
-thumbsUpBtn.addEventListener('click', () => submitRating(1));
-thumbsDownBtn.addEventListener('click', () => submitRating(-1));
+// Show a station's name, tagline, logo and accent color
+function applyBranding(station) {
+    const branding = station.branding || {};
+
+    stationName.textContent = station.name;
+    document.title = station.is_default ? defaultBranding.title : `${station.name} - Radio Calico`;
 
-// Start fetching metadata
-function startMetadataFetch() {
-    // Fetch immediately
-    fetchMetadata();
+    stationTagline.textContent = branding.tagline || '';
+    stationTagline.hidden = !branding.tagline;
 
-    // Then fetch every 5 seconds
-    if (!metadataInterval) {
-        metadataInterval = setInterval(fetchMetadata, 5000);
+    stationLogo.src = branding.logo_url || defaultBranding.logo;
+    stationLogo.alt = `${station.name} Logo`;
+    stationLogoSource.srcset = branding.logo_url || defaultBranding.logoWebp;
+
+    if (branding.accent_color) {
+        document.documentElement.style.setProperty('--header-bg', branding.accent_color);
+    } else {
+        document.documentElement.style.removeProperty('--header-bg');
     }
 }
 
-// Stop fetching metadata
-function stopMetadataFetch() {
-    if (metadataInterval) {
-        clearInterval(metadataInterval);
-        metadataInterval = null;
+// Switch to a station: rebrand, follow its now playing stream and, if the
+// player was running, continue playback on the new stream
+function selectStation(station) {
+    const previous = player.station;
+    const wasPlaying = player.isPlaying();
+
+    stationSelect.value = station.id;
+    applyBranding(station);
+
+    try {
+        localStorage.setItem(stationStorageKey, station.id);
+    } catch (e) {
+        console.warn('localStorage not available, station choice will not be remembered');
+    }
+
+    // The fallback station is the default station, its track carries over
+    if (previous.id !== null && previous.id !== station.id) {
+        console.log('📻 Switching to station:', station.id);
+        currentSongId = null;
+        trackTimeline.clear();
+        displayedTrack = null;
+    }
+
+    // Stops the old stream and moves the now playing stream over
+    player.setStation(station);
+
+    if (wasPlaying && !player.isPlaying()) {
+        playButton.click();
     }
 }
 
-// Page Visibility API - pause metadata polling when tab is hidden
-document.addEventListener('visibilitychange', function() {
-    if (document.hidden) {
-        // Tab is hidden - pause metadata fetching to save bandwidth
-        if (isPlaying && metadataInterval) {
-            console.log('📭 Tab hidden - pausing metadata polling');
-            stopMetadataFetch();
-        }
-    } else {
-        // Tab is visible again - resume metadata fetching if playing
-        if (isPlaying && !metadataInterval) {
-            console.log('📬 Tab visible - resuming metadata polling');
-            startMetadataFetch();
-        }
+// Stop the stream (rather than pause it) and release the HLS instance
+function stopPlayback() {
+    playbackSupervisor.stop();
+    player.stop();
+}
+
+stationSelect.addEventListener('change', function() {
+    const station = stations.find(item => item.id === this.value);
+    if (station) {
+        selectStation(station);
     }
 });
 
-// Format time as m:ss / Live
+// Elapsed time and live offset: "0:35 / Live", or "0:35 / -1:24" when behind live
 function formatTime(seconds) {
     const mins = Math.floor(seconds / 60);
     const secs = seconds % 60;
-    return `${mins}:${String(secs).padStart(2, '0')} / Live`;
+    return `${mins}:${String(secs).padStart(2, '0')} / ${formatLiveOffset(liveOffset)}`;
 }
 
 // Update elapsed time display
 function updateElapsedTime() {
-    if (isPlaying && startTime) {
+    if (player.isPlaying() && startTime) {
         const now = Date.now();
         elapsedSeconds = Math.floor((now - startTime) / 1000);
-        elapsedTimeDisplay.textContent = formatTime(elapsedSeconds);
     }
+    elapsedTimeDisplay.textContent = formatTime(elapsedSeconds);
 }
 
 // Start timer
@@ -416,63 +703,137 @@ function resetTimer() {
     stopTimer();
     elapsedSeconds = 0;
     startTime = null;
-    elapsedTimeDisplay.textContent = '0:00 / Live';
+    liveOffset = 0;
+    elapsedTimeDisplay.textContent = formatTime(0);
+    updateLiveControls();
+    showDelayedTrack();
 }
 
 // Play/Pause functionality
 playButton.addEventListener('click', function() {
-    console.log('Play button clicked. isPlaying:', isPlaying, 'hls:', !!hls, 'HLS supported:', Hls.isSupported());
+    console.log('Play button clicked. State:', player.state, 'HLS supported:', Hls.isSupported());
+
+    if (!player.isPlaying()) {
+        applyAudioEffects();
+        playbackSupervisor.start();
+        resumeInWindow();
+        player.play();
+    } else {
+        playbackSupervisor.stop();
+        player.pause();
+    }
+});
 
-    if (!hls && Hls.isSupported()) {
-        console.log('Initializing HLS player...');
-        initPlayer();
+// Reflect the player's state in the controls, status, timer, lock screen
+// and visualizer
+player.on('statechange', function({ state, previous }) {
+    setPlayButton(player.isPlaying());
+    updateMediaSessionState();
+    updateVisualizer();
+
+    if (state === 'playing') {
+        updateStatus('Playing', 'playing');
+        startTimer();
+        listeningSession.start();
+    } else if (state === 'loading') {
+        updateStatus(previous === 'playing' ? 'Buffering...' : 'Loading...', 'loading');
+    } else if (state === 'paused') {
+        playbackSupervisor.stop();
+        updateStatus('Paused', 'stopped');
+        stopTimer();
+        listeningSession.end();
+    } else {
+        playbackSupervisor.stop();
+        listeningSession.end();
+        updateStatus('Stopped', 'stopped');
+        resetTimer();
+        setStreamQuality({ codec: null, bitrate: null, sampleRate: null });
     }
+});
 
-    if (!isPlaying) {
-        console.log('Attempting to play audio...');
-        updateStatus('Loading...', 'loading');
+player.on('error', function({ type, error, data }) {
+    switch (type) {
+        case 'hls':
+            console.error('❌ HLS error:', data);
+            console.error('Error type:', data.type);
+            console.error('Error details:', data.details);
+            console.error('Error fatal:', data.fatal);
 
-        audioPlayer.play()
-            .then(() => {
-                console.log('Audio playback started successfully');
-                isPlaying = true;
-                playButton.textContent = '⏸';
-                updateStatus('Playing', 'playing');
-                startTimer();
-                startMetadataFetch();
-            })
-            .catch(error => {
-                console.error('Play error:', error);
-                console.error('Error name:', error.name);
-                console.error('Error message:', error.message);
-
-                // Check for common autoplay errors
-                if (error.name === 'NotAllowedError') {
-                    updateStatus('Click play again (browser autoplay policy)', 'stopped');
-                    alert('Browser blocked autoplay. Please click play again.');
-                } else if (error.name === 'NotSupportedError') {
-                    updateStatus('Media format not supported', 'stopped');
+            // hls.js retries non-fatal errors itself; fatal ones go to the
+            // playback supervisor
+            if (data.fatal) {
+                if (data.type === Hls.ErrorTypes.NETWORK_ERROR) {
+                    playbackSupervisor.fail('network');
+                } else if (data.type === Hls.ErrorTypes.MEDIA_ERROR) {
+                    playbackSupervisor.fail('media');
                 } else {
-                    updateStatus('Error playing stream: ' + error.message, 'stopped');
+                    playbackSupervisor.fail('fatal');
                 }
-            });
-    } else {
-        console.log('Pausing audio...');
-        audioPlayer.pause();
-        isPlaying = false;
-        playButton.textContent = '▶';
-        updateStatus('Paused', 'stopped');
-        stopTimer();
-        stopMetadataFetch();
+            }
+            break;
+        case 'play':
+            console.error('Play error:', error);
+            console.error('Error name:', error.name);
+            console.error('Error message:', error.message);
+            playbackSupervisor.stop();
+
+            // Check for common autoplay errors
+            if (error.name === 'NotAllowedError') {
+                updateStatus('Click play again (browser autoplay policy)', 'stopped');
+                alert('Browser blocked autoplay. Please click play again.');
+            } else if (error.name === 'NotSupportedError') {
+                updateStatus('Media format not supported', 'stopped');
+            } else {
+                updateStatus('Error playing stream: ' + error.message, 'stopped');
+            }
+            break;
+        case 'recover':
+            console.error('Recovery play error:', error);
+            playbackSupervisor.fail('play');
+            break;
+        case 'unsupported':
+            console.error('HLS is not supported in this browser');
+            alert('HLS is not supported in your browser');
+            break;
+        case 'rate':
+            console.error('Error submitting rating:', error);
+            alert('Failed to submit rating');
+            break;
+        default:
+            // Now playing and rating updates, retried on the next change
+            console.error(`Error loading ${type}:`, error);
     }
 });
 
+// Media Session: track details on the lock screen and in system media
+// controls, and hardware media keys routed through the play button
+function updateMediaMetadata(track, data) {
+    setMetadata(navigator.mediaSession, {
+        title: trackTitle.textContent,
+        artist: trackArtist.textContent,
+        album: track.album || (player.station ? player.station.name : ''),
+        artwork: getArtwork(data, getArtUrl)
+    });
+}
+
+function updateMediaSessionState() {
+    setPlaybackState(navigator.mediaSession, player.isPlaying());
+}
+
+setActionHandlers(navigator.mediaSession, {
+    play: () => { if (!player.isPlaying()) playButton.click(); },
+    pause: () => { if (player.isPlaying()) playButton.click(); },
+    stop: () => stopPlayback(),
+    seekbackward: () => rewindButton.click()
+});
+
 // Volume control
 volumeSlider.addEventListener('input', function() {
     const volume = this.value;
-    audioPlayer.volume = volume / 100;
+    player.setVolume(volume / 100);
 
     // Update volume icon
+    volumeIcon.setAttribute('aria-label', volume == 0 ? 'Unmute' : 'Mute');
     if (volume == 0) {
         volumeIcon.textContent = '🔇';
     } else if (volume < 50) {
@@ -497,41 +858,602 @@ volumeIcon.addEventListener('click', function() {
     volumeSlider.dispatchEvent(new Event('input'));
 });
 
-// Audio events
-audioPlayer.addEventListener('waiting', function() {
-    updateStatus('Buffering...', 'loading');
+// Keyboard shortcuts (see public/accessibility.js for the keys)
+const volumeStep = 5;
+
+function changeVolume(delta) {
+    volumeSlider.value = Number(volumeSlider.value) + delta;
+    volumeSlider.dispatchEvent(new Event('input'));
+    announce(describeVolume(volumeSlider.value));
+}
+
+const shortcutActions = {
+    'play-pause': () => playButton.click(),
+    mute: () => {
+        volumeIcon.click();
+        announce(describeVolume(volumeSlider.value));
+    },
+    'volume-up': () => changeVolume(volumeStep),
+    'volume-down': () => changeVolume(-volumeStep),
+    'rate-up': () => thumbsUpBtn.click(),
+    'rate-down': () => thumbsDownBtn.click()
+};
+
+document.addEventListener('keydown', function(event) {
+    const shortcut = getShortcut(event);
+    if (!shortcut) return;
+
+    shortcutActions[shortcut]();
+    event.preventDefault();
+});
+
+// Sleep timer and alarm (while the tab is open)
+// Both adjust the player's volume relative to the volume slider, so the
+// listener's volume is restored once a fade ends
+function getListenerVolume() {
+    return volumeSlider.value / 100;
+}
+
+function startSleepTimer(minutes) {
+    sleepEndsAt = Date.now() + minutes * 60 * 1000;
+    console.log(`💤 Sleep timer set for ${minutes} min`);
+    updateTimers();
+}
+
+function cancelSleepTimer() {
+    if (sleepEndsAt !== null) {
+        console.log('💤 Sleep timer cancelled');
+    }
+    sleepEndsAt = null;
+    player.setVolume(getListenerVolume());
+    updateTimers();
+}
+
+// Arm the alarm for the next occurrence of the chosen time
+function scheduleAlarm() {
+    alarmAt = alarmToggle.checked ? getNextAlarm(alarmTime.value) : null;
+    if (alarmAt) {
+        console.log('⏰ Alarm set for', alarmAt.toString());
+    }
+    saveTimerSettings();
+    updateTimers();
+}
+
+// Fade, fire and display the sleep timer and alarm; ticks only while one
+// of them is pending
+function updateTimers() {
+    const now = Date.now();
+
+    if (sleepEndsAt !== null && now >= sleepEndsAt) {
+        console.log('💤 Sleep timer finished - pausing playback');
+        sleepEndsAt = null;
+        sleepSelect.value = '';
+        sleepMinutes.hidden = true;
+        if (player.isPlaying()) {
+            playButton.click();
+        }
+        player.setVolume(getListenerVolume());
+    } else if (sleepEndsAt !== null && player.isPlaying() && fadeInStartedAt === null) {
+        player.setVolume(getFadeOutVolume(getListenerVolume(), sleepEndsAt - now));
+    }
+
+    if (alarmAt !== null && now >= alarmAt.getTime()) {
+        // Rings again at the same time tomorrow
+        alarmAt = getNextAlarm(alarmTime.value);
+        if (!player.isPlaying()) {
+            console.log('⏰ Alarm - starting playback');
+            fadeInStartedAt = now;
+            player.setVolume(0);
+            playButton.click();
+        }
+    }
+
+    if (fadeInStartedAt !== null) {
+        player.setVolume(getFadeInVolume(getListenerVolume(), now - fadeInStartedAt));
+        if (now - fadeInStartedAt >= FADE_IN_MS) {
+            fadeInStartedAt = null;
+        }
+    }
+
+    const labels = [];
+    if (sleepEndsAt !== null) labels.push(`💤 ${formatCountdown(sleepEndsAt - now)}`);
+    if (alarmAt !== null) labels.push(`⏰ ${alarmTime.value}`);
+    timerCountdown.textContent = labels.join(' · ');
+    timerCountdown.hidden = labels.length === 0;
+
+    const pending = sleepEndsAt !== null || alarmAt !== null || fadeInStartedAt !== null;
+    if (pending && !timersInterval) {
+        timersInterval = setInterval(updateTimers, 500);
+    } else if (!pending && timersInterval) {
+        clearInterval(timersInterval);
+        timersInterval = null;
+    }
+}
+
+// Restore the custom sleep duration and the alarm from the last visit
+function loadTimerSettings() {
+    let saved = {};
+    try {
+        saved = JSON.parse(localStorage.getItem(timersStorageKey)) || {};
+    } catch (e) {
+        console.warn('localStorage not available, timer settings will not be remembered');
+    }
+
+    sleepMinutes.value = parseSleepMinutes(saved.sleep_minutes) || '';
+    if (getNextAlarm(saved.alarm_time)) {
+        alarmTime.value = saved.alarm_time;
+    }
+    alarmToggle.checked = saved.alarm_enabled === true;
+    scheduleAlarm();
+}
+
+function saveTimerSettings() {
+    try {
+        localStorage.setItem(timersStorageKey, JSON.stringify({
+            sleep_minutes: parseSleepMinutes(sleepMinutes.value),
+            alarm_time: alarmTime.value,
+            alarm_enabled: alarmToggle.checked
+        }));
+    } catch (e) {
+        console.warn('localStorage not available, timer settings will not be remembered');
+    }
+}
+
+sleepSelect.addEventListener('change', function() {
+    const custom = this.value === 'custom';
+    sleepMinutes.hidden = !custom;
+
+    const minutes = parseSleepMinutes(custom ? sleepMinutes.value : this.value);
+    if (minutes) {
+        startSleepTimer(minutes);
+    } else {
+        cancelSleepTimer();
+    }
+
+    if (custom) {
+        sleepMinutes.focus();
+    }
+});
+
+sleepMinutes.addEventListener('change', function() {
+    const minutes = parseSleepMinutes(this.value);
+    saveTimerSettings();
+    if (minutes) {
+        startSleepTimer(minutes);
+    } else {
+        cancelSleepTimer();
+    }
 });
 
+alarmToggle.addEventListener('change', scheduleAlarm);
+alarmTime.addEventListener('change', scheduleAlarm);
+
+// Equalizer and loudness leveling
+// The element only goes through Web Audio once an effect is enabled (from
+// a click, so the AudioContext may start); see public/audio-effects.js
+function buildEqSliders() {
+    eqBands.innerHTML = EQ_BANDS.map((frequency, index) => {
+        const label = frequency >= 1000 ? `${frequency / 1000}k` : String(frequency);
+        return `
+            <label class="eq-band">
+                <input type="range" min="${-MAX_GAIN_DB}" max="${MAX_GAIN_DB}" step="1" value="0" data-band="${index}" aria-label="${label}Hz gain">
+                <span>${label}</span>
+            </label>
+        `;
+    }).join('');
+
+    eqBands.querySelectorAll('input').forEach(slider => {
+        slider.addEventListener('input', function() {
+            audioEffects.gains[Number(this.dataset.band)] = Number(this.value);
+            audioEffects.preset = 'custom';
+            updateAudioEffects();
+        });
+    });
+}
+
+function renderAudioEffects() {
+    eqToggle.checked = audioEffects.eq_enabled;
+    eqPreset.value = audioEffects.preset;
+    levelingToggle.checked = audioEffects.leveling;
+    eqBands.querySelectorAll('input').forEach(slider => {
+        slider.value = audioEffects.gains[Number(slider.dataset.band)];
+        slider.disabled = !audioEffects.eq_enabled;
+    });
+}
+
+// Route the player through the effects graph, creating it on first use
+function applyAudioEffects() {
+    if (!effectsChain) {
+        if (isBypassed(audioEffects) && !isVisualizerWanted()) return;
+
+        const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+        if (!AudioContextClass) {
+            console.warn('Web Audio not supported - equalizer unavailable');
+            return;
+        }
+        audioContext = new AudioContextClass({ latencyHint: 'playback' });
+        effectsChain = createEffectsChain(audioContext, audioPlayer);
+        console.log('🎛️ Audio effects enabled');
+    }
+
+    effectsChain.apply(audioEffects, { analyse: isVisualizerWanted() });
+    if (audioContext.state === 'suspended') {
+        audioContext.resume();
+    }
+}
+
+function updateAudioEffects() {
+    renderAudioEffects();
+    applyAudioEffects();
+
+    try {
+        localStorage.setItem(effectsStorageKey, JSON.stringify(audioEffects));
+    } catch (e) {
+        console.warn('localStorage not available, equalizer settings will not be remembered');
+    }
+}
+
+// Restore the equalizer from the last visit; it is applied on play
+function loadAudioEffects() {
+    try {
+        audioEffects = normalizeSettings(JSON.parse(localStorage.getItem(effectsStorageKey)));
+    } catch (e) {
+        console.warn('localStorage not available, equalizer starts flat');
+    }
+
+    buildEqSliders();
+    renderAudioEffects();
+}
+
+eqToggle.addEventListener('change', function() {
+    audioEffects.eq_enabled = this.checked;
+    updateAudioEffects();
+});
+
+eqPreset.addEventListener('change', function() {
+    audioEffects.preset = this.value;
+    if (EQ_PRESETS[this.value]) {
+        audioEffects.gains = EQ_PRESETS[this.value].slice();
+    }
+    updateAudioEffects();
+});
+
+levelingToggle.addEventListener('change', function() {
+    audioEffects.leveling = this.checked;
+    updateAudioEffects();
+});
+
+// Spectrum visualizer over the album art; runs only while playing with the
+// page visible, and stays off when the listener prefers reduced motion
+function isVisualizerWanted() {
+    return visualizerSetting !== 'off' && !(reducedMotion && reducedMotion.matches);
+}
+
+function updateVisualizer() {
+    const motionReduced = Boolean(reducedMotion && reducedMotion.matches);
+    visualizerMode.disabled = motionReduced;
+    visualizerMode.title = motionReduced ? 'Off because your system prefers reduced motion' : '';
+    visualizerMode.value = motionReduced ? 'off' : visualizerSetting;
+
+    if (isVisualizerWanted() && player.isPlaying() && !document.hidden) {
+        // The analyser is part of the audio effects graph
+        applyAudioEffects();
+        if (!effectsChain) return;
+
+        if (!visualizer) {
+            visualizer = createVisualizer(visualizerCanvas, effectsChain.analyser);
+        }
+        visualizerCanvas.hidden = false;
+        visualizer.start(visualizerSetting);
+    } else if (visualizer) {
+        visualizer.stop();
+        visualizerCanvas.hidden = true;
+        // Take the analyser out of the signal path again
+        applyAudioEffects();
+    }
+}
+
+function loadVisualizerSetting() {
+    try {
+        const saved = localStorage.getItem(visualizerStorageKey);
+        visualizerSetting = VISUALIZER_MODES.includes(saved) ? saved : 'off';
+    } catch (e) {
+        console.warn('localStorage not available, visualizer starts off');
+    }
+    updateVisualizer();
+}
+
+visualizerMode.addEventListener('change', function() {
+    visualizerSetting = this.value;
+    try {
+        localStorage.setItem(visualizerStorageKey, visualizerSetting);
+    } catch (e) {
+        console.warn('localStorage not available, visualizer choice will not be remembered');
+    }
+    updateVisualizer();
+});
+
+document.addEventListener('visibilitychange', updateVisualizer);
+if (reducedMotion) {
+    reducedMotion.addEventListener('change', updateVisualizer);
+}
+
+// Audio events (the player tracks waiting, playing and ended itself);
+// every start of playback, including after a recovery, ends the supervisor's
+// connecting state
 audioPlayer.addEventListener('playing', function() {
     updateStatus('Playing', 'playing');
+    playbackSupervisor.playing();
+});
+
+// Errors of the element itself (Safari's native HLS, or a broken MSE source)
+audioPlayer.addEventListener('error', function() {
+    if (player.isPlaying()) {
+        playbackSupervisor.fail('media-element');
+    }
 });
 
 audioPlayer.addEventListener('pause', function() {
-    if (isPlaying) {
+    if (player.isPlaying()) {
         updateStatus('Paused', 'stopped');
     }
 });
 
-audioPlayer.addEventListener('ended', function() {
-    isPlaying = false;
-    playButton.textContent = '▶';
-    updateStatus('Stopped', 'stopped');
-    resetTimer();
-    stopMetadataFetch();
+// Time shift within the live window: pausing keeps the position, and the
+// now playing display follows the delayed audio (see public/time-shift.js)
+function getLivePosition() {
+    if (player.hls) return player.hls.liveSyncPosition;
+
+    // Safari's native HLS: the end of the seekable range
+    const seekable = audioPlayer.seekable;
+    return seekable.length > 0 ? seekable.end(seekable.length - 1) : null;
+}
+
+function getWindowStart() {
+    return audioPlayer.seekable.length > 0 ? audioPlayer.seekable.start(0) : 0;
+}
+
+// A long pause can leave the paused position outside the DVR window
+function resumeInWindow() {
+    if (audioPlayer.seekable.length === 0) return;
+
+    const position = getResumePosition(audioPlayer.currentTime, getWindowStart());
+    if (position !== audioPlayer.currentTime) {
+        console.log('⏩ Paused position left the live window - resuming at the oldest available audio');
+        audioPlayer.currentTime = position;
+    }
+}
+
+function updateLiveOffset() {
+    liveOffset = audioPlayer.seekable.length > 0 ? getLiveOffset(getLivePosition(), audioPlayer.currentTime) : 0;
+    elapsedTimeDisplay.textContent = formatTime(elapsedSeconds);
+    updateLiveControls();
+    showDelayedTrack();
+}
+
+function updateLiveControls() {
+    liveButton.disabled = liveOffset === 0;
+    rewindButton.disabled = audioPlayer.seekable.length === 0;
+}
+
+// Remember when each track update arrived, then show the one matching the
+// audio; timeupdate rechecks, so a change appears when it becomes audible
+function receiveTrack(data) {
+    trackTimeline.add(data, Date.now());
+    showDelayedTrack();
+}
+
+// How far the audible audio is behind the station: the program date of
+// the playing position where the stream has one, else the measured latency
+function getPlaybackDelay() {
+    if (audioPlayer.seekable.length === 0) return 0;
+
+    const now = Date.now();
+    const hls = player.hls;
+    if (hls) {
+        return getAudioDelay({ now, playingDate: hls.playingDate, latency: hls.latency });
+    }
+
+    // Safari's native HLS exposes the program date of position 0
+    const startDate = typeof audioPlayer.getStartDate === 'function' ? audioPlayer.getStartDate() : null;
+    const playingDate = startDate ? startDate.getTime() + audioPlayer.currentTime * 1000 : null;
+    return getAudioDelay({ now, playingDate, latency: getLivePosition() - audioPlayer.currentTime });
+}
+
+function showDelayedTrack() {
+    const track = trackTimeline.at(Date.now() - getPlaybackDelay());
+    if (track && track !== displayedTrack) {
+        displayedTrack = track;
+        updateNowPlaying(track);
+    }
+}
+
+rewindButton.addEventListener('click', function() {
+    if (audioPlayer.seekable.length === 0) return;
+
+    audioPlayer.currentTime = getRewindPosition(audioPlayer.currentTime, getWindowStart());
+    updateLiveOffset();
+    announce(`${formatLiveOffset(liveOffset)} behind live`);
+});
+
+liveButton.addEventListener('click', function() {
+    const livePosition = getLivePosition();
+    if (Number.isFinite(livePosition)) {
+        audioPlayer.currentTime = livePosition;
+    }
+    updateLiveOffset();
+    announce('Live');
+
+    if (!player.isPlaying()) {
+        playButton.click();
+    }
+});
+
+// The offset keeps growing while paused, so it is tracked independently of
+// the elapsed listening timer
+audioPlayer.addEventListener('timeupdate', updateLiveOffset);
+setInterval(function() {
+    if (audioPlayer.paused && audioPlayer.seekable.length > 0) {
+        updateLiveOffset();
+    }
+}, 1000);
+
+// Playback supervision: retries with backoff after fatal errors, stalls
+// and network drops (see public/playback-supervisor.js)
+const playbackSupervisor = createPlaybackSupervisor({
+    recover: recoverPlayback,
+    getCurrentTime: () => audioPlayer.currentTime,
+    isPaused: () => audioPlayer.paused
+});
+
+// Rebuild the player for another attempt; a decode error is first
+// recovered in place, which keeps the buffer
+function recoverPlayback({ attempt, reason }) {
+    console.log(`🔄 Recovery attempt ${attempt} (${reason})`);
+    player.recover({ inPlace: reason === 'media' && attempt === 1 });
+}
+
+// Each transition is logged and dispatched as a `radio:playback` event on
+// window (detail: { from, to, reason, attempt, delay, at }) for telemetry
+playbackSupervisor.on('transition', function(event) {
+    console.log(`🩺 Playback ${event.from} → ${event.to}`, event.reason || '');
+    window.dispatchEvent(new CustomEvent('radio:playback', { detail: event }));
+
+    connectionStatus.hidden = event.to !== 'recovering' && event.to !== 'failed';
+    retryButton.hidden = connectionStatus.hidden;
+
+    if (event.to === 'stalled') {
+        updateStatus('Buffering...', 'loading');
+    } else if (event.to === 'recovering') {
+        updateStatus(`Connection lost - reconnecting (attempt ${event.attempt})`, 'loading');
+    } else if (event.to === 'failed') {
+        connectionStatus.textContent = 'Connection lost';
+        updateStatus('Connection lost - press Retry to reconnect', 'stopped');
+    }
+});
+
+playbackSupervisor.on('countdown', function({ seconds }) {
+    connectionStatus.textContent = `Reconnecting in ${seconds}s`;
+});
+
+retryButton.addEventListener('click', () => playbackSupervisor.retryNow());
+window.addEventListener('online', () => {
+    playbackSupervisor.online();
+    offerReconnect();
+});
+window.addEventListener('offline', () => {
+    playbackSupervisor.fail('offline');
+    showOfflineScreen();
+});
+
+// While the network is down, cover the stale page with the last track
+// and history saved by updateNowPlaying()
+function showOfflineScreen() {
+    const snapshot = loadSnapshot(localStorage);
+
+    offlineTrack.hidden = !snapshot;
+    offlineRecent.hidden = !snapshot || snapshot.recently_played.length === 0;
+    if (snapshot) {
+        const station = snapshot.station && snapshot.station.name ? ` on ${snapshot.station.name}` : '';
+        offlineTrackLabel.textContent = `Last played${station}, ${formatSnapshotAge(snapshot.saved_at)}`;
+        offlineArtist.textContent = snapshot.track.artist || 'Unknown Artist';
+        offlineSong.textContent = snapshot.track.title || 'Unknown Track';
+        offlineRecentList.innerHTML = snapshot.recently_played.map(track => `
+            <li><span class="artist">${escapeHtml(track.artist)}:</span> <span class="title">${escapeHtml(track.title)}</span></li>
+        `).join('');
+    }
+
+    offlineMessage.textContent = 'Radio Calico will be back when your connection returns.';
+    reconnectButton.disabled = true;
+    reconnectButton.textContent = 'Waiting for connection…';
+
+    if (offlineScreen.hidden) {
+        offlineScreen.hidden = false;
+        offlineTitle.focus();
+        announce('You are offline');
+    }
+}
+
+// Connectivity is back: let the listener pick up where they left off
+function offerReconnect() {
+    if (offlineScreen.hidden) return;
+
+    offlineMessage.textContent = 'You\'re back online.';
+    reconnectButton.disabled = false;
+    reconnectButton.textContent = 'Reconnect';
+    reconnectButton.focus();
+    announce('Back online. Press Reconnect to continue listening');
+}
+
+// Reload what the outage left stale: the station list if it never loaded,
+// the now playing stream, and playback if it was running
+reconnectButton.addEventListener('click', function() {
+    offlineScreen.hidden = true;
+
+    if (stations.length === 0) {
+        loadStations();
+    } else if (player.followingMetadata) {
+        player.stopMetadata();
+        player.startMetadata();
+    }
+    playbackSupervisor.retryNow();
+    playButton.focus();
+});
+
+// Offer installation where the browser supports it (Chromium's
+// beforeinstallprompt); other browsers install from their own menus
+window.addEventListener('beforeinstallprompt', function(event) {
+    event.preventDefault();
+    installPrompt = event;
+    installButton.hidden = false;
+});
+
+installButton.addEventListener('click', async function() {
+    if (!installPrompt) return;
+
+    installPrompt.prompt();
+    const { outcome } = await installPrompt.userChoice;
+    console.log(`📲 Install prompt ${outcome}`);
+    installPrompt = null;
+    installButton.hidden = true;
+});
+
+window.addEventListener('appinstalled', function() {
+    installPrompt = null;
+    installButton.hidden = true;
+    announce('Radio Calico was installed');
 });
 
-// Update status display
+// Update status display (also announced to screen readers)
 function updateStatus(message, state) {
+    if (message !== statusDiv.textContent) {
+        announce(message);
+    }
     statusDiv.textContent = message;
     statusDiv.className = 'status ' + state;
 }
 
+// Play button icon and its accessible name
+function setPlayButton(playing) {
+    playButton.textContent = playing ? '⏸' : '▶';
+    playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+}
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', function() {
     stopTimer();
-    stopMetadataFetch();
-    if (hls) {
-        hls.destroy();
+    listeningSession.end({ beacon: true });
+    player.destroy();
+});
+
+// pagehide also fires on mobile, where beforeunload often does not; resume
+// the session when the page comes back from the back/forward cache
+window.addEventListener('pagehide', function() {
+    listeningSession.end({ beacon: true });
+});
+window.addEventListener('pageshow', function(event) {
+    if (event.persisted && player.state === 'playing') {
+        listeningSession.start();
     }
 });
 
@@ -560,5 +1482,15 @@ if ('serviceWorker' in navigator) {
     });
 }
 
-// Fetch metadata once on page load to show current track
-fetchMetadata();
+// Restore the quality, timer, equalizer and visualizer settings, then pick the station and follow its
+// current track from page load
+loadPlaybackSettings();
+loadTimerSettings();
+loadAudioEffects();
+loadVisualizerSetting();
+loadStations();
+
+// Opened without a connection (the page came from the service worker)
+if (!navigator.onLine) {
+    showOfflineScreen();
+}
@@ -0,0 +1,186 @@
+/* eslint-env browser */
+/**
+ * Audio Effects
+ * 10-band equalizer and loudness-leveling compressor for the player, built
+ * as a Web Audio graph behind the <audio> element
+ *
+ * The graph is only created once the listener enables an effect; until
+ * then the element plays directly. A media element cannot be detached from
+ * its source node, so from then on the audio goes through the AudioContext
+ * (resampled to its rate) until the page is reloaded; a bypassed chain
+ * connects the element straight to the output with no processing nodes in
+ * between. The visualizer's analyser is a pass-through tap at the end of
+ * the chain, only connected while the visualizer runs
+ *
+ * The element needs crossorigin="anonymous": without CORS the source node
+ * outputs silence for a cross-origin stream (Safari's native HLS)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.AudioEffects = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    // ISO octave centre frequencies (Hz)
+    const EQ_BANDS = [31, 62, 125, 250, 500, 1000, 2000, 4000, 8000, 16000];
+    const MAX_GAIN_DB = 12;
+    const EQ_Q = 1.4; // About one octave per peaking band
+    const ANALYSER_FFT_SIZE = 2048;
+
+    // Gains in dB, one per band
+    const EQ_PRESETS = {
+        flat: [0, 0, 0, 0, 0, 0, 0, 0, 0, 0],
+        bass: [6, 5, 4, 2, 0, 0, 0, 0, 0, 0],
+        treble: [0, 0, 0, 0, 0, 0, 2, 4, 5, 6],
+        vocal: [-2, -2, -1, 1, 3, 4, 3, 1, 0, -1],
+        loudness: [4, 3, 1, 0, -1, -1, 0, 1, 3, 4]
+    };
+
+    // Slow compressor that evens out level differences between tracks
+    // mastered decades apart, plus make-up gain for the reduced peaks
+    const LEVELING = {
+        threshold: -30,
+        knee: 20,
+        ratio: 3,
+        attack: 0.05,
+        release: 1,
+        makeupGain: 1.6 // About +4 dB
+    };
+
+    const DEFAULT_SETTINGS = {
+        eq_enabled: false,
+        preset: 'flat',
+        gains: EQ_PRESETS.flat,
+        leveling: false
+    };
+
+    function clampGain(value) {
+        const gain = Number(value);
+        if (!Number.isFinite(gain)) return 0;
+        return Math.max(-MAX_GAIN_DB, Math.min(MAX_GAIN_DB, Math.round(gain)));
+    }
+
+    /**
+     * Valid settings from stored or user input
+     * Unknown presets fall back to flat; gains are whole dB within ±12
+     */
+    function normalizeSettings(raw) {
+        const data = raw || {};
+        const preset = data.preset === 'custom' || Object.prototype.hasOwnProperty.call(EQ_PRESETS, data.preset)
+            ? data.preset
+            : DEFAULT_SETTINGS.preset;
+        const gains = Array.isArray(data.gains) && data.gains.length === EQ_BANDS.length
+            ? data.gains.map(clampGain)
+            : (EQ_PRESETS[preset] || DEFAULT_SETTINGS.gains).slice();
+
+        return {
+            eq_enabled: data.eq_enabled === true,
+            preset,
+            gains,
+            leveling: data.leveling === true
+        };
+    }
+
+    /**
+     * Whether the equalizer changes the signal at all
+     */
+    function isEqActive(settings) {
+        return settings.eq_enabled && settings.gains.some(gain => gain !== 0);
+    }
+
+    /**
+     * Whether the settings leave the audio unprocessed
+     */
+    function isBypassed(settings) {
+        return !isEqActive(settings) && !settings.leveling;
+    }
+
+    /**
+     * Build the effects graph for a media element
+     * Returns apply(settings, { analyse }), which reconnects the graph so
+     * that only the active effects (and the analyser, when analysing) are
+     * in the signal path, and the analyser node for the visualizer
+     */
+    function createEffectsChain(context, media) {
+        const source = context.createMediaElementSource(media);
+
+        const filters = EQ_BANDS.map((frequency, index) => {
+            const filter = context.createBiquadFilter();
+            if (index === 0) {
+                filter.type = 'lowshelf';
+            } else if (index === EQ_BANDS.length - 1) {
+                filter.type = 'highshelf';
+            } else {
+                filter.type = 'peaking';
+                filter.Q.value = EQ_Q;
+            }
+            filter.frequency.value = frequency;
+            return filter;
+        });
+        filters.slice(1).forEach((filter, index) => filters[index].connect(filter));
+
+        const compressor = context.createDynamicsCompressor();
+        compressor.threshold.value = LEVELING.threshold;
+        compressor.knee.value = LEVELING.knee;
+        compressor.ratio.value = LEVELING.ratio;
+        compressor.attack.value = LEVELING.attack;
+        compressor.release.value = LEVELING.release;
+
+        const makeup = context.createGain();
+        makeup.gain.value = LEVELING.makeupGain;
+        compressor.connect(makeup);
+
+        const analyser = context.createAnalyser();
+        analyser.fftSize = ANALYSER_FFT_SIZE;
+
+        const lastFilter = filters[filters.length - 1];
+        let route = null;
+
+        function apply(settings, { analyse = false } = {}) {
+            settings.gains.forEach((gain, index) => {
+                filters[index].gain.value = gain;
+            });
+
+            // Reconnecting on every slider move would click; only rewire
+            // when an effect is switched in or out
+            const nextRoute = `${isEqActive(settings)}:${settings.leveling}:${analyse}`;
+            if (nextRoute === route) return;
+            route = nextRoute;
+
+            source.disconnect();
+            lastFilter.disconnect();
+            makeup.disconnect();
+            analyser.disconnect();
+
+            let output = source;
+            if (isEqActive(settings)) {
+                output.connect(filters[0]);
+                output = lastFilter;
+            }
+            if (settings.leveling) {
+                output.connect(compressor);
+                output = makeup;
+            }
+            if (analyse) {
+                output.connect(analyser);
+                output = analyser;
+            }
+            output.connect(context.destination);
+        }
+
+        return { apply, analyser };
+    }
+
+    return {
+        normalizeSettings,
+        isEqActive,
+        isBypassed,
+        createEffectsChain,
+        EQ_BANDS,
+        EQ_PRESETS,
+        MAX_GAIN_DB
+    };
+});
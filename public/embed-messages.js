@@ -0,0 +1,109 @@
+/* eslint-env browser */
+/**
+ * Embed Messages
+ * Options and the postMessage API of the embeddable player (/embed)
+ *
+ * The host page controls the player by posting commands to the iframe:
+ *   iframe.contentWindow.postMessage({ type: 'play' }, playerOrigin)
+ * Commands: play, pause, toggle, mute, unmute, volume ({ volume: 0-1 })
+ * and getState. The player answers with messages tagged
+ * source: 'radio-calico': ready and state ({ state }) and track ({ track })
+ *
+ * Messages are only exchanged with the framing page. The server's
+ * frame-ancestors policy already limits which origins can frame the player,
+ * so the parent's origin is trusted once known
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.EmbedMessages = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const MESSAGE_SOURCE = 'radio-calico';
+    const COMMANDS = ['play', 'pause', 'toggle', 'mute', 'unmute', 'volume', 'getState'];
+    const THEMES = ['light', 'dark'];
+
+    /**
+     * Player options from the embed URL's query string, e.g.
+     * "?station=jazz&theme=dark&autoplay=muted"
+     */
+    function parseEmbedOptions(search) {
+        const params = new URLSearchParams(search);
+        const theme = params.get('theme');
+
+        return {
+            station: params.get('station') || null,
+            theme: THEMES.includes(theme) ? theme : 'light',
+            autoplayMuted: params.get('autoplay') === 'muted'
+        };
+    }
+
+    /**
+     * Origin of the framing page: location.ancestorOrigins where supported,
+     * otherwise the referrer (the page that loaded the iframe)
+     */
+    function getHostOrigin({ ancestorOrigins, referrer }) {
+        if (ancestorOrigins && ancestorOrigins.length > 0) {
+            return ancestorOrigins[0];
+        }
+
+        try {
+            return referrer ? new URL(referrer).origin : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * A valid command from the host page, or null
+     */
+    function parseCommand(data) {
+        if (!data || typeof data !== 'object' || !COMMANDS.includes(data.type)) return null;
+
+        if (data.type === 'volume') {
+            const volume = Number(data.volume);
+            if (!Number.isFinite(volume)) return null;
+            return { type: 'volume', volume: Math.min(1, Math.max(0, volume)) };
+        }
+        return { type: data.type };
+    }
+
+    /**
+     * Connect the player to its host page
+     * - host: the parent window (no bridge when the player is not framed)
+     * - hostOrigin: see getHostOrigin()
+     * - handlers: { play, pause, ... } called with the parsed command
+     * Returns { handleMessage(event), send(type, payload) }
+     */
+    function createEmbedBridge({ host, hostOrigin, handlers }) {
+        const connected = Boolean(host && hostOrigin);
+
+        function handleMessage(event) {
+            if (!connected || event.source !== host || event.origin !== hostOrigin) return;
+
+            const command = parseCommand(event.data);
+            if (command && handlers[command.type]) {
+                handlers[command.type](command);
+            }
+        }
+
+        function send(type, payload = {}) {
+            if (!connected) return;
+            host.postMessage({ source: MESSAGE_SOURCE, type, ...payload }, hostOrigin);
+        }
+
+        return { handleMessage, send, connected };
+    }
+
+    return {
+        parseEmbedOptions,
+        getHostOrigin,
+        parseCommand,
+        createEmbedBridge,
+        MESSAGE_SOURCE,
+        COMMANDS
+    };
+});
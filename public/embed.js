@@ -0,0 +1,276 @@
+/* eslint-env browser */
+import Hls from 'hls.js';
+import './track-metadata.js';
+import './embed-messages.js';
+import './radio-player.js';
+import './listening-session.js';
+import './accessibility.js';
+
+// Embeddable player served at /embed: the headless player
+// (public/radio-player.js) bound to compact markup. See embed.js on the
+// server for the allowed origins and public/embed-messages.js for the
+// postMessage API
+
+const { normalizeTrack } = window.TrackMetadata;
+const { parseEmbedOptions, getHostOrigin, createEmbedBridge } = window.EmbedMessages;
+const { RadioPlayer } = window.RadioPlayer;
+const { createListeningSession } = window.ListeningSession;
+const { createAnnouncer } = window.Accessibility;
+
+const audioPlayer = document.getElementById('embedAudio');
+const playButton = document.getElementById('embedPlay');
+const muteButton = document.getElementById('embedMute');
+const albumArt = document.getElementById('embedArt');
+const trackTitle = document.getElementById('embedTitle');
+const trackArtist = document.getElementById('embedArtist');
+const thumbsUpBtn = document.getElementById('embedThumbsUp');
+const thumbsDownBtn = document.getElementById('embedThumbsDown');
+const thumbsUpCount = document.getElementById('embedThumbsUpCount');
+const thumbsDownCount = document.getElementById('embedThumbsDownCount');
+const announce = createAnnouncer(document.getElementById('embedAnnouncer'));
+
+const options = parseEmbedOptions(window.location.search);
+document.body.classList.add(`theme-${options.theme}`);
+
+let currentTrack = null;
+let currentSongId = null;
+let sessionId = null;
+
+const player = new RadioPlayer({ media: audioPlayer, Hls, getSessionId });
+const listeningSession = createListeningSession({
+    getSessionId,
+    getStationId: () => (player.station ? player.station.id : null)
+});
+
+// Only talk to the page that frames the player
+const bridge = createEmbedBridge({
+    host: window.parent !== window ? window.parent : null,
+    hostOrigin: getHostOrigin({ ancestorOrigins: window.location.ancestorOrigins, referrer: document.referrer }),
+    handlers: {
+        play: () => play(),
+        pause: () => player.pause(),
+        toggle: () => (player.isPlaying() ? player.pause() : play()),
+        mute: () => player.setMuted(true),
+        unmute: () => player.setMuted(false),
+        volume: command => player.setVolume(command.volume),
+        getState: () => bridge.send('state', { state: getState() })
+    }
+});
+window.addEventListener('message', bridge.handleMessage);
+
+// Same session id as the full player when storage is shared; embedded
+// players in partitioned storage get their own
+function getSessionId() {
+    if (sessionId) return sessionId;
+
+    const newId = `embed_${Math.random().toString(36).slice(2)}${Date.now().toString(36)}`;
+    try {
+        sessionId = localStorage.getItem('radio_session_id') || newId;
+        localStorage.setItem('radio_session_id', sessionId);
+    } catch (error) {
+        console.warn('localStorage not available, using a session id for this page only');
+        sessionId = newId;
+    }
+    return sessionId;
+}
+
+function getState() {
+    return {
+        playing: player.isPlaying(),
+        muted: audioPlayer.muted,
+        volume: audioPlayer.volume,
+        station: player.station ? player.station.id : null,
+        track: currentTrack
+    };
+}
+
+// The ?station= option, or the default station
+async function loadStation() {
+    try {
+        const response = await fetch('/api/stations');
+        if (!response.ok) throw new Error('Failed to fetch stations');
+
+        const stations = await response.json();
+        const station = stations.find(item => item.id === options.station)
+            || stations.find(item => item.is_default)
+            || stations[0];
+        if (station) {
+            player.setStation(station);
+        }
+    } catch (error) {
+        console.error('Error fetching stations:', error);
+    }
+}
+
+// Resume at the live edge after a pause
+function play() {
+    const hls = player.hls;
+    if (player.state === 'paused' && hls && Number.isFinite(hls.liveSyncPosition)) {
+        audioPlayer.currentTime = hls.liveSyncPosition;
+    }
+    return player.play();
+}
+
+function setPlayButton(playing) {
+    playButton.textContent = playing ? '⏸' : '▶';
+    playButton.setAttribute('aria-label', playing ? 'Pause' : 'Play');
+}
+
+function setMuteButton(muted) {
+    muteButton.textContent = muted ? '🔇' : '🔊';
+    muteButton.setAttribute('aria-label', muted ? 'Unmute' : 'Mute');
+}
+
+function getArtUrl(songId, size) {
+    return `/api/art/${encodeURIComponent(songId)}?size=${size}&format=webp`;
+}
+
+function updateNowPlaying(data) {
+    const track = normalizeTrack(data);
+    trackTitle.textContent = track.title || 'Unknown Track';
+    trackArtist.textContent = track.artist || 'Unknown Artist';
+
+    if (data.song_id) {
+        albumArt.onerror = data.cover_url ? () => {
+            albumArt.onerror = null;
+            albumArt.src = `${data.cover_url}?t=${encodeURIComponent(data.song_id)}`;
+        } : null;
+        albumArt.src = getArtUrl(data.song_id, 96);
+    } else if (data.cover_url) {
+        albumArt.src = `${data.cover_url}?t=${Date.now()}`;
+    }
+
+    const label = `${trackTitle.textContent} by ${trackArtist.textContent}`;
+    const changed = !currentTrack || currentTrack.song_id !== (data.song_id || null)
+        || currentTrack.title !== track.title || currentTrack.artist !== track.artist;
+
+    currentTrack = {
+        song_id: data.song_id || null,
+        artist: track.artist,
+        title: track.title,
+        album: track.album,
+        art_url: data.song_id ? getArtUrl(data.song_id, 300) : data.cover_url || null
+    };
+
+    if (changed) {
+        announce(`Now playing: ${label}`);
+        bridge.send('track', { track: currentTrack });
+    }
+
+    if (currentSongId !== currentTrack.song_id) {
+        currentSongId = currentTrack.song_id;
+        fetchRatings();
+    }
+}
+
+player.on('trackchange', updateNowPlaying);
+player.on('ratings', function(data) {
+    if (data.song_id === currentSongId) {
+        updateRatingCounts(data);
+    }
+});
+
+function updateRatingCounts(data) {
+    thumbsUpCount.textContent = data.thumbs_up || 0;
+    thumbsDownCount.textContent = data.thumbs_down || 0;
+}
+
+function setActiveRating(rating) {
+    thumbsUpBtn.classList.toggle('active', rating === 1);
+    thumbsDownBtn.classList.toggle('active', rating === -1);
+    thumbsUpBtn.setAttribute('aria-pressed', String(rating === 1));
+    thumbsDownBtn.setAttribute('aria-pressed', String(rating === -1));
+}
+
+async function fetchRatings() {
+    const ratable = Boolean(currentSongId);
+    thumbsUpBtn.disabled = !ratable;
+    thumbsDownBtn.disabled = !ratable;
+    if (!ratable) return;
+
+    const data = await player.fetchRatings(currentSongId);
+    if (data) {
+        updateRatingCounts(data);
+        setActiveRating(data.user_rating);
+    }
+}
+
+async function submitRating(rating) {
+    const data = await player.rate(rating, currentSongId);
+    if (data) {
+        updateRatingCounts(data);
+        setActiveRating(rating);
+        announce(rating === 1 ? 'You rated this track thumbs up' : 'You rated this track thumbs down');
+    }
+}
+
+player.on('error', function({ type, error, data }) {
+    if (type === 'hls') {
+        // hls.js retries non-fatal errors itself
+        if (!data.fatal) return;
+        console.error('❌ HLS error:', data.details);
+        player.stop();
+        trackArtist.textContent = 'Stream unavailable - press play to retry';
+    } else if (type === 'play') {
+        // Unmuted playback started by the host page needs a click in the frame
+        console.warn('Playback blocked:', error.message);
+    } else if (type === 'rate') {
+        console.error('Error submitting rating:', error);
+        announce('Rating failed, please try again');
+    } else {
+        console.error(`Error (${type}):`, error);
+    }
+});
+
+playButton.addEventListener('click', function() {
+    if (player.isPlaying()) {
+        player.pause();
+    } else {
+        play();
+    }
+});
+
+muteButton.addEventListener('click', function() {
+    player.setMuted(!audioPlayer.muted);
+});
+
+thumbsUpBtn.addEventListener('click', () => submitRating(1));
+thumbsDownBtn.addEventListener('click', () => submitRating(-1));
+
+// Report playback changes to the host page
+function sendState() {
+    setPlayButton(player.isPlaying());
+    setMuteButton(audioPlayer.muted);
+    bridge.send('state', { state: getState() });
+}
+player.on('statechange', sendState);
+player.on('volumechange', sendState);
+
+// Embedded listeners count towards listening time like the full player
+player.on('statechange', function({ state }) {
+    if (state === 'playing') {
+        listeningSession.start();
+    } else if (state === 'paused' || state === 'stopped') {
+        listeningSession.end();
+    }
+});
+
+window.addEventListener('beforeunload', () => {
+    listeningSession.end({ beacon: true });
+    player.destroy();
+});
+window.addEventListener('pagehide', () => listeningSession.end({ beacon: true }));
+
+(async function init() {
+    await loadStation();
+    player.startMetadata();
+
+    // Browsers allow autoplay only without sound
+    if (options.autoplayMuted) {
+        player.setMuted(true);
+        setMuteButton(true);
+        play();
+    }
+
+    bridge.send('ready', { state: getState() });
+})();
@@ -0,0 +1,165 @@
+/* eslint-env browser */
+/**
+ * Listening Session
+ * Reports listening time to the server: registers the listener, opens a
+ * session when playback starts, sends a heartbeat while it lasts and ends
+ * it on pause or stop. A page that is closed ends its session with
+ * navigator.sendBeacon; if even that is lost, the server closes the
+ * session after missed heartbeats (see listening-sessions.js)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.ListeningSession = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const DEFAULT_HEARTBEAT_INTERVAL = 30000; // The server sends its own on start
+
+    function defaultSendBeacon(url, data) {
+        const nav = globalThis.navigator;
+        return Boolean(nav && nav.sendBeacon && nav.sendBeacon(url, data));
+    }
+
+    /**
+     * - getSessionId(): the listener id
+     * - getStationId(): the station being played, or null for the default
+     * - fetch and sendBeacon can be replaced in tests
+     */
+    function createListeningSession({
+        getSessionId,
+        getStationId = () => null,
+        apiBase = '/api',
+        fetch = (...args) => globalThis.fetch(...args),
+        sendBeacon = defaultSendBeacon
+    }) {
+        let registered = false;
+        let listeningSessionId = null;
+        let heartbeatInterval = DEFAULT_HEARTBEAT_INTERVAL;
+        let timer = null;
+        let active = false; // Playback wants a session
+        let starting = false;
+
+        function post(path, data, options = {}) {
+            return fetch(`${apiBase}${path}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify(data),
+                ...options
+            });
+        }
+
+        function withStation(data) {
+            const stationId = getStationId();
+            return stationId ? { ...data, station_id: stationId } : data;
+        }
+
+        async function open() {
+            if (!registered) {
+                const response = await post('/listeners', { session_id: getSessionId() });
+                if (!response.ok) throw new Error('Failed to register listener');
+                registered = true;
+            }
+
+            const response = await post('/sessions/start', withStation({ session_id: getSessionId() }));
+            if (!response.ok) throw new Error('Failed to start listening session');
+
+            const data = await response.json();
+            listeningSessionId = data.session_id;
+            heartbeatInterval = data.heartbeat_interval || DEFAULT_HEARTBEAT_INTERVAL;
+        }
+
+        function stopHeartbeat() {
+            clearInterval(timer);
+            timer = null;
+        }
+
+        async function heartbeat() {
+            const id = listeningSessionId;
+            if (id === null) return;
+
+            try {
+                const response = await post('/sessions/heartbeat', withStation({
+                    session_id: getSessionId(),
+                    listening_session_id: id
+                }));
+
+                // Closed by the server (e.g. the device slept through several
+                // heartbeats): carry on in a new session
+                if ((response.status === 404 || response.status === 410) && listeningSessionId === id) {
+                    listeningSessionId = null;
+                    stopHeartbeat();
+                    if (active) start();
+                }
+            } catch (error) {
+                console.warn('Listening session heartbeat failed:', error.message);
+            }
+        }
+
+        // Open a session unless one is open or opening
+        async function start() {
+            active = true;
+            if (listeningSessionId !== null || starting) return;
+
+            starting = true;
+            try {
+                await open();
+            } catch (error) {
+                console.warn('Listening session not started:', error.message);
+                return;
+            } finally {
+                starting = false;
+            }
+
+            // Paused or stopped while the session was being opened
+            if (!active) {
+                end();
+                return;
+            }
+            stopHeartbeat();
+            timer = setInterval(heartbeat, heartbeatInterval);
+        }
+
+        /**
+         * End the open session; resolves to the server's answer, or null.
+         * beacon: the page is going away, send with navigator.sendBeacon
+         * (or a keepalive request) so the request outlives it
+         */
+        function end({ beacon = false } = {}) {
+            active = false;
+            stopHeartbeat();
+            if (listeningSessionId === null) return Promise.resolve(null);
+
+            const data = { session_id: getSessionId(), listening_session_id: listeningSessionId };
+            listeningSessionId = null;
+
+            if (beacon && sendBeacon(`${apiBase}/sessions/end`, new Blob([JSON.stringify(data)], { type: 'application/json' }))) {
+                return Promise.resolve(null);
+            }
+
+            return post('/sessions/end', data, { keepalive: beacon })
+                .then(response => (response.ok ? response.json() : null))
+                .catch(error => {
+                    console.warn('Listening session not ended:', error.message);
+                    return null;
+                });
+        }
+
+        return {
+            start,
+            end,
+            heartbeat,
+            getId: () => listeningSessionId,
+            isActive: () => active
+        };
+    }
+
+    return {
+        createListeningSession,
+        DEFAULT_HEARTBEAT_INTERVAL
+    };
+});
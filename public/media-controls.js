@@ -0,0 +1,75 @@
+/* eslint-env browser */
+/**
+ * Media Controls
+ * Media Session helpers: the track shown on the lock screen and in the
+ * system media controls, its artwork, the playback state and the handlers
+ * for hardware media keys. Each one does nothing in browsers without the
+ * Media Session API (mediaSession is undefined there)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.MediaControls = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    // Album art sizes served by /api/art, offered to the lock screen
+    const ARTWORK_SIZES = [96, 300, 540];
+
+    /**
+     * Artwork for a now playing update: the catalog art in every size, or
+     * the upstream cover for tracks without a song id
+     */
+    function getArtwork(data, getArtUrl, sizes = ARTWORK_SIZES) {
+        if (data.song_id) {
+            return sizes.map(size => ({
+                src: getArtUrl(data.song_id, size, 'webp'),
+                sizes: `${size}x${size}`,
+                type: 'image/webp'
+            }));
+        }
+        return data.cover_url ? [{ src: data.cover_url }] : [];
+    }
+
+    function setMetadata(mediaSession, { title, artist, album, artwork = [] }, MediaMetadataImpl = globalThis.MediaMetadata) {
+        if (!mediaSession || !MediaMetadataImpl) return false;
+
+        mediaSession.metadata = new MediaMetadataImpl({ title, artist, album, artwork });
+        return true;
+    }
+
+    function setPlaybackState(mediaSession, playing) {
+        if (mediaSession) {
+            mediaSession.playbackState = playing ? 'playing' : 'paused';
+        }
+    }
+
+    /**
+     * Register action handlers ({ play, pause, ... }); returns the actions
+     * the browser accepted. Older browsers reject actions they do not know
+     * (e.g. stop)
+     */
+    function setActionHandlers(mediaSession, handlers) {
+        if (!mediaSession) return [];
+
+        return Object.keys(handlers).filter((action) => {
+            try {
+                mediaSession.setActionHandler(action, handlers[action]);
+                return true;
+            } catch (error) {
+                console.warn(`Media session action "${action}" not supported`);
+                return false;
+            }
+        });
+    }
+
+    return {
+        getArtwork,
+        setMetadata,
+        setPlaybackState,
+        setActionHandlers,
+        ARTWORK_SIZES
+    };
+});
@@ -0,0 +1,93 @@
+/* eslint-env browser */
+/**
+ * Offline Snapshot
+ * The last track shown and the recently played list, kept in storage so
+ * the offline screen has something to show when the network is down (the
+ * page itself comes from the service worker cache)
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.OfflineSnapshot = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const STORAGE_KEY = 'radio_offline_snapshot';
+    const MAX_RECENT = 10;
+
+    function pickTrack(track) {
+        return {
+            artist: track.artist ? String(track.artist) : '',
+            title: track.title ? String(track.title) : '',
+            album: track.album ? String(track.album) : ''
+        };
+    }
+
+    /**
+     * Snapshot of a now playing update (see GET /api/now-playing) on a
+     * station; the track as displayed, without art or ratings
+     */
+    function createSnapshot(track, station, now = Date.now()) {
+        return {
+            station: station ? { id: station.id || null, name: station.name || '' } : null,
+            track: pickTrack(track),
+            recently_played: (track.recently_played || [])
+                .filter(item => item && (item.artist || item.title))
+                .slice(0, MAX_RECENT)
+                .map(pickTrack),
+            saved_at: now
+        };
+    }
+
+    function saveSnapshot(storage, snapshot) {
+        try {
+            storage.setItem(STORAGE_KEY, JSON.stringify(snapshot));
+            return true;
+        } catch (error) {
+            console.warn('localStorage not available, offline screen will have no track');
+            return false;
+        }
+    }
+
+    // The saved snapshot, or null when there is none or it is unreadable
+    function loadSnapshot(storage) {
+        let snapshot;
+        try {
+            snapshot = JSON.parse(storage.getItem(STORAGE_KEY));
+        } catch (error) {
+            return null;
+        }
+
+        if (!snapshot || typeof snapshot !== 'object' || !snapshot.track || !Number.isFinite(snapshot.saved_at)) {
+            return null;
+        }
+        const recent = Array.isArray(snapshot.recently_played) ? snapshot.recently_played : [];
+        return {
+            station: snapshot.station || null,
+            track: pickTrack(snapshot.track),
+            recently_played: recent.filter(item => item && typeof item === 'object').map(pickTrack),
+            saved_at: snapshot.saved_at
+        };
+    }
+
+    // "just now", "5 minutes ago", "3 hours ago", "2 days ago"
+    function formatSnapshotAge(savedAt, now = Date.now()) {
+        const minutes = Math.floor(Math.max(0, now - savedAt) / 60000);
+        if (minutes < 1) return 'just now';
+
+        const units = [['day', 1440], ['hour', 60], ['minute', 1]];
+        const [unit, size] = units.find(([, length]) => minutes >= length);
+        const count = Math.floor(minutes / size);
+        return `${count} ${unit}${count === 1 ? '' : 's'} ago`;
+    }
+
+    return {
+        createSnapshot,
+        saveSnapshot,
+        loadSnapshot,
+        formatSnapshotAge,
+        STORAGE_KEY
+    };
+});
@@ -0,0 +1,202 @@
+/* eslint-env browser */
+/**
+ * Playback Supervisor
+ * Keeps the live stream playing through network drops, fatal HLS errors
+ * and silent stalls
+ *
+ * States: idle -> connecting -> playing, with stalled (currentTime stopped
+ * advancing), recovering (waiting out an exponential backoff with jitter
+ * before the next attempt) and failed (attempts exhausted; an `online`
+ * event or the listener retries). The player performs the actual recovery
+ * through the recover() callback; every transition is emitted so the UI
+ * and telemetry can follow along
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.PlaybackSupervisor = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const STATES = ['idle', 'connecting', 'playing', 'stalled', 'recovering', 'failed'];
+
+    const DEFAULTS = {
+        baseDelay: 1000,
+        maxDelay: 30000,
+        maxAttempts: 8,
+        stallTimeout: 6000, // No progress for this long is a stall, twice as long triggers recovery
+        connectTimeout: 20000,
+        checkInterval: 1000
+    };
+
+    /**
+     * Delay before recovery attempt n (1-based): doubles from baseDelay up to
+     * maxDelay, with "equal jitter" (between half and all of it) so many
+     * listeners dropped at once do not reconnect in lockstep
+     */
+    function getBackoffDelay(attempt, { baseDelay = DEFAULTS.baseDelay, maxDelay = DEFAULTS.maxDelay } = {}, random = Math.random) {
+        const ceiling = Math.min(maxDelay, baseDelay * Math.pow(2, Math.max(0, attempt - 1)));
+        return Math.round(ceiling / 2 + random() * (ceiling / 2));
+    }
+
+    /**
+     * Supervise one player
+     * - recover({ attempt, reason }) re-creates or restarts playback
+     * - getCurrentTime() reads the media element's currentTime
+     * - isPaused() tells pauses by the system (e.g. a phone call) apart
+     *   from stalls
+     * Events: 'transition' ({ from, to, reason, attempt, delay, at }) and
+     * 'countdown' ({ seconds, attempt }) every second while recovering
+     */
+    function createPlaybackSupervisor({ recover, getCurrentTime, isPaused = () => false, random = Math.random, ...options }) {
+        const config = { ...DEFAULTS, ...options };
+        const listeners = { transition: [], countdown: [] };
+
+        let state = 'idle';
+        let attempt = 0;
+        let lastReason = null;
+        let retryTimer = null;
+        let connectTimer = null;
+        let countdownTimer = null;
+        let watchdog = null;
+        let lastTime = null;
+        let lastProgressAt = 0;
+
+        function on(type, listener) {
+            listeners[type].push(listener);
+        }
+
+        function emit(type, payload) {
+            listeners[type].forEach(listener => listener(payload));
+        }
+
+        function transition(to, details = {}) {
+            if (to === state) return;
+            const event = { from: state, to, reason: null, attempt, delay: null, at: Date.now(), ...details };
+            state = to;
+            emit('transition', event);
+        }
+
+        function clearTimers() {
+            clearTimeout(retryTimer);
+            clearTimeout(connectTimer);
+            clearInterval(countdownTimer);
+            clearInterval(watchdog);
+            retryTimer = connectTimer = countdownTimer = watchdog = null;
+        }
+
+        // Waiting for the stream to start; a hung load counts as a failure
+        function connect(reason) {
+            clearTimers();
+            transition('connecting', { reason });
+            connectTimer = setTimeout(() => fail('timeout'), config.connectTimeout);
+        }
+
+        // Stall detection while playing: currentTime must keep advancing
+        function checkProgress() {
+            const time = getCurrentTime();
+            const now = Date.now();
+
+            if (isPaused()) {
+                lastProgressAt = now;
+            } else if (time !== lastTime) {
+                lastTime = time;
+                lastProgressAt = now;
+                if (state === 'stalled') {
+                    transition('playing', { reason: 'progress' });
+                }
+            } else if (state === 'playing' && now - lastProgressAt >= config.stallTimeout) {
+                transition('stalled', { reason: 'no-progress' });
+            } else if (state === 'stalled' && now - lastProgressAt >= config.stallTimeout * 2) {
+                fail('stall');
+            }
+        }
+
+        function start() {
+            attempt = 0;
+            connect('start');
+        }
+
+        function playing() {
+            if (state !== 'connecting' && state !== 'stalled') return;
+
+            clearTimers();
+            attempt = 0;
+            lastTime = getCurrentTime();
+            lastProgressAt = Date.now();
+            transition('playing');
+            watchdog = setInterval(checkProgress, config.checkInterval);
+        }
+
+        // Schedule the next recovery attempt, or give up
+        function fail(reason) {
+            if (state === 'idle' || state === 'recovering' || state === 'failed') return;
+
+            clearTimers();
+            attempt++;
+            lastReason = reason;
+
+            if (attempt > config.maxAttempts) {
+                transition('failed', { reason });
+                return;
+            }
+
+            const delay = getBackoffDelay(attempt, config, random);
+            const retryAt = Date.now() + delay;
+            transition('recovering', { reason, delay });
+
+            const tick = () => emit('countdown', { seconds: Math.max(0, Math.ceil((retryAt - Date.now()) / 1000)), attempt });
+            tick();
+            countdownTimer = setInterval(tick, 1000);
+            retryTimer = setTimeout(retry, delay);
+        }
+
+        function retry() {
+            connect('retry');
+            recover({ attempt, reason: lastReason });
+        }
+
+        // Skip the countdown (listener asked, or the network came back)
+        function retryNow() {
+            if (state !== 'recovering' && state !== 'failed') return;
+            if (state === 'failed') {
+                attempt = 0;
+            }
+            retry();
+        }
+
+        // The browser is back online: start over with a fresh attempt budget
+        function online() {
+            if (state !== 'recovering' && state !== 'failed') return;
+            attempt = 0;
+            retry();
+        }
+
+        function stop() {
+            clearTimers();
+            attempt = 0;
+            transition('idle');
+        }
+
+        return {
+            on,
+            start,
+            playing,
+            fail,
+            retryNow,
+            online,
+            stop,
+            getState: () => state,
+            getAttempt: () => attempt
+        };
+    }
+
+    return {
+        createPlaybackSupervisor,
+        getBackoffDelay,
+        STATES,
+        DEFAULTS
+    };
+});
@@ -0,0 +1,394 @@
+/* eslint-env browser */
+/**
+ * Radio Player
+ * The player without a page: HLS playback on a media element, the
+ * station's now playing stream and ratings, reported through events. The
+ * full player (app.js) and the embed player (embed.js) bind their own
+ * markup on top of it
+ *
+ * States: stopped (no stream loaded), loading (starting or buffering),
+ * playing and paused
+ *
+ * Events (player.on(type, listener)):
+ * - statechange ({ state, previous })
+ * - volumechange ({ volume, muted })
+ * - stationchange (station)
+ * - stream ({ hls }) whenever a stream is attached; hls is null for
+ *   native HLS (Safari)
+ * - trackchange (track as received, see GET /api/now-playing)
+ * - ratings (vote totals pushed for a song of the station)
+ * - listeners ({ station_id, listening, total }): how many are listening
+ *   to the station, and to all stations, right now
+ * - error ({ type, error, data }): unsupported, play, recover (a
+ *   recovery attempt could not start playback), hls (data is the hls.js
+ *   error), metadata, ratings and rate
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RadioPlayer = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const STATES = ['stopped', 'loading', 'playing', 'paused'];
+    const EVENTS = ['statechange', 'volumechange', 'stationchange', 'stream', 'trackchange', 'ratings', 'listeners', 'error'];
+    const HLS_CONFIG = {
+        enableWorker: true,
+        lowLatencyMode: true,
+        backBufferLength: 90
+    };
+    const NATIVE_HLS_TYPE = 'application/vnd.apple.mpegurl';
+
+    class RadioPlayer {
+        /**
+         * - media: the <audio> element to play into
+         * - Hls: the hls.js class; without it only native HLS is used
+         * - getSessionId(): the listener id ratings are stored under
+         * - fetch, EventSource and apiBase can be replaced in tests
+         */
+        constructor({
+            media,
+            Hls = null,
+            getSessionId = () => null,
+            hlsConfig = HLS_CONFIG,
+            apiBase = '/api',
+            fetch = (...args) => globalThis.fetch(...args),
+            EventSource = globalThis.EventSource
+        }) {
+            this.media = media;
+            this.Hls = Hls;
+            this.getSessionId = getSessionId;
+            this.hlsConfig = hlsConfig;
+            this.apiBase = apiBase;
+            this.fetch = fetch;
+            this.EventSource = EventSource;
+
+            this.listeners = {};
+            EVENTS.forEach(type => { this.listeners[type] = []; });
+
+            this.state = 'stopped';
+            this.station = null;
+            this.track = null;
+            this.hls = null;
+            this.streamAttached = false;
+            this.metadataStream = null;
+            this.followingMetadata = false;
+
+            this.mediaHandlers = {
+                playing: () => {
+                    if (this.state === 'loading') this.setState('playing');
+                },
+                waiting: () => {
+                    if (this.state === 'playing') this.setState('loading');
+                },
+                ended: () => this.stop(),
+                volumechange: () => this.emit('volumechange', { volume: this.media.volume, muted: this.media.muted })
+            };
+            for (const [type, handler] of Object.entries(this.mediaHandlers)) {
+                this.media.addEventListener(type, handler);
+            }
+        }
+
+        on(type, listener) {
+            if (!this.listeners[type]) {
+                throw new Error(`Unknown player event: ${type}`);
+            }
+            this.listeners[type].push(listener);
+            return this;
+        }
+
+        off(type, listener) {
+            if (this.listeners[type]) {
+                this.listeners[type] = this.listeners[type].filter(item => item !== listener);
+            }
+            return this;
+        }
+
+        emit(type, payload) {
+            this.listeners[type].forEach(listener => listener(payload));
+        }
+
+        setState(state) {
+            if (state === this.state) return;
+            const previous = this.state;
+            this.state = state;
+            this.emit('statechange', { state, previous });
+        }
+
+        // Starting, buffering or playing: the listener wants to hear audio
+        isPlaying() {
+            return this.state === 'loading' || this.state === 'playing';
+        }
+
+        getState() {
+            return {
+                state: this.state,
+                station: this.station ? this.station.id : null,
+                volume: this.media.volume,
+                muted: this.media.muted,
+                track: this.track
+            };
+        }
+
+        // "?station=id" (or "&station=id"); empty for a station without an
+        // id, so the server uses its default station
+        getStationQuery(separator) {
+            return this.station && this.station.id ? `${separator}station=${encodeURIComponent(this.station.id)}` : '';
+        }
+
+        /**
+         * Select the station to play and follow. Switching stations stops
+         * playback (call play() to continue on the new stream) and moves the
+         * now playing stream over to the new station
+         */
+        setStation(station) {
+            if (this.station && this.station.id === station.id && this.station.stream_url === station.stream_url) return;
+
+            const switching = this.station !== null;
+            this.station = station;
+            this.track = null;
+
+            if (switching) {
+                this.stop();
+                if (this.followingMetadata) {
+                    this.stopMetadata();
+                    this.startMetadata();
+                }
+            }
+            this.emit('stationchange', station);
+        }
+
+        // Load the station's stream into the media element: hls.js where
+        // supported, otherwise the browser's native HLS
+        attachStream() {
+            const url = this.station ? this.station.stream_url : null;
+
+            if (url && this.Hls && this.Hls.isSupported()) {
+                const hls = new this.Hls(this.hlsConfig);
+                hls.on(this.Hls.Events.ERROR, (event, data) => {
+                    this.emit('error', { type: 'hls', data });
+                });
+                hls.loadSource(url);
+                hls.attachMedia(this.media);
+                this.hls = hls;
+            } else if (url && this.media.canPlayType(NATIVE_HLS_TYPE)) {
+                this.media.src = url;
+            } else {
+                this.emit('error', { type: 'unsupported', error: new Error(url ? 'HLS is not supported in this browser' : 'No station selected') });
+                return false;
+            }
+
+            this.streamAttached = true;
+            this.emit('stream', { hls: this.hls });
+            return true;
+        }
+
+        detachStream() {
+            if (this.hls) {
+                this.hls.destroy();
+                this.hls = null;
+            }
+            this.media.pause();
+            this.media.removeAttribute('src');
+            this.media.load();
+            this.streamAttached = false;
+        }
+
+        /**
+         * Start playback, loading the stream first if needed. Resolves to
+         * whether playback started; failures are reported as 'play' errors
+         */
+        async play() {
+            if (!this.streamAttached && !this.attachStream()) return false;
+
+            const previous = this.state;
+            this.setState('loading');
+
+            try {
+                await this.media.play();
+            } catch (error) {
+                // Paused or stopped again before playback began
+                if (this.state !== 'loading') return false;
+
+                this.setState(previous === 'stopped' ? 'stopped' : 'paused');
+                this.emit('error', { type: 'play', error });
+                return false;
+            }
+
+            if (this.state === 'loading') {
+                this.setState('playing');
+            }
+            return true;
+        }
+
+        pause() {
+            if (this.state === 'stopped') return;
+            this.media.pause();
+            this.setState('paused');
+        }
+
+        // Stop the stream (rather than pause it) and release the HLS instance
+        stop() {
+            if (this.streamAttached) {
+                this.detachStream();
+            }
+            this.setState('stopped');
+        }
+
+        /**
+         * Another attempt after a playback failure: recover a decode error in
+         * place (keeps the buffer), or rebuild the stream
+         */
+        async recover({ inPlace = false } = {}) {
+            if (inPlace && this.hls) {
+                this.hls.recoverMediaError();
+            } else {
+                this.detachStream();
+                if (!this.attachStream()) return false;
+            }
+
+            try {
+                await this.media.play();
+                return true;
+            } catch (error) {
+                this.emit('error', { type: 'recover', error });
+                return false;
+            }
+        }
+
+        setVolume(volume) {
+            this.media.volume = Math.min(1, Math.max(0, Number(volume) || 0));
+        }
+
+        setMuted(muted) {
+            this.media.muted = Boolean(muted);
+        }
+
+        // Follow the station's track changes, rating totals and listener
+        // count (Server-Sent Events); the server sends the current track
+        // and count on connect, and EventSource reconnects with
+        // Last-Event-ID after network drops
+        startMetadata() {
+            this.followingMetadata = true;
+            if (this.metadataStream) return;
+
+            if (!this.EventSource) {
+                console.warn('EventSource not supported - showing current track only');
+                this.fetchNowPlaying();
+                return;
+            }
+
+            this.metadataStream = new this.EventSource(`${this.apiBase}/now-playing/stream${this.getStationQuery('?')}`);
+            this.metadataStream.addEventListener('track', event => this.receiveEvent('trackchange', event));
+            this.metadataStream.addEventListener('ratings', event => this.receiveEvent('ratings', event));
+            this.metadataStream.addEventListener('listeners', event => this.receiveEvent('listeners', event));
+            this.metadataStream.addEventListener('error', () => {
+                console.warn('Now playing stream interrupted - reconnecting...');
+            });
+        }
+
+        stopMetadata() {
+            this.followingMetadata = false;
+            if (this.metadataStream) {
+                this.metadataStream.close();
+                this.metadataStream = null;
+            }
+        }
+
+        receiveEvent(type, event) {
+            let data;
+            try {
+                data = JSON.parse(event.data);
+            } catch (error) {
+                this.emit('error', { type: 'metadata', error });
+                return;
+            }
+
+            if (type === 'trackchange') {
+                this.track = data;
+            }
+            this.emit(type, data);
+        }
+
+        // The current track once, for browsers without EventSource
+        async fetchNowPlaying() {
+            try {
+                const response = await this.fetch(`${this.apiBase}/now-playing${this.getStationQuery('?')}`);
+                if (!response.ok) throw new Error('Failed to fetch metadata');
+
+                this.track = await response.json();
+                this.emit('trackchange', this.track);
+                return this.track;
+            } catch (error) {
+                this.emit('error', { type: 'metadata', error });
+                return null;
+            }
+        }
+
+        /**
+         * Vote totals and the listener's own rating for a song (the current
+         * track by default), or null
+         */
+        async fetchRatings(songId = this.track && this.track.song_id) {
+            if (!songId) return null;
+
+            try {
+                const sessionId = encodeURIComponent(this.getSessionId());
+                const response = await this.fetch(`${this.apiBase}/ratings/${encodeURIComponent(songId)}?session_id=${sessionId}${this.getStationQuery('&')}`);
+                if (!response.ok) throw new Error('Failed to fetch ratings');
+
+                return await response.json();
+            } catch (error) {
+                this.emit('error', { type: 'ratings', error });
+                return null;
+            }
+        }
+
+        /**
+         * Rate a song (1 or -1, the current track by default); resolves to
+         * the new vote totals, or null when the vote failed
+         */
+        async rate(rating, songId = this.track && this.track.song_id) {
+            if (!songId) return null;
+
+            try {
+                const response = await this.fetch(`${this.apiBase}/ratings`, {
+                    method: 'POST',
+                    headers: {
+                        'Content-Type': 'application/json'
+                    },
+                    body: JSON.stringify({
+                        song_id: songId,
+                        session_id: this.getSessionId(),
+                        rating: rating,
+                        station_id: this.station && this.station.id ? this.station.id : undefined
+                    })
+                });
+                if (!response.ok) throw new Error('Failed to submit rating');
+
+                return await response.json();
+            } catch (error) {
+                this.emit('error', { type: 'rate', error });
+                return null;
+            }
+        }
+
+        destroy() {
+            this.stop();
+            this.stopMetadata();
+            for (const [type, handler] of Object.entries(this.mediaHandlers)) {
+                this.media.removeEventListener(type, handler);
+            }
+            EVENTS.forEach(type => { this.listeners[type] = []; });
+        }
+    }
+
+    return {
+        RadioPlayer,
+        STATES,
+        EVENTS,
+        HLS_CONFIG
+    };
+});
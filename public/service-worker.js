@@ -1,7 +1,8 @@
+/* eslint-env serviceworker */
 // Radio Calico Service Worker
 // Provides offline capability and aggressive caching for static assets
 
-const CACHE_VERSION = 'v1';
+const CACHE_VERSION = 'v2';
 const CACHE_NAME = `radio-calico-${CACHE_VERSION}`;
 
 // Assets to cache immediately on install
@@ -13,6 +14,9 @@ const PRECACHE_ASSETS = [
   '/favicon.svg',
   '/RadioCalicoLogoTM.png',
   '/RadioCalicoLogoTM.webp',
+  '/manifest.webmanifest',
+  '/icons/icon-192.png',
+  '/icons/icon-512.png',
 ];
 
 // Install event - cache critical assets
@@ -23,7 +27,13 @@ self.addEventListener('install', (event) => {
     caches.open(CACHE_NAME)
       .then((cache) => {
         console.log('[Service Worker] Precaching assets');
-        return cache.addAll(PRECACHE_ASSETS);
+        // Individually, so an asset missing from a build (production
+        // bundles have hashed names) doesn't fail the whole install
+        return Promise.all(PRECACHE_ASSETS.map((asset) => {
+          return cache.add(asset).catch((error) => {
+            console.warn('[Service Worker] Could not precache', asset, error);
+          });
+        }));
       })
       .then(() => {
         console.log('[Service Worker] Install complete');
@@ -102,6 +112,16 @@ self.addEventListener('fetch', (event) => {
             return networkResponse;
           })
           .catch((error) => {
+            // Offline page loads get the cached app shell, which shows the
+            // offline screen
+            if (request.mode === 'navigate') {
+              return caches.match('/')
+                .then((shell) => shell || caches.match('/index.html'))
+                .then((shell) => {
+                  if (shell) return shell;
+                  throw error;
+                });
+            }
             console.error('[Service Worker] Fetch failed:', error);
             throw error;
           });
@@ -0,0 +1,91 @@
+/* eslint-env browser */
+/**
+ * Sleep Timer and Alarm
+ * Timing helpers for the player's sleep timer (stop after N minutes with a
+ * fade-out) and wake-up alarm (start playback at a time of day with a
+ * fade-in). The player drives them from a short interval while the tab is
+ * open; nothing runs server-side
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.SleepTimer = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const SLEEP_PRESETS = [15, 30, 60];
+    const MAX_SLEEP_MINUTES = 720;
+    const FADE_OUT_MS = 60 * 1000;
+    const FADE_IN_MS = 30 * 1000;
+    const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+    /**
+     * Sleep duration in whole minutes (1-720), or null
+     */
+    function parseSleepMinutes(value) {
+        const minutes = Number(value);
+        return Number.isInteger(minutes) && minutes >= 1 && minutes <= MAX_SLEEP_MINUTES ? minutes : null;
+    }
+
+    /**
+     * Volume while the sleep timer runs out: unchanged until the last
+     * fadeMs, then linearly down to silence
+     */
+    function getFadeOutVolume(volume, remainingMs, fadeMs = FADE_OUT_MS) {
+        if (remainingMs <= 0) return 0;
+        return volume * Math.min(1, remainingMs / fadeMs);
+    }
+
+    /**
+     * Volume while the alarm fades in: from silence up to the listener's
+     * volume over fadeMs
+     */
+    function getFadeInVolume(volume, elapsedMs, fadeMs = FADE_IN_MS) {
+        if (elapsedMs <= 0) return 0;
+        return volume * Math.min(1, elapsedMs / fadeMs);
+    }
+
+    /**
+     * Next time the alarm rings for an "HH:MM" time of day: today if that
+     * time is still ahead, otherwise tomorrow. Null for invalid times
+     */
+    function getNextAlarm(time, now = new Date()) {
+        const match = TIME_PATTERN.exec(String(time || ''));
+        if (!match) return null;
+
+        const alarm = new Date(now);
+        alarm.setHours(Number(match[1]), Number(match[2]), 0, 0);
+        if (alarm <= now) {
+            alarm.setDate(alarm.getDate() + 1);
+        }
+        return alarm;
+    }
+
+    /**
+     * "29:59", or "1:02:03" for an hour or more; rounds up so the countdown
+     * reaches 0:00 when the timer fires
+     */
+    function formatCountdown(ms) {
+        const total = Math.max(0, Math.ceil(ms / 1000));
+        const hours = Math.floor(total / 3600);
+        const minutes = Math.floor((total % 3600) / 60);
+        const seconds = String(total % 60).padStart(2, '0');
+
+        return hours > 0
+            ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}`
+            : `${minutes}:${seconds}`;
+    }
+
+    return {
+        parseSleepMinutes,
+        getFadeOutVolume,
+        getFadeInVolume,
+        getNextAlarm,
+        formatCountdown,
+        SLEEP_PRESETS,
+        FADE_OUT_MS,
+        FADE_IN_MS
+    };
+});
@@ -0,0 +1,255 @@
+/* eslint-env browser */
+/**
+ * Stream Quality
+ * Describes what the HLS stream actually delivers (codec, bitrate, sample
+ * rate) from the master playlist and the parsed init segment, instead of
+ * assuming a fixed format
+ * Also maps the listener's quality choice (Auto / Lossless / High / Low)
+ * and data-saver mode onto hls.js levels, and formats data usage
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.StreamQuality = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    // RFC 6381 codec strings, matched by prefix (case-insensitive)
+    const CODEC_NAMES = [
+        ['flac', 'FLAC'],
+        ['alac', 'ALAC'],
+        ['opus', 'Opus'],
+        ['mp4a.40.29', 'HE-AACv2'],
+        ['mp4a.40.5', 'HE-AAC'],
+        ['mp4a.40.2', 'AAC-LC'],
+        ['mp4a.40.34', 'MP3'],
+        ['mp4a.6b', 'MP3'],
+        ['mp4a.69', 'MP3'],
+        ['mp3', 'MP3'],
+        ['ec-3', 'E-AC-3'],
+        ['ac-3', 'AC-3']
+    ];
+
+    const LOSSLESS_CODECS = ['FLAC', 'ALAC'];
+    const QUALITY_CHOICES = ['auto', 'lossless', 'high', 'low'];
+    const BYTE_UNITS = ['B', 'KB', 'MB', 'GB'];
+
+    const ATTRIBUTE_PATTERN = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+    const MIN_SAMPLE_RATE = 8000;
+    const MAX_SAMPLE_RATE = 768000;
+
+    function toPositiveInteger(value) {
+        const number = parseInt(value, 10);
+        return Number.isFinite(number) && number > 0 ? number : null;
+    }
+
+    function toSampleRate(value) {
+        const rate = toPositiveInteger(value);
+        return rate && rate >= MIN_SAMPLE_RATE && rate <= MAX_SAMPLE_RATE ? rate : null;
+    }
+
+    /**
+     * Display name of the audio codec in a CODECS attribute
+     * "avc1.64001f,mp4a.40.2" becomes "AAC-LC"; unknown codecs are returned as-is
+     */
+    function describeCodec(codecs) {
+        if (!codecs) return null;
+
+        const list = String(codecs).split(',').map(codec => codec.trim()).filter(Boolean);
+        for (const codec of list) {
+            const lower = codec.toLowerCase();
+            const known = CODEC_NAMES.find(([prefix]) => lower.startsWith(prefix));
+            if (known) return known[1];
+        }
+
+        return list.length > 0 ? list[0] : null;
+    }
+
+    /**
+     * Parse an attribute list ('BANDWIDTH=1411000,CODECS="fLaC"')
+     */
+    function parseAttributes(text) {
+        const attributes = {};
+        for (const match of String(text).matchAll(ATTRIBUTE_PATTERN)) {
+            attributes[match[1]] = match[2].replace(/^"|"$/g, '');
+        }
+        return attributes;
+    }
+
+    /**
+     * Variant streams listed in a master playlist, as quality objects
+     * Used where hls.js is not available (Safari's native HLS)
+     */
+    function parseMasterPlaylist(text) {
+        return String(text || '')
+            .split(/\r?\n/)
+            .filter(line => line.startsWith('#EXT-X-STREAM-INF:'))
+            .map(line => {
+                const attrs = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+                return {
+                    codec: describeCodec(attrs.CODECS),
+                    bitrate: toPositiveInteger(attrs['AVERAGE-BANDWIDTH']) || toPositiveInteger(attrs.BANDWIDTH),
+                    sampleRate: toSampleRate(attrs['SAMPLE-RATE'])
+                };
+            });
+    }
+
+    /**
+     * Quality of an hls.js Level (from MANIFEST_PARSED or LEVEL_SWITCHED)
+     */
+    function getLevelQuality(level) {
+        const data = level || {};
+        const attrs = data.attrs || {};
+
+        return {
+            codec: describeCodec(data.audioCodec || attrs.CODECS),
+            bitrate: toPositiveInteger(data.bitrate) || toPositiveInteger(attrs.BANDWIDTH),
+            sampleRate: toSampleRate(attrs['SAMPLE-RATE'])
+        };
+    }
+
+    /**
+     * Fields shared by every variant; the ones that differ become null
+     * because the variant Safari picks is not observable
+     */
+    function summarizeVariants(variants) {
+        const list = variants || [];
+        const shared = (field) => {
+            const values = list.map(variant => variant[field]);
+            return values.length > 0 && values.every(value => value === values[0]) ? values[0] : null;
+        };
+
+        return {
+            codec: shared('codec'),
+            bitrate: shared('bitrate'),
+            sampleRate: shared('sampleRate')
+        };
+    }
+
+    /**
+     * Sample rate of an fMP4 init segment (the audio track's mdhd timescale)
+     * hls.js exposes the segment in FRAG_PARSING_INIT_SEGMENT, including the
+     * one it generates when remuxing MPEG-TS
+     */
+    function readSampleRate(initSegment) {
+        if (!initSegment || typeof initSegment.length !== 'number') return null;
+
+        const bytes = initSegment;
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+        for (let i = 4; i + 4 <= bytes.length; i++) {
+            // 'mdhd' box type, preceded by its 32-bit size
+            if (bytes[i] !== 0x6d || bytes[i + 1] !== 0x64 || bytes[i + 2] !== 0x68 || bytes[i + 3] !== 0x64) continue;
+
+            const version = bytes[i + 4];
+            const offset = i + 8 + (version === 1 ? 16 : 8);
+            if (offset + 4 > bytes.length) return null;
+
+            return toSampleRate(view.getUint32(offset));
+        }
+
+        return null;
+    }
+
+    /**
+     * "Stream quality: 48.0kHz FLAC · 1411 kbps", skipping unknown parts
+     */
+    function formatStreamQuality(quality) {
+        const data = quality || {};
+        const format = [
+            data.sampleRate ? `${(data.sampleRate / 1000).toFixed(1)}kHz` : null,
+            data.codec
+        ].filter(Boolean).join(' ');
+        const parts = [format, data.bitrate ? `${Math.round(data.bitrate / 1000)} kbps` : null].filter(Boolean);
+
+        return `Stream quality: ${parts.length > 0 ? parts.join(' · ') : 'HLS'}`;
+    }
+
+    /**
+     * Level index for each quality choice, null when the stream has none
+     * - lossless: the highest-bitrate FLAC/ALAC level
+     * - high / low: the highest / lowest-bitrate lossy level
+     * - saver: the data-saver cap (the low level, or the lowest level
+     *   when every level is lossless)
+     */
+    function getQualityTiers(qualities) {
+        const indexed = (qualities || [])
+            .map((quality, index) => ({ index, bitrate: quality.bitrate || 0, lossless: LOSSLESS_CODECS.includes(quality.codec) }))
+            .sort((a, b) => a.bitrate - b.bitrate);
+        const lossless = indexed.filter(level => level.lossless);
+        const lossy = indexed.filter(level => !level.lossless);
+        const last = (list) => list.length > 0 ? list[list.length - 1].index : null;
+        const first = (list) => list.length > 0 ? list[0].index : null;
+
+        return {
+            lossless: last(lossless),
+            high: last(lossy),
+            low: first(lossy),
+            saver: lossy.length > 0 ? first(lossy) : first(indexed)
+        };
+    }
+
+    /**
+     * Whether a quality choice can be selected, given the tiers and data saver
+     * Data saver never goes above the low level; Low is hidden when the
+     * stream has a single lossy level
+     */
+    function isChoiceAvailable(choice, tiers, dataSaver) {
+        if (choice === 'auto') return true;
+        if (tiers[choice] === null || tiers[choice] === undefined) return false;
+        if (choice === 'low' && tiers.low === tiers.high) return false;
+        return !dataSaver || tiers[choice] === tiers.saver;
+    }
+
+    /**
+     * hls.js settings for a quality choice
+     * Returns the choice actually applied (unavailable choices fall back to
+     * auto), the level to force (-1 for automatic switching) and the
+     * automatic switching cap (-1 for none)
+     */
+    function getLevelSelection(choice, tiers, dataSaver) {
+        const cap = dataSaver && tiers.saver !== null ? tiers.saver : -1;
+
+        if (QUALITY_CHOICES.includes(choice) && choice !== 'auto' && isChoiceAvailable(choice, tiers, dataSaver)) {
+            return { choice, level: tiers[choice], cap };
+        }
+
+        return { choice: 'auto', level: -1, cap };
+    }
+
+    /**
+     * "Data used: 12.4 MB (~64 MB/h)"; the hourly estimate needs the
+     * current bitrate in bits per second
+     */
+    function formatDataUsage(bytes, bitrate) {
+        const format = (value) => {
+            let amount = value;
+            let unit = 0;
+            while (amount >= 1000 && unit < BYTE_UNITS.length - 1) {
+                amount /= 1000;
+                unit++;
+            }
+            return `${unit === 0 ? amount : amount.toFixed(1)} ${BYTE_UNITS[unit]}`;
+        };
+
+        const hourly = bitrate ? ` (~${format(Math.round(bitrate / 8 * 3600))}/h)` : '';
+        return `Data used: ${format(bytes || 0)}${hourly}`;
+    }
+
+    return {
+        describeCodec,
+        parseAttributes,
+        parseMasterPlaylist,
+        getLevelQuality,
+        summarizeVariants,
+        readSampleRate,
+        formatStreamQuality,
+        getQualityTiers,
+        isChoiceAvailable,
+        getLevelSelection,
+        formatDataUsage,
+        QUALITY_CHOICES
+    };
+});
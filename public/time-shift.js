@@ -0,0 +1,129 @@
+/* eslint-env browser */
+/**
+ * Time Shift
+ * Pause, rewind and resume within the live stream's DVR window (the
+ * seekable range of the live playlist), and keep the now playing display
+ * in step with the audible position rather than the live edge: track
+ * updates describe what the station is sending now, while the player is
+ * always a few segments behind
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TimeShift = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const LIVE_TOLERANCE = 3; // Seconds behind the live position still shown as live
+    const REWIND_SECONDS = 30;
+    const WINDOW_MARGIN = 2; // Keep resumes clear of segments about to leave the window
+    const MAX_TIMELINE_ENTRIES = 50;
+    const CLOCK_TOLERANCE = 2000; // Milliseconds a program date may sit ahead of the measured latency
+    const MAX_PACKAGING_DELAY = 30000; // Encoder and packager delay on top of the playlist latency
+
+    /**
+     * Whole seconds the playhead is behind the live position, 0 when live
+     */
+    function getLiveOffset(livePosition, currentTime) {
+        if (!Number.isFinite(livePosition) || !Number.isFinite(currentTime)) return 0;
+
+        const offset = livePosition - currentTime;
+        return offset > LIVE_TOLERANCE ? Math.round(offset) : 0;
+    }
+
+    /**
+     * "Live", or "-1:24" behind live
+     */
+    function formatLiveOffset(seconds) {
+        if (!seconds) return 'Live';
+
+        const minutes = Math.floor(seconds / 60);
+        return `-${minutes}:${String(seconds % 60).padStart(2, '0')}`;
+    }
+
+    /**
+     * Playhead after rewinding, never before the start of the DVR window
+     */
+    function getRewindPosition(currentTime, windowStart, seconds = REWIND_SECONDS) {
+        return Math.max(currentTime - seconds, windowStart + WINDOW_MARGIN);
+    }
+
+    /**
+     * Where to resume after a pause: the paused position while it is still
+     * in the DVR window, otherwise the oldest position still available
+     */
+    function getResumePosition(currentTime, windowStart) {
+        return currentTime < windowStart + WINDOW_MARGIN ? windowStart + WINDOW_MARGIN : currentTime;
+    }
+
+    /**
+     * Milliseconds between the audible position and the live broadcast, which
+     * is how long ago a track update for the audible audio arrived
+     * - playingDate: wall clock time of the audible position, from
+     *   EXT-X-PROGRAM-DATE-TIME; includes encoder and packager delay
+     * - latency: seconds from the audible position to the playlist's live
+     *   edge, measured without any clock
+     * The program date relies on the listener's clock agreeing with the
+     * encoder's, so it is only trusted when it is consistent with the
+     * measured latency
+     */
+    function getAudioDelay({ now, playingDate = null, latency = 0 }) {
+        const measured = Number.isFinite(latency) && latency > 0 ? latency * 1000 : 0;
+        const playingTime = playingDate instanceof Date ? playingDate.getTime() : playingDate;
+
+        if (Number.isFinite(playingTime)) {
+            const delay = now - playingTime;
+            if (delay >= measured - CLOCK_TOLERANCE && delay <= measured + MAX_PACKAGING_DELAY) {
+                return Math.max(0, Math.round(delay));
+            }
+        }
+        return Math.round(measured);
+    }
+
+    /**
+     * Track updates with the time they arrived, so the display can show
+     * what was live when the delayed audio was live
+     */
+    function createTrackTimeline(maxEntries = MAX_TIMELINE_ENTRIES) {
+        let entries = [];
+
+        function add(track, receivedAt) {
+            entries.push({ track, receivedAt });
+            if (entries.length > maxEntries) {
+                entries = entries.slice(-maxEntries);
+            }
+        }
+
+        // Latest track received at or before `time`; the oldest known track
+        // when rewound past the start of the timeline
+        function at(time) {
+            if (entries.length === 0) return null;
+
+            let match = entries[0];
+            for (const entry of entries) {
+                if (entry.receivedAt > time) break;
+                match = entry;
+            }
+            return match.track;
+        }
+
+        function clear() {
+            entries = [];
+        }
+
+        return { add, at, clear };
+    }
+
+    return {
+        getLiveOffset,
+        formatLiveOffset,
+        getRewindPosition,
+        getResumePosition,
+        getAudioDelay,
+        createTrackTimeline,
+        LIVE_TOLERANCE,
+        REWIND_SECONDS
+    };
+});
@@ -0,0 +1,170 @@
+/* eslint-env browser */
+/**
+ * Track Metadata Normalization
+ * Shared by the server (song ids, history) and the player (display)
+ * Cleans upstream artist/title strings: decodes HTML entities, trims
+ * whitespace, extracts the release year, moves "Remastered 2011" style
+ * suffixes into tags and splits "feat." guests from the artist
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.TrackMetadata = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const NAMED_ENTITIES = {
+        amp: '&',
+        lt: '<',
+        gt: '>',
+        quot: '"',
+        apos: "'",
+        nbsp: ' '
+    };
+
+    // Suffixes describing the release rather than the song, matched after
+    // removing a leading or trailing year ("2011 Remaster", "Remastered 2011")
+    const TAG_PATTERNS = [
+        /^(?:digital )?remaster(?:ed)?(?: version)?$/i,
+        /^(?:radio|single|album|original|clean|explicit|extended|short) (?:edit|version|mix)$/i,
+        /^(?:mono|stereo)(?: version| mix)?$/i
+    ];
+    const TAG_YEAR_PATTERN = /^\d{4} | \d{4}$/g;
+
+    const FEATURING_PATTERN = /^(?:feat\.?|ft\.?|featuring) (.+)$/i;
+    const ARTIST_FEATURING_PATTERN = / (?:feat\.?|ft\.|featuring) /i;
+    const BRACKET_SUFFIX_PATTERN = /\s*[([]([^()[\]]+)[)\]]$/;
+    const DASH_SUFFIX_PATTERN = /\s+-\s+([^-]+)$/;
+    const YEAR_PATTERN = /^(?:19|20)\d{2}$/;
+
+    /**
+     * Decode HTML entities (named, decimal and hex) in a single pass
+     */
+    function decodeEntities(text) {
+        return text.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (match, code) => {
+            if (code[0] === '#') {
+                const codePoint = code[1].toLowerCase() === 'x'
+                    ? parseInt(code.slice(2), 16)
+                    : parseInt(code.slice(1), 10);
+                return codePoint > 0 && codePoint <= 0x10ffff ? String.fromCodePoint(codePoint) : match;
+            }
+            const named = NAMED_ENTITIES[code.toLowerCase()];
+            return named === undefined ? match : named;
+        });
+    }
+
+    /**
+     * Decode entities and collapse whitespace, or null when empty
+     */
+    function cleanText(value) {
+        if (value === undefined || value === null) return null;
+        const text = decodeEntities(String(value)).replace(/\s+/g, ' ').trim();
+        return text.length > 0 ? text : null;
+    }
+
+    function splitNames(text) {
+        return text.split(/\s*,\s*/).filter(Boolean);
+    }
+
+    function isTag(text) {
+        const words = text.replace(TAG_YEAR_PATTERN, '');
+        return TAG_PATTERNS.some(pattern => pattern.test(words));
+    }
+
+    /**
+     * Split a title into the song title, release year, tags and guests
+     * "Song (feat. Guest) [Remastered 2011] (1983)" becomes
+     * { title: 'Song', year: 1983, tags: ['Remastered 2011'], featured: ['Guest'] }
+     */
+    function parseTitle(value) {
+        const cleaned = cleanText(value);
+        const result = { title: cleaned, year: null, tags: [], featured: [] };
+        if (!cleaned) return result;
+
+        let title = cleaned;
+        for (;;) {
+            const bracket = title.match(BRACKET_SUFFIX_PATTERN);
+            const dash = bracket ? null : title.match(DASH_SUFFIX_PATTERN);
+            const suffix = bracket || dash;
+            if (!suffix) break;
+
+            const content = suffix[1].trim();
+            const featuring = content.match(FEATURING_PATTERN);
+
+            if (bracket && YEAR_PATTERN.test(content) && result.year === null) {
+                result.year = parseInt(content, 10);
+            } else if (isTag(content)) {
+                result.tags.unshift(content);
+            } else if (bracket && featuring) {
+                result.featured.unshift(...splitNames(featuring[1]));
+            } else {
+                break;
+            }
+
+            title = title.slice(0, suffix.index);
+        }
+
+        // Never reduce a title to nothing, e.g. a track called "(1983)"
+        result.title = title.length > 0 ? title : cleaned;
+        return result;
+    }
+
+    /**
+     * Split "Artist feat. Guest, Other" into the main artist and guests
+     */
+    function parseArtist(value) {
+        const cleaned = cleanText(value);
+        if (!cleaned) return { artist: cleaned, featured: [] };
+
+        const bracket = cleaned.match(BRACKET_SUFFIX_PATTERN);
+        const bracketFeaturing = bracket && bracket[1].trim().match(FEATURING_PATTERN);
+        if (bracketFeaturing && bracket.index > 0) {
+            return { artist: cleaned.slice(0, bracket.index), featured: splitNames(bracketFeaturing[1]) };
+        }
+
+        const separator = cleaned.match(ARTIST_FEATURING_PATTERN);
+        if (separator && separator.index > 0) {
+            return {
+                artist: cleaned.slice(0, separator.index),
+                featured: splitNames(cleaned.slice(separator.index + separator[0].length))
+            };
+        }
+
+        return { artist: cleaned, featured: [] };
+    }
+
+    /**
+     * Normalize a track object, keeping any fields this module does not own
+     * Safe to apply more than once
+     */
+    function normalizeTrack(track) {
+        const data = track || {};
+        const artist = parseArtist(data.artist);
+        const title = parseTitle(data.title);
+        const year = parseInt(data.year, 10);
+
+        const unique = (items) => items.filter((item, index) => items.indexOf(item) === index);
+
+        return Object.assign({}, data, {
+            artist: artist.artist,
+            title: title.title,
+            album: cleanText(data.album),
+            year: title.year || (Number.isFinite(year) ? year : null),
+            tags: unique((Array.isArray(data.tags) ? data.tags : []).concat(title.tags)),
+            featured_artists: unique(
+                (Array.isArray(data.featured_artists) ? data.featured_artists : [])
+                    .concat(artist.featured, title.featured)
+            )
+        });
+    }
+
+    return {
+        decodeEntities,
+        cleanText,
+        parseTitle,
+        parseArtist,
+        normalizeTrack
+    };
+});
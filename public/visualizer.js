@@ -0,0 +1,144 @@
+/* eslint-env browser */
+/**
+ * Spectrum Visualizer
+ * Draws the analyser output (frequency bars or the waveform) on a canvas
+ * over the album art, in the brand colors (teal bars with mint caps,
+ * calico orange waveform; see RadioCalico_Style_Guide.txt)
+ *
+ * The player decides when it runs: only while playing, with the page
+ * visible and prefers-reduced-motion not set
+ */
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.Visualizer = factory();
+    }
+})(globalThis, function () {
+    'use strict';
+
+    const VISUALIZER_MODES = ['off', 'bars', 'waveform'];
+    const BAR_COUNT = 32;
+    const BAR_GAP = 2;
+    const CAP_HEIGHT = 2;
+    const LINE_WIDTH = 2;
+
+    const COLORS = {
+        bar: '#38A29D', // Teal
+        cap: '#D8F2D5', // Mint
+        wave: '#EFA63C' // Calico Orange
+    };
+
+    /**
+     * Average the analyser's frequency bins (0-255) into bars of 0..height
+     * Bins are grouped logarithmically so bass and treble get similar
+     * room; the DC bin is skipped
+     */
+    function getBarHeights(frequencyData, barCount, height) {
+        const bins = frequencyData.length;
+        const heights = [];
+
+        for (let bar = 0; bar < barCount; bar++) {
+            const start = Math.floor(Math.pow(bins, bar / barCount));
+            const end = Math.max(start + 1, Math.floor(Math.pow(bins, (bar + 1) / barCount)));
+
+            let sum = 0;
+            for (let bin = start; bin < end && bin < bins; bin++) {
+                sum += frequencyData[bin];
+            }
+            const count = Math.min(end, bins) - start;
+            heights.push(count > 0 ? (sum / count / 255) * height : 0);
+        }
+
+        return heights;
+    }
+
+    /**
+     * Canvas points for the analyser's time-domain samples (128 is silence)
+     */
+    function getWaveformPoints(timeData, width, height) {
+        const step = timeData.length > 1 ? width / (timeData.length - 1) : 0;
+        return Array.from(timeData, (value, index) => [index * step, (value / 255) * height]);
+    }
+
+    /**
+     * Draw one frame of the given mode from the analyser data
+     */
+    function drawFrame(context, mode, data, width, height) {
+        context.clearRect(0, 0, width, height);
+
+        if (mode === 'bars') {
+            const barWidth = width / BAR_COUNT;
+            getBarHeights(data, BAR_COUNT, height).forEach((barHeight, index) => {
+                const x = index * barWidth;
+                context.fillStyle = COLORS.bar;
+                context.fillRect(x, height - barHeight, barWidth - BAR_GAP, barHeight);
+                context.fillStyle = COLORS.cap;
+                context.fillRect(x, height - barHeight - CAP_HEIGHT, barWidth - BAR_GAP, CAP_HEIGHT);
+            });
+        } else if (mode === 'waveform') {
+            context.lineWidth = LINE_WIDTH;
+            context.strokeStyle = COLORS.wave;
+            context.beginPath();
+            getWaveformPoints(data, width, height).forEach(([x, y], index) => {
+                if (index === 0) {
+                    context.moveTo(x, y);
+                } else {
+                    context.lineTo(x, y);
+                }
+            });
+            context.stroke();
+        }
+    }
+
+    /**
+     * Animation loop drawing an AnalyserNode onto a canvas
+     */
+    function createVisualizer(canvas, analyser) {
+        const context = canvas.getContext('2d');
+        const data = new Uint8Array(analyser.frequencyBinCount);
+        let mode = 'off';
+        let frame = null;
+
+        function render() {
+            if (mode === 'bars') {
+                analyser.getByteFrequencyData(data);
+            } else {
+                analyser.getByteTimeDomainData(data);
+            }
+            drawFrame(context, mode, data, canvas.width, canvas.height);
+            frame = requestAnimationFrame(render);
+        }
+
+        function start(nextMode) {
+            mode = nextMode;
+            if (frame !== null) return;
+
+            // Match the canvas to its displayed size for sharp lines
+            const ratio = window.devicePixelRatio || 1;
+            canvas.width = Math.round(canvas.clientWidth * ratio);
+            canvas.height = Math.round(canvas.clientHeight * ratio);
+            frame = requestAnimationFrame(render);
+        }
+
+        function stop() {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+            context.clearRect(0, 0, canvas.width, canvas.height);
+        }
+
+        return { start, stop };
+    }
+
+    return {
+        getBarHeights,
+        getWaveformPoints,
+        drawFrame,
+        createVisualizer,
+        VISUALIZER_MODES,
+        BAR_COUNT,
+        COLORS
+    };
+});
@@ -0,0 +1,154 @@
+/**
+ * Pub/Sub Abstraction Layer
+ * Relays live updates between server processes
+ * Supports an in-process emitter (default) and PostgreSQL LISTEN/NOTIFY
+ */
+
+const { EventEmitter } = require('events');
+
+const PUBSUB_TYPE = process.env.PUBSUB_TYPE || 'memory';
+const RECONNECT_DELAY = 5000;
+const CHANNEL_PATTERN = /^[a-z][a-z0-9_]*$/;
+
+function assertChannel(channel) {
+  if (!CHANNEL_PATTERN.test(channel)) {
+    throw new Error(`Invalid pub/sub channel name: ${channel}`);
+  }
+}
+
+/**
+ * In-process pub/sub - only reaches subscribers in the same process
+ */
+function createMemoryPubSub() {
+  const emitter = new EventEmitter();
+  emitter.setMaxListeners(0);
+
+  async function publish(channel, message) {
+    assertChannel(channel);
+    // Deliver asynchronously, like a real broker would
+    setImmediate(() => emitter.emit(channel, message));
+  }
+
+  async function subscribe(channel, handler) {
+    assertChannel(channel);
+    emitter.on(channel, handler);
+    return () => emitter.off(channel, handler);
+  }
+
+  async function close() {
+    emitter.removeAllListeners();
+  }
+
+  return { type: 'memory', publish, subscribe, close };
+}
+
+/**
+ * PostgreSQL pub/sub - every process LISTENs on a dedicated connection,
+ * so a NOTIFY from any process reaches subscribers in all of them
+ */
+function createPostgresPubSub(config) {
+  const { Client } = require('pg');
+  const handlers = new Map(); // channel -> Set of handlers
+  let connecting = null;
+  let closed = false;
+
+  function dispatch({ channel, payload }) {
+    let message;
+    try {
+      message = JSON.parse(payload);
+    } catch (error) {
+      console.error('⚠️ Ignoring malformed pub/sub payload on', channel);
+      return;
+    }
+    for (const handler of handlers.get(channel) || []) {
+      handler(message);
+    }
+  }
+
+  function connect() {
+    if (!connecting) {
+      const client = new Client(config);
+      client.on('notification', dispatch);
+      client.on('error', (error) => {
+        console.error('⚠️ Pub/sub connection error:', error.message);
+      });
+      client.on('end', () => {
+        connecting = null;
+        if (!closed) {
+          console.log('📦 Pub/sub connection lost, reconnecting...');
+          setTimeout(() => {
+            listenAll().catch(error => console.error('⚠️ Pub/sub reconnect failed:', error.message));
+          }, RECONNECT_DELAY).unref();
+        }
+      });
+
+      connecting = client.connect()
+        .then(() => client)
+        .catch((error) => {
+          connecting = null;
+          throw error;
+        });
+    }
+    return connecting;
+  }
+
+  // Re-register every channel after a reconnect
+  async function listenAll() {
+    const client = await connect();
+    for (const channel of handlers.keys()) {
+      await client.query(`LISTEN "${channel}"`);
+    }
+  }
+
+  async function publish(channel, message) {
+    assertChannel(channel);
+    const client = await connect();
+    await client.query('SELECT pg_notify($1, $2)', [channel, JSON.stringify(message)]);
+  }
+
+  async function subscribe(channel, handler) {
+    assertChannel(channel);
+    const client = await connect();
+
+    if (!handlers.has(channel)) {
+      handlers.set(channel, new Set());
+      await client.query(`LISTEN "${channel}"`);
+    }
+    handlers.get(channel).add(handler);
+
+    return () => handlers.get(channel).delete(handler);
+  }
+
+  async function close() {
+    closed = true;
+    handlers.clear();
+    if (connecting) {
+      const client = await connecting;
+      await client.end();
+    }
+  }
+
+  return { type: 'postgres', publish, subscribe, close };
+}
+
+/**
+ * Create the pub/sub backend selected by PUBSUB_TYPE
+ */
+function createPubSub(type = PUBSUB_TYPE) {
+  if (type === 'postgres') {
+    const { getPostgresConfig } = require('./db');
+    return createPostgresPubSub(getPostgresConfig());
+  }
+
+  if (type !== 'memory') {
+    throw new Error(`Unknown PUBSUB_TYPE: ${type} (expected 'memory' or 'postgres')`);
+  }
+
+  return createMemoryPubSub();
+}
+
+module.exports = {
+  createPubSub,
+  createMemoryPubSub,
+  createPostgresPubSub
+};
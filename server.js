@@ -6,36 +6,252 @@ const helmet = require('helmet');
 const rateLimit = require('express-rate-limit');
 const { body, param, query, validationResult } = require('express-validator');
 const database = require('./db');
+const { createMetadataPoller, getTrackEventId } = require('./metadata-poller');
+const { createMetadataSource } = require('./metadata-sources');
+const { createEventStream } = require('./event-stream');
+const { createPubSub } = require('./pubsub');
+const playHistory = require('./play-history');
+const songCatalog = require('./song-catalog');
+const { createArtStore, ART_SIZES, ART_FORMATS, CONTENT_TYPES } = require('./album-art');
+const webhooks = require('./webhooks');
+const stations = require('./stations');
+const embed = require('./embed');
+const listeningSessions = require('./listening-sessions');
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Resolve the playing track to its song catalog entry, adopting any
+// ratings still stored under the legacy "Artist-Title" song id
+async function resolveNowPlayingSong(track) {
+  const song = await songCatalog.resolveSong(track);
+  if (!song) return {};
+
+  await songCatalog.remapLegacyRatings(song.legacy_id, song.id);
+  return {
+    song_id: song.id,
+    // Ids are deterministic, so history items can link to their art too
+    recently_played: track.recently_played.map(item => ({
+      ...item,
+      song_id: songCatalog.getSongId(item.artist, item.title)
+    }))
+  };
+}
+
+// Stations come from STATIONS_FILE, or a single station built from
+// STREAM_URL and the METADATA_* variables (see stations.js)
+const stationConfig = stations.loadStationConfig();
+const DEFAULT_STATION = stationConfig[0].id;
+
+// Each station has its own server-side poller for upstream now-playing
+// metadata and its own Server-Sent Events stream of track changes
+function createStationRuntime(station) {
+  const poller = createMetadataPoller({
+    source: createMetadataSource(station.metadata_source, {
+      url: station.metadata_url || undefined,
+      coverUrl: station.cover_url || undefined,
+      mount: station.metadata_mount || undefined,
+      path: station.metadata_file || undefined
+    }),
+    intervalMs: parseInt(process.env.METADATA_POLL_INTERVAL, 10) || undefined,
+    resolveTrack: resolveNowPlayingSong
+  });
+
+  const stream = createEventStream({
+    // Send the current track on connect unless the client already has it,
+    // and the live listener count
+    getInitialEvents: (lastEventId) => {
+      const events = [];
+      const track = poller.getNowPlaying();
+      const id = getTrackEventId(track);
+      if (track && id !== lastEventId) {
+        events.push({ event: 'track', data: track, id });
+      }
+
+      const counts = liveListeners.getCounts();
+      if (counts) {
+        events.push({ event: 'listeners', data: getStationListeners(counts, station.id) });
+      }
+      return events;
+    }
+  });
+
+  poller.on('trackchange', (track) => {
+    stream.broadcast('track', track, getTrackEventId(track));
+  });
+
+  return { station, nowPlaying: poller, stream, lastArtHash: null };
+}
+
+const stationRuntimes = new Map(stationConfig.map(station => [station.id, createStationRuntime(station)]));
+const defaultRuntime = stationRuntimes.get(DEFAULT_STATION);
+
+// The default station, for callers that predate multi-station support
+const nowPlaying = defaultRuntime.nowPlaying;
+const nowPlayingStream = defaultRuntime.stream;
+
+// Station selected by ?station= (GET) or station_id in the body (POST),
+// validated by the stationQuery / stationBody validators
+function getStationRuntime(req) {
+  const stationId = req.method === 'GET' ? req.query.station : req.body && req.body.station_id;
+  return stationRuntimes.get(stationId || DEFAULT_STATION);
+}
+
+// Pub/sub relays live updates (e.g. rating counts) between server processes
+const pubsub = createPubSub();
+
+// Album art captured per song and served as cached, resized variants
+const artStore = createArtStore({ dir: process.env.ART_DIR || undefined });
+const ART_CAPTURE_DELAY = parseInt(process.env.ART_CAPTURE_DELAY, 10) || 5000;
+const ART_CAPTURE_ATTEMPTS = 3;
+
+// The upstream cover is replaced some time after the track changes; if it
+// still hashes to the station's previous art, wait and try again. The last
+// attempt keeps whatever it captured, since consecutive tracks from the
+// same album share their cover
+async function captureAlbumArt(track, runtime = defaultRuntime) {
+  if (!track.song_id || !track.cover_url) return;
+
+  const song = await songCatalog.findSong(track.song_id);
+  if (song && song.art_hash && artStore.hasOriginal(song.art_hash)) {
+    runtime.lastArtHash = song.art_hash;
+    return;
+  }
+
+  for (let attempt = 0; attempt < ART_CAPTURE_ATTEMPTS; attempt++) {
+    await new Promise(resolve => setTimeout(resolve, ART_CAPTURE_DELAY));
+
+    // Track already moved on, the cover no longer belongs to this song
+    const current = runtime.nowPlaying.getNowPlaying();
+    if (!current || current.song_id !== track.song_id) return;
+
+    const hash = await artStore.capture(track.cover_url);
+    if (hash !== runtime.lastArtHash || attempt === ART_CAPTURE_ATTEMPTS - 1) {
+      runtime.lastArtHash = hash;
+      await songCatalog.setArtHash(track.song_id, hash);
+      return;
+    }
+  }
+}
+
+function recordAlbumArt(track, runtime) {
+  captureAlbumArt(track, runtime)
+    .catch(error => console.error('⚠️ Failed to capture album art:', error.message));
+}
+
+// Record every track transition into the station's play_history; resolves
+// to the entry id, which every server process gets for the same transition
+function recordPlayHistory(track, stationId) {
+  return playHistory.recordTrackChange(track, stationId)
+    .catch((error) => {
+      console.error('⚠️ Failed to record play history:', error.message);
+      return null;
+    });
+}
+
+// Outbound webhooks for track changes, song requests and feedback
+const webhookDispatcher = webhooks.createWebhookDispatcher();
+
+function notifyWebhooks(event, data, options) {
+  webhookDispatcher.dispatch(event, data, options)
+    .catch(error => console.error(`⚠️ Failed to send ${event} webhooks:`, error.message));
+}
+
+// Keyed on the track event id and its play history entry, so the processes
+// that all saw the change send it once and a later replay is sent again
+function sendTrackWebhooks(track, previous, stationId = DEFAULT_STATION, historyId = null) {
+  notifyWebhooks('track.changed', {
+    station_id: stationId,
+    track,
+    previous: previous
+      ? { song_id: previous.song_id || null, artist: previous.artist, title: previous.title, album: previous.album }
+      : null
+  }, { key: historyId ? `${getTrackEventId(track)}:${historyId}` : null });
+}
+
+// Closes listening sessions whose player stopped sending heartbeats
+const sessionSweeper = listeningSessions.createSessionSweeper();
+
+// "Listening now" counts, relayed to every server process when they change
+const liveListeners = listeningSessions.createLiveListenerCounter({
+  onChange: (counts) => {
+    pubsub.publish('listeners', counts)
+      .catch(error => console.error('⚠️ Failed to publish listener count:', error.message));
+  }
+});
+
+// The live count as sent to a station's players
+function getStationListeners(counts, stationId) {
+  return { station_id: stationId, listening: counts.stations[stationId] || 0, total: counts.total };
+}
+
+// Record history, capture art and send webhooks for every station's tracks
+function watchStations() {
+  for (const runtime of stationRuntimes.values()) {
+    const stationId = runtime.station.id;
+    runtime.nowPlaying.on('trackchange', track => recordAlbumArt(track, runtime));
+    runtime.nowPlaying.on('trackchange', (track, previous) => {
+      recordPlayHistory(track, stationId)
+        .then(historyId => sendTrackWebhooks(track, previous, stationId, historyId));
+    });
+  }
+}
+
+// Forward live updates from every server process to this process's SSE clients
+async function startLiveUpdates() {
+  await pubsub.subscribe('ratings', (counts) => {
+    const runtime = stationRuntimes.get(counts.station_id) || defaultRuntime;
+    runtime.stream.broadcast('ratings', counts);
+  });
+
+  await pubsub.subscribe('listeners', (counts) => {
+    for (const runtime of stationRuntimes.values()) {
+      runtime.stream.broadcast('listeners', getStationListeners(counts, runtime.station.id));
+    }
+  });
+}
+
 // ============= SECURITY MIDDLEWARE =============
 
 // Helmet - Security headers
-app.use(helmet({
-  contentSecurityPolicy: {
-    directives: {
-      defaultSrc: ["'self'"],
-      styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
-      fontSrc: ["'self'", "https://fonts.gstatic.com"],
-      scriptSrc: ["'self'", "'unsafe-inline'"],
-      imgSrc: ["'self'", "data:", "https:"],
-      mediaSrc: ["'self'", "https://d3d4yli4hf5bmh.cloudfront.net", "blob:"],
-      connectSrc: ["'self'", "https://d3d4yli4hf5bmh.cloudfront.net"],
-      workerSrc: ["'self'", "blob:"],
-    },
-  },
+const cspDirectives = {
+  defaultSrc: ["'self'"],
+  styleSrc: ["'self'", "'unsafe-inline'", "https://fonts.googleapis.com"],
+  fontSrc: ["'self'", "https://fonts.gstatic.com"],
+  scriptSrc: ["'self'", "'unsafe-inline'"],
+  imgSrc: ["'self'", "data:", "https:"],
+  mediaSrc: ["'self'", ...stations.getStreamOrigins(stationConfig), "blob:"],
+  // Stream hosts are still needed here for hls.js playlist/segment
+  // requests; metadata is served from /api/now-playing
+  connectSrc: ["'self'", ...stations.getStreamOrigins(stationConfig)],
+  workerSrc: ["'self'", "blob:"],
+};
+
+const siteHelmet = helmet({
+  contentSecurityPolicy: { directives: cspDirectives },
   // Allow frames from same origin for embedding
   frameguard: { action: 'sameorigin' },
-}));
+});
+
+// The embed player may also be framed by the partner origins in
+// EMBED_ALLOWED_ORIGINS (see embed.js). X-Frame-Options cannot list
+// origins, so frame-ancestors alone decides for this route
+const embedOrigins = embed.loadAllowedOrigins();
+const embedHelmet = helmet({
+  contentSecurityPolicy: {
+    directives: { ...cspDirectives, frameAncestors: embed.getFrameAncestors(embedOrigins) },
+  },
+  frameguard: false,
+});
+
+app.use((req, res, next) => (req.path === embed.EMBED_PATH ? embedHelmet : siteHelmet)(req, res, next));
 
 // CORS - Restrict to specific origins in production
 const corsOptions = {
   origin: process.env.NODE_ENV === 'production'
     ? process.env.ALLOWED_ORIGINS?.split(',') || 'http://localhost'
     : '*',
-  methods: ['GET', 'POST', 'PATCH'],
+  methods: ['GET', 'POST', 'PATCH', 'DELETE'],
   allowedHeaders: ['Content-Type', 'Authorization'],
   maxAge: 86400, // 24 hours
 };
@@ -49,11 +265,21 @@ const rateLimitConfig = {
   trustProxy: 1, // Trust first proxy (prevents header spoofing)
 };
 
+// Sent by every player on page load, play, pause and while it plays
+const LISTENER_PATHS = ['/listeners', '/sessions/start', '/sessions/heartbeat', '/sessions/end'];
+
+function isListenerRequest(req) {
+  return req.method === 'POST' && LISTENER_PATHS.includes(req.path);
+}
+
 const generalLimiter = rateLimit({
   ...rateLimitConfig,
   windowMs: 15 * 60 * 1000, // 15 minutes
   max: 100, // Limit each IP to 100 requests per windowMs
   message: 'Too many requests from this IP, please try again later.',
+  // Now playing is polled by every open player and served from memory;
+  // listener registration and listening sessions have their own limits
+  skip: (req) => req.path.startsWith('/now-playing') || isListenerRequest(req),
 });
 
 const strictLimiter = rateLimit({
@@ -72,6 +298,42 @@ const ratingsLimiter = rateLimit({
   keyGenerator: (req) => getUserFingerprint(req),
 });
 
+// Listening session requests are counted per listener on each address, so
+// listeners sharing an address (NAT, offices, campuses) do not use up each
+// other's allowance. The client picks its session_id, so every address
+// also has a looser cap that rotating ids cannot get around
+function getListenerKey(req) {
+  const sessionId = req.body && typeof req.body.session_id === 'string' ? req.body.session_id : '';
+  return `${getClientIP(req)}:${sessionId}`;
+}
+
+const listenerIpLimiter = rateLimit({
+  ...rateLimitConfig,
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 120, // About 60 listeners playing behind one address
+  message: 'Too many listening updates from this IP, please try again later.',
+  keyGenerator: (req) => getClientIP(req),
+});
+
+// Registering and starting or ending sessions, kept apart from the write
+// submissions so pausing and playing never uses up song requests
+const sessionLimiter = rateLimit({
+  ...rateLimitConfig,
+  windowMs: 15 * 60 * 1000, // 15 minutes
+  max: 60,
+  message: 'Too many listening session changes, please slow down.',
+  keyGenerator: getListenerKey,
+});
+
+// Playing players send a heartbeat every 30 seconds
+const heartbeatLimiter = rateLimit({
+  ...rateLimitConfig,
+  windowMs: 1 * 60 * 1000, // 1 minute
+  max: 10,
+  message: 'Too many heartbeats, please slow down.',
+  keyGenerator: getListenerKey,
+});
+
 // Apply general rate limiting to all API routes
 app.use('/api/', generalLimiter);
 
@@ -119,6 +381,27 @@ function getUserFingerprint(req) {
   return crypto.createHash('sha256').update(fingerprintString).digest('hex');
 }
 
+// Admin endpoints require ADMIN_TOKEN as a Bearer token and are disabled
+// when it is not set
+function requireAdmin(req, res, next) {
+  const adminToken = process.env.ADMIN_TOKEN;
+  if (!adminToken) {
+    return res.status(503).json({ error: 'Admin API is not configured' });
+  }
+
+  const header = req.get('Authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice(7) : '';
+
+  // Compare digests so the comparison takes the same time for any input length
+  const expectedDigest = crypto.createHash('sha256').update(adminToken).digest();
+  const providedDigest = crypto.createHash('sha256').update(provided).digest();
+  if (!crypto.timingSafeEqual(expectedDigest, providedDigest)) {
+    return res.status(401).json({ error: 'Unauthorized' });
+  }
+
+  next();
+}
+
 // Helper function to handle validation errors
 function handleValidationErrors(req, res, next) {
   const errors = validationResult(req);
@@ -153,11 +436,54 @@ function formatError(error, statusCode = 500) {
   }
 }
 
+/**
+ * Station selector for station-scoped endpoints; the default station is
+ * used when it is omitted
+ */
+const stationIds = [...stationRuntimes.keys()];
+const stationQuery = query('station')
+  .optional()
+  .isIn(stationIds).withMessage('Unknown station');
+const stationBody = body('station_id')
+  .optional()
+  .isIn(stationIds).withMessage('Unknown station');
+
+// ============= EMBED PLAYER =============
+
+// Compact player for partner sites: ?station=, ?theme=light|dark and
+// ?autoplay=muted are read by the page (public/embed.js)
+app.get(embed.EMBED_PATH,
+  [
+    stationQuery,
+    query('theme').optional().isIn(embed.EMBED_THEMES).withMessage('Unknown theme'),
+    query('autoplay').optional().isIn(embed.EMBED_AUTOPLAY).withMessage('autoplay must be "muted"')
+  ],
+  handleValidationErrors,
+  (req, res) => {
+    res.sendFile(path.join(__dirname, staticDir, 'embed.html'));
+  }
+);
+
+// ============= STATIONS API =============
+
+// List stations (stream URL, metadata adapter, art source, branding)
+app.get('/api/stations', async (req, res) => {
+  try {
+    const list = await stations.listStations();
+    res.set('Cache-Control', 'public, max-age=300');
+    res.json(list);
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
 // ============= LISTENERS API =============
 
 // Register new listener or update existing
 app.post('/api/listeners',
-  strictLimiter,
+  listenerIpLimiter,
+  sessionLimiter,
   [
     body('session_id')
       .trim()
@@ -187,6 +513,24 @@ app.post('/api/listeners',
   }
 });
 
+// Listeners playing right now (a heartbeat in the last minute), overall
+// and per station
+app.get('/api/listeners/live', async (req, res) => {
+  try {
+    const counts = await listeningSessions.countLiveListeners();
+    const perStation = {};
+    for (const stationId of stationRuntimes.keys()) {
+      perStation[stationId] = counts.stations[stationId] || 0;
+    }
+
+    res.set('Cache-Control', 'no-cache');
+    res.json({ listening: counts.total, stations: perStation });
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
 // Get listener stats
 app.get('/api/listeners/stats', async (req, res) => {
   try {
@@ -205,76 +549,92 @@ app.get('/api/listeners/stats', async (req, res) => {
 
 // ============= LISTENING SESSIONS API =============
 
+// A session must belong to the listener that sends its session_id
+const sessionIdBody = body('session_id')
+  .trim()
+  .notEmpty().withMessage('session_id is required')
+  .isLength({ max: 255 }).withMessage('session_id too long')
+  .matches(/^[a-zA-Z0-9_-]+$/).withMessage('session_id contains invalid characters');
+const listeningSessionIdBody = body('listening_session_id')
+  .isInt({ min: 1 }).withMessage('listening_session_id must be a positive integer')
+  .toInt();
+
 // Start listening session
 app.post('/api/sessions/start',
-  strictLimiter,
-  [
-    body('session_id')
-      .trim()
-      .notEmpty().withMessage('session_id is required')
-      .isLength({ max: 255 }).withMessage('session_id too long')
-      .matches(/^[a-zA-Z0-9_-]+$/).withMessage('session_id contains invalid characters')
-  ],
+  listenerIpLimiter,
+  sessionLimiter,
+  [sessionIdBody, stationBody],
   handleValidationErrors,
   async (req, res) => {
   try {
     const { session_id } = req.body;
 
-    const listener = await database.get('SELECT id FROM listeners WHERE session_id = ?', [session_id]);
+    const id = await listeningSessions.startSession(session_id, getStationRuntime(req).station.id);
 
-    if (!listener) {
+    if (!id) {
       return res.status(404).json({ error: 'Listener not found. Register first.' });
     }
+    liveListeners.refresh();
 
-    const result = await database.run('INSERT INTO listening_sessions (listener_id) VALUES (?)', [listener.id]);
-
-    res.json({ message: 'Session started', session_id: result.lastInsertRowid });
+    res.json({
+      message: 'Session started',
+      session_id: id,
+      heartbeat_interval: listeningSessions.HEARTBEAT_INTERVAL
+    });
   } catch (error) {
     const err = formatError(error);
     res.status(err.status).json(err.body);
   }
 });
 
-// End listening session
-app.post('/api/sessions/end',
-  strictLimiter,
-  [
-    body('session_id')
-      .trim()
-      .notEmpty().withMessage('session_id is required')
-      .isLength({ max: 255 }).withMessage('session_id too long')
-      .matches(/^[a-zA-Z0-9_-]+$/).withMessage('session_id contains invalid characters'),
-    body('listening_session_id')
-      .isInt({ min: 1 }).withMessage('listening_session_id must be a positive integer')
-  ],
+// Keep a listening session open; sessions without a heartbeat are closed
+// by the sweeper (see listening-sessions.js)
+app.post('/api/sessions/heartbeat',
+  listenerIpLimiter,
+  heartbeatLimiter,
+  [sessionIdBody, listeningSessionIdBody, stationBody],
   handleValidationErrors,
   async (req, res) => {
   try {
     const { session_id, listening_session_id } = req.body;
 
-    const session = await database.get('SELECT * FROM listening_sessions WHERE id = ?', [listening_session_id]);
+    const session = await listeningSessions.findSession(session_id, listening_session_id);
 
     if (!session) {
       return res.status(404).json({ error: 'Listening session not found' });
     }
 
-    const startedAt = new Date(session.started_at);
-    const endedAt = new Date();
-    const duration = Math.floor((endedAt - startedAt) / 1000 / 60); // in minutes
+    if (!await listeningSessions.recordHeartbeat(session, req.body.station_id || session.station_id)) {
+      // Swept after missed heartbeats; the player starts a new session
+      return res.status(410).json({ error: 'Listening session has ended' });
+    }
+
+    res.json({ message: 'Heartbeat recorded' });
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// End listening session (also sent with navigator.sendBeacon when the
+// page is closed; ending an ended session returns its duration again)
+app.post('/api/sessions/end',
+  listenerIpLimiter,
+  sessionLimiter,
+  [sessionIdBody, listeningSessionIdBody],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { session_id, listening_session_id } = req.body;
 
-    // Update session
-    await database.run(`
-      UPDATE listening_sessions
-      SET ended_at = CURRENT_TIMESTAMP, duration = ?
-      WHERE id = ?
-    `, [duration, listening_session_id]);
+    const session = await listeningSessions.findSession(session_id, listening_session_id);
 
-    // Update listener total time
-    await database.run(`
-      UPDATE listeners
-      SET total_listening_time = total_listening_time + ?
-      WHERE session_id = ?
-    `, [duration, session_id]);
+    if (!session) {
+      return res.status(404).json({ error: 'Listening session not found' });
+    }
+
+    const duration = await listeningSessions.closeSession(session);
+    liveListeners.refresh();
 
     res.json({ message: 'Session ended', duration_minutes: duration });
   } catch (error) {
@@ -308,17 +668,28 @@ app.post('/api/requests',
       .optional()
       .trim()
       .isLength({ max: 1000 }).withMessage('message too long')
-      .escape()
+      .escape(),
+    stationBody
   ],
   handleValidationErrors,
   async (req, res) => {
   try {
     const { listener_name, song_title, artist, message } = req.body;
+    const station_id = getStationRuntime(req).station.id;
 
     const result = await database.run(`
-      INSERT INTO song_requests (listener_name, song_title, artist, message)
-      VALUES (?, ?, ?, ?)
-    `, [listener_name || 'Anonymous', song_title, artist, message]);
+      INSERT INTO song_requests (listener_name, song_title, artist, message, station_id)
+      VALUES (?, ?, ?, ?, ?)
+    `, [listener_name || 'Anonymous', song_title, artist, message, station_id]);
+
+    notifyWebhooks('request.created', {
+      id: Number(result.lastInsertRowid),
+      station_id,
+      listener_name: listener_name || 'Anonymous',
+      song_title,
+      artist: artist || null,
+      message: message || null
+    });
 
     res.json({
       message: 'Request submitted',
@@ -330,18 +701,22 @@ app.post('/api/requests',
   }
 });
 
-// Get all song requests
+// Get a station's song requests
 app.get('/api/requests',
   [
     query('status')
       .optional()
-      .isIn(['pending', 'approved', 'played', 'rejected']).withMessage('Invalid status value')
+      .isIn(['pending', 'approved', 'played', 'rejected']).withMessage('Invalid status value'),
+    stationQuery
   ],
   handleValidationErrors,
   async (req, res) => {
   try {
     const status = req.query.status || 'pending';
-    const requests = await database.all('SELECT * FROM song_requests WHERE status = ? ORDER BY created_at DESC', [status]);
+    const requests = await database.all(
+      'SELECT * FROM song_requests WHERE status = ? AND station_id = ? ORDER BY created_at DESC',
+      [status, getStationRuntime(req).station.id]
+    );
     res.json(requests);
   } catch (error) {
     const err = formatError(error);
@@ -411,6 +786,14 @@ app.post('/api/feedback',
       VALUES (?, ?, ?, ?)
     `, [listener_name, email, message, rating]);
 
+    // Email addresses are not sent to third-party endpoints
+    notifyWebhooks('feedback.created', {
+      id: Number(result.lastInsertRowid),
+      listener_name: listener_name || null,
+      message,
+      rating: rating ? Number(rating) : null
+    });
+
     res.json({
       message: 'Feedback submitted',
       id: result.lastInsertRowid
@@ -459,7 +842,7 @@ app.post('/api/ratings',
       .trim()
       .notEmpty().withMessage('song_id is required')
       .isLength({ max: 255 }).withMessage('song_id too long'),
-      // Note: No character restrictions - song titles can contain unicode, special chars, etc.
+      // Note: Accepts catalog ids (s_...) and legacy "Artist-Title" strings
       // SQL injection is prevented by parameterized queries
     body('session_id')
       .trim()
@@ -468,41 +851,55 @@ app.post('/api/ratings',
       .matches(/^[a-zA-Z0-9_-]+$/).withMessage('session_id contains invalid characters'),
     body('rating')
       .isIn([1, -1, '1', '-1']).withMessage('rating must be 1 (thumbs up) or -1 (thumbs down)')
-      .toInt()
+      .toInt(),
+    stationBody
   ],
   handleValidationErrors,
   async (req, res) => {
   try {
-    const { song_id, session_id, rating } = req.body;
+    const { session_id, rating } = req.body;
     const ip_address = getClientIP(req);
     const user_fingerprint = getUserFingerprint(req);
+    const station_id = getStationRuntime(req).station.id;
+
+    // Ratings are stored against the song catalog id. Legacy ids the
+    // catalog has not seen yet keep their votes under the legacy id, which
+    // the catalog adopts once the song plays (see resolveNowPlayingSong)
+    const song = await songCatalog.findSong(req.body.song_id);
+    if (!song && songCatalog.isSongId(req.body.song_id)) {
+      return res.status(404).json({ error: 'Song not found' });
+    }
+    const song_id = song ? song.id : req.body.song_id;
+
+    let countsChanged = true;
 
-    // Check if user already voted
+    // Check if user already voted on this station
     const existingVote = await database.get(`
       SELECT id, rating FROM song_ratings
-      WHERE song_id = ? AND user_fingerprint = ?
-    `, [song_id, user_fingerprint]);
+      WHERE song_id = ? AND user_fingerprint = ? AND station_id = ?
+    `, [song_id, user_fingerprint, station_id]);
 
     if (existingVote) {
       if (existingVote.rating === rating) {
         // Same vote - just return current counts (idempotent)
         console.log(`User already voted ${rating} for song ${song_id}`);
+        countsChanged = false;
       } else {
         // Changing vote - update it (old vote automatically removed, new vote added)
         console.log(`User changing vote from ${existingVote.rating} to ${rating} for song ${song_id}`);
         await database.run(`
           UPDATE song_ratings
           SET rating = ?, session_id = ?, ip_address = ?
-          WHERE song_id = ? AND user_fingerprint = ?
-        `, [rating, session_id, ip_address, song_id, user_fingerprint]);
+          WHERE song_id = ? AND user_fingerprint = ? AND station_id = ?
+        `, [rating, session_id, ip_address, song_id, user_fingerprint, station_id]);
       }
     } else {
       // New vote
       console.log(`New vote ${rating} for song ${song_id}`);
       await database.run(`
-        INSERT INTO song_ratings (song_id, session_id, ip_address, user_fingerprint, rating)
-        VALUES (?, ?, ?, ?, ?)
-      `, [song_id, session_id, ip_address, user_fingerprint, rating]);
+        INSERT INTO song_ratings (song_id, session_id, ip_address, user_fingerprint, rating, station_id)
+        VALUES (?, ?, ?, ?, ?, ?)
+      `, [song_id, session_id, ip_address, user_fingerprint, rating, station_id]);
     }
 
     // Get updated counts
@@ -511,11 +908,21 @@ app.post('/api/ratings',
         SUM(CASE WHEN rating = 1 THEN 1 ELSE 0 END) as thumbs_up,
         SUM(CASE WHEN rating = -1 THEN 1 ELSE 0 END) as thumbs_down
       FROM song_ratings
-      WHERE song_id = ?
-    `, [song_id]);
+      WHERE song_id = ? AND station_id = ?
+    `, [song_id, station_id]);
 
     console.log(`Vote counts for song ${song_id}: up=${counts.thumbs_up || 0}, down=${counts.thumbs_down || 0}`);
 
+    // Let every listener see the new totals live
+    if (countsChanged) {
+      pubsub.publish('ratings', {
+        station_id,
+        song_id,
+        thumbs_up: counts.thumbs_up || 0,
+        thumbs_down: counts.thumbs_down || 0
+      }).catch(error => console.error('⚠️ Failed to publish rating update:', error.message));
+    }
+
     res.json({
       message: 'Rating submitted',
       thumbs_up: counts.thumbs_up || 0,
@@ -534,22 +941,28 @@ app.get('/api/ratings/:song_id',
     param('song_id')
       .trim()
       .notEmpty().withMessage('song_id is required')
-      .isLength({ max: 255 }).withMessage('song_id too long')
-      // Note: No character restrictions - song titles can contain unicode, special chars, etc.
+      .isLength({ max: 255 }).withMessage('song_id too long'),
+      // Note: Accepts catalog ids (s_...) and legacy "Artist-Title" strings
+    stationQuery
   ],
   handleValidationErrors,
   async (req, res) => {
   try {
-    const { song_id } = req.params;
     const user_fingerprint = getUserFingerprint(req);
+    const station_id = getStationRuntime(req).station.id;
+
+    // Legacy ids resolve to their catalog entry; unmatched legacy ids still
+    // return any ratings stored under them before the catalog existed
+    const song = await songCatalog.findSong(req.params.song_id);
+    const song_id = song ? song.id : req.params.song_id;
 
     const counts = await database.get(`
       SELECT
         SUM(CASE WHEN rating = 1 THEN 1 ELSE 0 END) as thumbs_up,
         SUM(CASE WHEN rating = -1 THEN 1 ELSE 0 END) as thumbs_down
       FROM song_ratings
-      WHERE song_id = ?
-    `, [song_id]);
+      WHERE song_id = ? AND station_id = ?
+    `, [song_id, station_id]);
 
     const result = {
       song_id,
@@ -561,8 +974,8 @@ app.get('/api/ratings/:song_id',
     // Check if this user (by fingerprint) has already rated this song
     const userRating = await database.get(`
       SELECT rating FROM song_ratings
-      WHERE song_id = ? AND user_fingerprint = ?
-    `, [song_id, user_fingerprint]);
+      WHERE song_id = ? AND user_fingerprint = ? AND station_id = ?
+    `, [song_id, user_fingerprint, station_id]);
 
     if (userRating) {
       result.user_rating = userRating.rating;
@@ -575,6 +988,249 @@ app.get('/api/ratings/:song_id',
   }
 });
 
+// ============= NOW PLAYING API =============
+
+// Get a station's current track (cached from its server-side metadata poller)
+app.get('/api/now-playing', [stationQuery], handleValidationErrors, (req, res) => {
+  const track = getStationRuntime(req).nowPlaying.getNowPlaying();
+
+  if (!track) {
+    return res.status(503).json({ error: 'Now playing information not available yet' });
+  }
+
+  res.set('Cache-Control', 'no-cache');
+  res.json(track);
+});
+
+// Stream live updates as Server-Sent Events (event: track, event: ratings)
+app.get('/api/now-playing/stream', [stationQuery], handleValidationErrors, (req, res) => {
+  getStationRuntime(req).stream.handler(req, res);
+});
+
+// ============= ALBUM ART API =============
+
+// Get album art for a song, resized and converted on first request
+app.get('/api/art/:song_id',
+  [
+    param('song_id')
+      .trim()
+      .notEmpty().withMessage('song_id is required')
+      .isLength({ max: 255 }).withMessage('song_id too long'),
+    query('size')
+      .optional()
+      .isIn(ART_SIZES.map(String)).withMessage(`size must be one of: ${ART_SIZES.join(', ')}`)
+      .toInt(),
+    query('format')
+      .optional()
+      .isIn(ART_FORMATS).withMessage(`format must be one of: ${ART_FORMATS.join(', ')}`)
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const size = req.query.size || 300;
+    const format = req.query.format || 'jpeg';
+
+    const song = await songCatalog.findSong(req.params.song_id);
+    if (!song || !song.art_hash || !artStore.hasOriginal(song.art_hash)) {
+      return res.status(404).json({ error: 'Album art not found' });
+    }
+
+    // Variants are derived from content-addressed originals, so they never change
+    const etag = `"${song.art_hash.slice(0, 32)}-${size}-${format}"`;
+    res.set('ETag', etag);
+    res.set('Cache-Control', 'public, max-age=86400');
+
+    if (req.headers['if-none-match'] === etag) {
+      return res.status(304).end();
+    }
+
+    const filePath = await artStore.getVariant(song.art_hash, size, format);
+    res.type(CONTENT_TYPES[format]);
+    res.sendFile(filePath);
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// ============= PLAY HISTORY API =============
+
+// Get a station's play history (newest first, cursor paginated)
+app.get('/api/history',
+  [
+    stationQuery,
+    query('from')
+      .optional()
+      .isISO8601().withMessage('from must be an ISO 8601 date'),
+    query('to')
+      .optional()
+      .isISO8601().withMessage('to must be an ISO 8601 date'),
+    query('at')
+      .optional()
+      .isISO8601().withMessage('at must be an ISO 8601 date'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: playHistory.MAX_PAGE_SIZE }).withMessage(`limit must be between 1 and ${playHistory.MAX_PAGE_SIZE}`)
+      .toInt(),
+    query('cursor')
+      .optional()
+      .isLength({ max: 200 }).withMessage('cursor too long')
+      .custom(value => playHistory.decodeCursor(value) !== null).withMessage('Invalid cursor')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { from, to, at, limit, cursor } = req.query;
+
+    const page = await playHistory.listHistory({
+      station: getStationRuntime(req).station.id,
+      from,
+      to,
+      at,
+      limit,
+      cursor: cursor ? playHistory.decodeCursor(cursor) : null
+    });
+
+    res.json(page);
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// ============= WEBHOOKS API (admin) =============
+
+// Register a webhook endpoint (the signing secret is only returned here)
+app.post('/api/webhooks',
+  strictLimiter,
+  requireAdmin,
+  [
+    body('url')
+      .trim()
+      .isURL({ protocols: ['http', 'https'], require_protocol: true, require_tld: false })
+      .withMessage('url must be an http(s) URL')
+      .isLength({ max: 2000 }).withMessage('url too long'),
+    body('events')
+      .optional()
+      .isArray({ min: 1 }).withMessage('events must be a non-empty array'),
+    body('events.*')
+      .isIn(webhooks.WEBHOOK_EVENTS).withMessage(`events must be one of: ${webhooks.WEBHOOK_EVENTS.join(', ')}`),
+    body('description')
+      .optional()
+      .trim()
+      .isLength({ max: 255 }).withMessage('description too long'),
+    body('secret')
+      .optional()
+      .isLength({ min: 16, max: 255 }).withMessage('secret must be between 16 and 255 characters')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const { url, events, description, secret } = req.body;
+    const webhook = await webhooks.createWebhook({
+      url,
+      events: events ? [...new Set(events)] : undefined,
+      description,
+      secret
+    });
+
+    res.status(201).json(webhook);
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// List webhook endpoints
+app.get('/api/webhooks', requireAdmin, async (req, res) => {
+  try {
+    res.json(await webhooks.listWebhooks());
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// Remove a webhook endpoint and its delivery log
+app.delete('/api/webhooks/:id',
+  strictLimiter,
+  requireAdmin,
+  [
+    param('id')
+      .isInt({ min: 1 }).withMessage('Invalid webhook ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const deleted = await webhooks.deleteWebhook(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    res.json({ message: 'Webhook deleted' });
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// Send a test (ping) event to a webhook endpoint
+app.post('/api/webhooks/:id/test',
+  strictLimiter,
+  requireAdmin,
+  [
+    param('id')
+      .isInt({ min: 1 }).withMessage('Invalid webhook ID')
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const webhook = await webhooks.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const deliveryId = await webhookDispatcher.ping(webhook);
+    res.json(await webhooks.getDelivery(deliveryId));
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
+// Get the delivery log of a webhook endpoint (newest first)
+app.get('/api/webhooks/:id/deliveries',
+  requireAdmin,
+  [
+    param('id')
+      .isInt({ min: 1 }).withMessage('Invalid webhook ID'),
+    query('status')
+      .optional()
+      .isIn(['pending', 'success', 'failed']).withMessage('Invalid status value'),
+    query('limit')
+      .optional()
+      .isInt({ min: 1, max: webhooks.MAX_DELIVERY_LIMIT }).withMessage(`limit must be between 1 and ${webhooks.MAX_DELIVERY_LIMIT}`)
+      .toInt()
+  ],
+  handleValidationErrors,
+  async (req, res) => {
+  try {
+    const webhook = await webhooks.getWebhook(req.params.id);
+
+    if (!webhook) {
+      return res.status(404).json({ error: 'Webhook not found' });
+    }
+
+    const { status, limit } = req.query;
+    res.json(await webhooks.listDeliveries(webhook.id, { status, limit }));
+  } catch (error) {
+    const err = formatError(error);
+    res.status(err.status).json(err.body);
+  }
+});
+
 // ============= HEALTH CHECK =============
 
 app.get('/api/health', async (req, res) => {
@@ -589,14 +1245,33 @@ app.get('/api/health', async (req, res) => {
 if (require.main === module) {
   (async () => {
     await database.initializeDatabase();
+    await stations.syncStations(stationConfig);
+    watchStations();
+    await webhookDispatcher.resumePending();
+    await sessionSweeper.sweep();
+    sessionSweeper.start();
+    await liveListeners.refresh();
+    liveListeners.start();
+    for (const runtime of stationRuntimes.values()) {
+      runtime.nowPlaying.start();
+    }
+    await startLiveUpdates();
 
     app.listen(PORT, '0.0.0.0', () => {
       console.log(`🎵 Radio Server running on http://localhost:${PORT}`);
       console.log(`📊 Database type: ${database.getDbType()}`);
+      console.log(`📡 Pub/sub type: ${pubsub.type}`);
+      for (const runtime of stationRuntimes.values()) {
+        console.log(`🎶 Station ${runtime.station.id}: ${runtime.station.name} (${runtime.nowPlaying.getSourceType()})`);
+      }
+      console.log(`🖼️ Embed player at ${embed.EMBED_PATH}, framable by: ${embedOrigins.length > 0 ? embedOrigins.join(', ') : 'this site only'}`);
       console.log(`\n📡 API Endpoints:`);
+      console.log(`   GET    /api/stations           - List stations`);
       console.log(`   POST   /api/listeners          - Register/update listener`);
+      console.log(`   GET    /api/listeners/live     - Listeners playing right now`);
       console.log(`   GET    /api/listeners/stats    - Get listener statistics`);
       console.log(`   POST   /api/sessions/start     - Start listening session`);
+      console.log(`   POST   /api/sessions/heartbeat - Keep listening session open`);
       console.log(`   POST   /api/sessions/end       - End listening session`);
       console.log(`   POST   /api/requests           - Submit song request`);
       console.log(`   GET    /api/requests           - Get song requests`);
@@ -606,6 +1281,15 @@ if (require.main === module) {
       console.log(`   GET    /api/feedback/rating    - Get average rating`);
       console.log(`   POST   /api/ratings            - Submit song rating (thumbs up/down)`);
       console.log(`   GET    /api/ratings/:song_id   - Get ratings for a song`);
+      console.log(`   GET    /api/now-playing        - Get the current track`);
+      console.log(`   GET    /api/now-playing/stream - Live track and rating events (SSE)`);
+      console.log(`   GET    /api/history            - Get play history`);
+      console.log(`   GET    /api/art/:song_id       - Get album art (resized)`);
+      console.log(`   POST   /api/webhooks           - Register webhook (admin)`);
+      console.log(`   GET    /api/webhooks           - List webhooks (admin)`);
+      console.log(`   DELETE /api/webhooks/:id       - Remove webhook (admin)`);
+      console.log(`   POST   /api/webhooks/:id/test  - Send test event (admin)`);
+      console.log(`   GET    /api/webhooks/:id/deliveries - Webhook delivery log (admin)`);
       console.log(`   GET    /api/health             - Health check\n`);
     });
   })();
@@ -614,6 +1298,14 @@ if (require.main === module) {
 // Graceful shutdown
 process.on('SIGINT', async () => {
   console.log('\n🛑 Shutting down server...');
+  for (const runtime of stationRuntimes.values()) {
+    runtime.nowPlaying.stop();
+    runtime.stream.close();
+  }
+  webhookDispatcher.close();
+  sessionSweeper.stop();
+  liveListeners.stop();
+  await pubsub.close();
   await database.close();
   process.exit(0);
 });
@@ -622,6 +1314,16 @@ process.on('SIGINT', async () => {
 module.exports = {
   app,
   database,
+  nowPlaying,
+  nowPlayingStream,
+  stationRuntimes,
+  stationConfig,
+  pubsub,
+  startLiveUpdates,
+  captureAlbumArt,
+  webhookDispatcher,
+  sendTrackWebhooks,
+  liveListeners,
   getClientIP,
   getUserFingerprint
 };
@@ -0,0 +1,166 @@
+/**
+ * Song Catalog
+ * Resolves now playing metadata to a canonical song row with a stable id
+ * Ratings and history reference songs.id instead of ad-hoc strings
+ */
+
+const crypto = require('crypto');
+const database = require('./db');
+const { parseArtist, parseTitle } = require('./public/track-metadata');
+
+const SONG_ID_PATTERN = /^s_[0-9a-f]{16}$/;
+const YEAR_SUFFIX_PATTERN = /\s*\((\d{4})\)$/;
+
+/**
+ * Normalize text for matching: Unicode NFKC, case-folded, single spaces
+ * Non-ASCII characters are kept, so "Björk" and "Bjork" stay distinct
+ */
+function normalizeKey(text) {
+  return String(text || '')
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Matching keys for a song: the main artist (without "feat." guests) and
+ * the title without year, remaster/edit tags or guests
+ */
+function getSongKeys(artist, title) {
+  return {
+    artist: normalizeKey(parseArtist(artist).artist),
+    title: normalizeKey(parseTitle(title).title)
+  };
+}
+
+/**
+ * Stable song id derived from normalized artist and title
+ * Deterministic, so every server and database computes the same id
+ */
+function getSongId(artist, title) {
+  const keys = getSongKeys(artist, title);
+  return 's_' + crypto.createHash('sha256').update(`${keys.artist}\n${keys.title}`).digest('hex').slice(0, 16);
+}
+
+/**
+ * The id the player used to build before the catalog existed
+ * Kept so old ratings and cached clients can still be resolved
+ */
+function getLegacySongId(artist, title) {
+  return `${artist}-${title}`.replace(/[^a-zA-Z0-9-]/g, '_');
+}
+
+function isSongId(value) {
+  return SONG_ID_PATTERN.test(value);
+}
+
+/**
+ * Find or create the catalog entry for a track
+ */
+async function resolveSong(track) {
+  if (!track || !track.artist || !track.title) {
+    return null;
+  }
+
+  const id = getSongId(track.artist, track.title);
+  const keys = getSongKeys(track.artist, track.title);
+  const parsedTitle = parseTitle(track.title);
+  const year = track.year || parsedTitle.year;
+
+  // The old player built legacy ids from the upstream "Title (1983)" form
+  const upstreamTitle = year && !YEAR_SUFFIX_PATTERN.test(track.title)
+    ? `${track.title} (${year})`
+    : track.title;
+
+  await database.run(`
+    INSERT INTO songs (id, artist, title, album, year, normalized_artist, normalized_title, legacy_id)
+    VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+    ON CONFLICT (id) DO NOTHING
+  `, [
+    id,
+    parseArtist(track.artist).artist,
+    parsedTitle.title,
+    track.album || null,
+    year,
+    keys.artist,
+    keys.title,
+    getLegacySongId(track.artist, upstreamTitle)
+  ]);
+
+  return database.get('SELECT * FROM songs WHERE id = ?', [id]);
+}
+
+/**
+ * Look up a song by catalog id or by legacy song_id string
+ */
+async function findSong(songId) {
+  if (isSongId(songId)) {
+    return database.get('SELECT * FROM songs WHERE id = ?', [songId]);
+  }
+
+  return database.get('SELECT * FROM songs WHERE legacy_id = ? ORDER BY created_at LIMIT 1', [songId]);
+}
+
+/**
+ * Move ratings stored under a legacy song_id to the catalog id
+ * A user who voted under both ids on the same station keeps the catalog vote
+ */
+async function remapLegacyRatings(legacyId, songId) {
+  await database.run(`
+    DELETE FROM song_ratings
+    WHERE song_id = ? AND EXISTS (
+      SELECT 1 FROM song_ratings AS current
+      WHERE current.song_id = ?
+        AND current.user_fingerprint = song_ratings.user_fingerprint
+        AND current.station_id = song_ratings.station_id
+    )
+  `, [legacyId, songId]);
+
+  const result = await database.run('UPDATE song_ratings SET song_id = ? WHERE song_id = ?', [songId, legacyId]);
+  return result.changes;
+}
+
+/**
+ * Merge catalog rows whose id changed with the normalization rules in
+ * track-metadata.js (e.g. "Artist feat. Guest" now shares the id of
+ * "Artist") into the row with the current id, moving ratings, history and art
+ */
+async function rekeySongs() {
+  const songs = await database.all('SELECT * FROM songs');
+  let merged = 0;
+
+  for (const song of songs) {
+    if (getSongId(song.artist, song.title) === song.id) continue;
+
+    const target = await resolveSong(song);
+    await remapLegacyRatings(song.id, target.id);
+    await database.run('UPDATE play_history SET song_id = ? WHERE song_id = ?', [target.id, song.id]);
+    if (song.art_hash && !target.art_hash) {
+      await setArtHash(target.id, song.art_hash);
+    }
+    await database.run('DELETE FROM songs WHERE id = ?', [song.id]);
+    merged++;
+  }
+
+  return merged;
+}
+
+/**
+ * Point a song at its stored album art (see album-art.js)
+ */
+async function setArtHash(songId, artHash) {
+  await database.run('UPDATE songs SET art_hash = ? WHERE id = ?', [artHash, songId]);
+}
+
+module.exports = {
+  normalizeKey,
+  getSongId,
+  getLegacySongId,
+  isSongId,
+  resolveSong,
+  findSong,
+  remapLegacyRatings,
+  rekeySongs,
+  setArtHash
+};
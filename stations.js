@@ -0,0 +1,200 @@
+/**
+ * Stations Registry
+ * Describes every station served by this instance: stream URL, metadata
+ * adapter, album art source and branding
+ *
+ * Stations are configured in the JSON file named by STATIONS_FILE, or
+ * default to a single station built from STREAM_URL and the METADATA_*
+ * variables. The configuration is synced into the stations table on startup.
+ */
+
+const fs = require('fs');
+const database = require('./db');
+const { DEFAULT_COVER_URL } = require('./metadata-sources');
+const { toText } = require('./values');
+
+// Ratings, history and requests stored before stations existed belong here
+const DEFAULT_STATION_ID = 'main';
+const DEFAULT_STATION_NAME = 'Radio Calico';
+const DEFAULT_STREAM_URL = 'https://d3d4yli4hf5bmh.cloudfront.net/hls/live.m3u8';
+
+const STATION_ID_PATTERN = /^[a-z0-9][a-z0-9-]{0,39}$/;
+const COLOR_PATTERN = /^#[0-9a-f]{3,8}$/i;
+const BRANDING_FIELDS = ['tagline', 'logo_url', 'accent_color'];
+
+function isHttpUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' || url.protocol === 'http:';
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Validate one configured station and fill in defaults
+ * Throws with the offending station and field so a bad STATIONS_FILE
+ * stops the server at startup
+ */
+function normalizeStation(raw, index) {
+  const data = raw || {};
+  const id = toText(data.id);
+  const label = id || `#${index + 1}`;
+
+  if (!id || !STATION_ID_PATTERN.test(id)) {
+    throw new Error(`Station ${label}: id must be lowercase letters, digits and dashes`);
+  }
+
+  const streamUrl = toText(data.stream_url);
+  if (!streamUrl || !isHttpUrl(streamUrl)) {
+    throw new Error(`Station ${label}: stream_url must be an http(s) URL`);
+  }
+
+  const coverUrl = toText(data.cover_url);
+  if (coverUrl && !isHttpUrl(coverUrl)) {
+    throw new Error(`Station ${label}: cover_url must be an http(s) URL`);
+  }
+
+  const branding = {};
+  for (const field of BRANDING_FIELDS) {
+    branding[field] = toText(data.branding && data.branding[field]);
+  }
+  if (branding.accent_color && !COLOR_PATTERN.test(branding.accent_color)) {
+    throw new Error(`Station ${label}: branding.accent_color must be a hex color`);
+  }
+  if (branding.logo_url && !branding.logo_url.startsWith('/') && !isHttpUrl(branding.logo_url)) {
+    throw new Error(`Station ${label}: branding.logo_url must be a path or an http(s) URL`);
+  }
+
+  return {
+    id,
+    name: toText(data.name) || id,
+    stream_url: streamUrl,
+    metadata_source: toText(data.metadata_source) || 'metadatav2',
+    metadata_url: toText(data.metadata_url),
+    metadata_mount: toText(data.metadata_mount),
+    metadata_file: toText(data.metadata_file),
+    cover_url: coverUrl,
+    branding
+  };
+}
+
+/**
+ * Read the configured stations; the first one is the default station
+ */
+function loadStationConfig({ file = process.env.STATIONS_FILE, env = process.env } = {}) {
+  let stations;
+
+  if (file) {
+    stations = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!Array.isArray(stations) || stations.length === 0) {
+      throw new Error('STATIONS_FILE must contain a non-empty JSON array of stations');
+    }
+  } else {
+    stations = [{
+      id: DEFAULT_STATION_ID,
+      name: env.STATION_NAME || DEFAULT_STATION_NAME,
+      stream_url: env.STREAM_URL || DEFAULT_STREAM_URL,
+      metadata_source: env.METADATA_SOURCE,
+      metadata_url: env.METADATA_URL,
+      metadata_mount: env.METADATA_MOUNT,
+      metadata_file: env.METADATA_FILE,
+      cover_url: env.COVER_URL || DEFAULT_COVER_URL
+    }];
+  }
+
+  const normalized = stations.map(normalizeStation);
+  const ids = normalized.map(station => station.id);
+  const duplicate = ids.find((id, index) => ids.indexOf(id) !== index);
+  if (duplicate) {
+    throw new Error(`Station ${duplicate} is configured more than once`);
+  }
+
+  return normalized;
+}
+
+/**
+ * Origins the player loads streams from, for the Content-Security-Policy
+ */
+function getStreamOrigins(stations) {
+  const origins = stations.map(station => new URL(station.stream_url).origin);
+  return origins.filter((origin, index) => origins.indexOf(origin) === index);
+}
+
+function formatStation(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    stream_url: row.stream_url,
+    metadata_source: row.metadata_source,
+    cover_url: row.cover_url || null,
+    branding: JSON.parse(row.branding || '{}'),
+    is_default: Number(row.position) === 0
+  };
+}
+
+/**
+ * Make the stations table match the configuration
+ * Stations removed from the configuration are dropped from the registry;
+ * their ratings, history and requests are kept
+ */
+async function syncStations(stations) {
+  const now = new Date().toISOString();
+
+  for (const [position, station] of stations.entries()) {
+    await database.run(`
+      INSERT INTO stations (id, name, stream_url, metadata_source, metadata_url, metadata_mount, metadata_file, cover_url, branding, position, updated_at)
+      VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)
+      ON CONFLICT (id) DO UPDATE SET
+        name = excluded.name,
+        stream_url = excluded.stream_url,
+        metadata_source = excluded.metadata_source,
+        metadata_url = excluded.metadata_url,
+        metadata_mount = excluded.metadata_mount,
+        metadata_file = excluded.metadata_file,
+        cover_url = excluded.cover_url,
+        branding = excluded.branding,
+        position = excluded.position,
+        updated_at = excluded.updated_at
+    `, [
+      station.id,
+      station.name,
+      station.stream_url,
+      station.metadata_source,
+      station.metadata_url,
+      station.metadata_mount,
+      station.metadata_file,
+      station.cover_url,
+      JSON.stringify(station.branding),
+      position,
+      now
+    ]);
+  }
+
+  const placeholders = stations.map(() => '?').join(', ');
+  await database.run(`DELETE FROM stations WHERE id NOT IN (${placeholders})`, stations.map(station => station.id));
+}
+
+/**
+ * Public description of every station, default station first
+ */
+async function listStations() {
+  const rows = await database.all('SELECT * FROM stations ORDER BY position, id');
+  return rows.map(formatStation);
+}
+
+async function getStation(id) {
+  const row = await database.get('SELECT * FROM stations WHERE id = ?', [id]);
+  return row ? formatStation(row) : null;
+}
+
+module.exports = {
+  loadStationConfig,
+  normalizeStation,
+  getStreamOrigins,
+  syncStations,
+  listStations,
+  getStation,
+  DEFAULT_STATION_ID,
+  DEFAULT_STREAM_URL
+};
@@ -17,13 +17,14 @@ function setupTestDatabase() {
       ip_address TEXT,
       user_fingerprint TEXT,
       rating INTEGER NOT NULL,
+      station_id TEXT NOT NULL DEFAULT 'main',
       created_at DATETIME DEFAULT CURRENT_TIMESTAMP
     );
   `);
 
   // Create indexes as in production
   db.exec('CREATE INDEX idx_song_ip ON song_ratings(song_id, ip_address)');
-  db.exec('CREATE UNIQUE INDEX idx_song_fingerprint ON song_ratings(song_id, user_fingerprint)');
+  db.exec('CREATE UNIQUE INDEX idx_station_song_fingerprint ON song_ratings(station_id, song_id, user_fingerprint)');
 
   // Create other tables if needed for integration tests
   db.exec(`
@@ -0,0 +1,16 @@
+/**
+ * Pub/sub helpers for tests of live updates
+ */
+
+/**
+ * Wait for the asynchronous pub/sub delivery: the in-process pub/sub
+ * emits published messages on the next turn of the event loop
+ * @returns {Promise<void>}
+ */
+function flushPubSub() {
+  return new Promise(resolve => setImmediate(resolve));
+}
+
+module.exports = {
+  flushPubSub
+};
@@ -0,0 +1,175 @@
+/**
+ * Integration tests for the album art proxy
+ * Tests cover capture on track change and GET /api/art/:song_id
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+
+const artDir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-art-'));
+process.env.DB_PATH = ':memory:';
+process.env.ART_DIR = artDir;
+process.env.ART_CAPTURE_DELAY = '1';
+
+const request = require('supertest');
+const { app, database, nowPlaying, captureAlbumArt } = require('../../../server');
+const songCatalog = require('../../../song-catalog');
+
+const COVER_URL = 'https://d3d4yli4hf5bmh.cloudfront.net/cover.jpg';
+
+function createCover(color) {
+  return sharp({
+    create: { width: 600, height: 600, channels: 3, background: color }
+  }).png().toBuffer();
+}
+
+// Upstream serving the given metadata and a sequence of cover images
+function mockUpstream(metadata, covers) {
+  const remaining = [...covers];
+
+  return jest.spyOn(global, 'fetch').mockImplementation(async (url) => {
+    if (url === COVER_URL) {
+      const image = remaining.length > 1 ? remaining.shift() : remaining[0];
+      return {
+        ok: true,
+        status: 200,
+        arrayBuffer: () => Promise.resolve(image)
+      };
+    }
+
+    return { ok: true, status: 200, json: () => Promise.resolve(metadata) };
+  });
+}
+
+describe('Album art', () => {
+  let redCover;
+  let blueCover;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+
+    redCover = await createCover('#ff0000');
+    blueCover = await createCover('#0000ff');
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+    fs.rmSync(artDir, { recursive: true, force: true });
+  });
+
+  afterEach(() => {
+    if (global.fetch.mockRestore) global.fetch.mockRestore();
+  });
+
+  describe('capture', () => {
+    test('should store the cover for the playing track', async () => {
+      mockUpstream({ artist: 'Talking Heads', title: 'Once in a Lifetime' }, [redCover]);
+      const track = await nowPlaying.poll();
+
+      await captureAlbumArt(track);
+
+      const song = await songCatalog.findSong(track.song_id);
+      expect(song.art_hash).toMatch(/^[0-9a-f]{64}$/);
+      expect(fs.existsSync(path.join(artDir, 'originals', song.art_hash))).toBe(true);
+    });
+
+    test('should retry while upstream still serves the previous cover', async () => {
+      const previous = await songCatalog.findSong(nowPlaying.getNowPlaying().song_id);
+
+      const fetchMock = mockUpstream({ artist: 'Blondie', title: 'Atomic' }, [redCover, blueCover]);
+      const track = await nowPlaying.poll();
+
+      await captureAlbumArt(track);
+
+      const song = await songCatalog.findSong(track.song_id);
+      expect(song.art_hash).not.toBe(previous.art_hash);
+      expect(fetchMock.mock.calls.filter(([url]) => url === COVER_URL)).toHaveLength(2);
+    });
+
+    test('should keep the shared cover of consecutive tracks from one album', async () => {
+      const previous = await songCatalog.findSong(nowPlaying.getNowPlaying().song_id);
+
+      const fetchMock = mockUpstream({ artist: 'Blondie', title: 'Heart of Glass', album: 'Parallel Lines' }, [blueCover]);
+      const track = await nowPlaying.poll();
+
+      await captureAlbumArt(track);
+
+      const song = await songCatalog.findSong(track.song_id);
+      expect(song.art_hash).toBe(previous.art_hash);
+      expect(fetchMock.mock.calls.filter(([url]) => url === COVER_URL)).toHaveLength(3);
+    });
+
+    test('should skip the capture once the track has moved on', async () => {
+      mockUpstream({ artist: 'Kate Bush', title: 'Hounds of Love' }, [redCover]);
+      const track = await nowPlaying.poll();
+
+      mockUpstream({ artist: 'Kate Bush', title: 'Cloudbusting' }, [redCover]);
+      await nowPlaying.poll();
+
+      await captureAlbumArt(track);
+
+      const song = await songCatalog.findSong(track.song_id);
+      expect(song.art_hash).toBeNull();
+    });
+  });
+
+  describe('GET /api/art/:song_id', () => {
+    let songId;
+
+    beforeAll(async () => {
+      songId = songCatalog.getSongId('Talking Heads', 'Once in a Lifetime');
+    });
+
+    test('should return a resized jpeg by default', async () => {
+      const response = await request(app)
+        .get(`/api/art/${songId}`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/jpeg');
+      expect(response.headers['cache-control']).toBe('public, max-age=86400');
+
+      const metadata = await sharp(response.body).metadata();
+      expect(metadata).toMatchObject({ width: 300, height: 300 });
+    });
+
+    test('should return the requested size and format', async () => {
+      const response = await request(app)
+        .get(`/api/art/${songId}?size=96&format=webp`)
+        .expect(200);
+
+      expect(response.headers['content-type']).toBe('image/webp');
+
+      const metadata = await sharp(response.body).metadata();
+      expect(metadata).toMatchObject({ format: 'webp', width: 96 });
+    });
+
+    test('should return 304 for a matching ETag', async () => {
+      const first = await request(app).get(`/api/art/${songId}?size=540`).expect(200);
+
+      await request(app)
+        .get(`/api/art/${songId}?size=540`)
+        .set('If-None-Match', first.headers.etag)
+        .expect(304);
+    });
+
+    test('should reject sizes that are not offered', async () => {
+      await request(app)
+        .get(`/api/art/${songId}?size=1000`)
+        .expect(400);
+    });
+
+    test('should return 404 for songs without captured art', async () => {
+      const song = await songCatalog.resolveSong({ artist: 'Unknown', title: 'No Cover' });
+
+      const response = await request(app)
+        .get(`/api/art/${song.id}`)
+        .expect(404);
+
+      expect(response.body.error).toBe('Album art not found');
+    });
+  });
+});
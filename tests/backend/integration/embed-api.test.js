@@ -0,0 +1,49 @@
+/**
+ * Integration tests for the embeddable player
+ * Tests GET /embed, its query validation and the frame-ancestors policy
+ * that applies to that route only
+ */
+
+process.env.EMBED_ALLOWED_ORIGINS = 'https://partner.example,https://*.blog.example';
+
+const request = require('supertest');
+const { app } = require('../../../server');
+
+describe('GET /embed', () => {
+  test('should serve the embed player', async () => {
+    const response = await request(app)
+      .get('/embed?theme=dark&autoplay=muted')
+      .expect(200);
+
+    expect(response.headers['content-type']).toMatch(/text\/html/);
+    expect(response.text).toContain('embedPlay');
+  });
+
+  test('should allow the configured origins to frame it', async () => {
+    const response = await request(app).get('/embed').expect(200);
+
+    expect(response.headers['content-security-policy'])
+      .toContain("frame-ancestors 'self' https://partner.example https://*.blog.example");
+    expect(response.headers['x-frame-options']).toBeUndefined();
+  });
+
+  test('should keep the rest of the site same-origin', async () => {
+    const response = await request(app).get('/api/health');
+
+    expect(response.headers['content-security-policy']).toContain("frame-ancestors 'self';");
+    expect(response.headers['content-security-policy']).not.toContain('partner.example');
+    expect(response.headers['x-frame-options']).toBe('SAMEORIGIN');
+  });
+
+  test.each([
+    ['an unknown station', 'station=nope'],
+    ['an unknown theme', 'theme=neon'],
+    ['unmuted autoplay', 'autoplay=1']
+  ])('should reject %s', async (name, search) => {
+    const response = await request(app)
+      .get(`/embed?${search}`)
+      .expect(400);
+
+    expect(response.body.error).toBe('Validation failed');
+  });
+});
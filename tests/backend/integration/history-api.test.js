@@ -0,0 +1,137 @@
+/**
+ * Integration tests for play history
+ * Tests recordTrackChange() and GET /api/history against an in-memory database
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const { app, database } = require('../../../server');
+const playHistory = require('../../../play-history');
+
+const TRACKS = [
+  { artist: 'Kate Bush', title: 'Running Up That Hill (1985)', album: 'Hounds of Love', year: 1985, started_at: '2026-10-13T14:05:00.000Z' },
+  { artist: 'Talking Heads', title: 'This Must Be the Place (1983)', album: 'Speaking in Tongues', year: 1983, started_at: '2026-10-13T14:10:00.000Z' },
+  { artist: 'New Order', title: 'Age of Consent', album: 'Power, Corruption & Lies', year: null, started_at: '2026-10-13T14:15:00.000Z' },
+  { artist: 'Blondie', title: 'Heart of Glass', album: 'Parallel Lines', year: null, started_at: '2026-10-13T14:19:00.000Z' }
+];
+
+describe('Play history', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+
+    for (const track of TRACKS) {
+      await playHistory.recordTrackChange({ bit_depth: 24, sample_rate: 48000, ...track });
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+  });
+
+  describe('recordTrackChange', () => {
+    test('should close the previous entry when a new track starts', async () => {
+      const rows = await database.all('SELECT * FROM play_history ORDER BY id');
+
+      expect(rows).toHaveLength(4);
+      expect(rows[0].ended_at).toBe(TRACKS[1].started_at);
+      expect(rows[3].ended_at).toBeNull();
+    });
+
+    test('should not duplicate the open entry when the same track is announced again', async () => {
+      const id = await playHistory.recordTrackChange({ ...TRACKS[3], started_at: '2026-10-13T14:20:00.000Z' });
+      const rows = await database.all('SELECT * FROM play_history');
+
+      expect(rows).toHaveLength(4);
+      expect(id).toBe(rows[3].id);
+    });
+
+    test('should record a transition seen by several server processes once', async () => {
+      const track = { artist: 'Television', title: 'Marquee Moon', album: 'Marquee Moon', started_at: '2026-10-13T14:25:00.000Z' };
+
+      const ids = await Promise.all([
+        playHistory.recordTrackChange(track),
+        playHistory.recordTrackChange({ ...track, started_at: '2026-10-13T14:25:01.000Z' })
+      ]);
+
+      const rows = await database.all("SELECT * FROM play_history WHERE station_id = 'main' ORDER BY id");
+      expect(rows).toHaveLength(5);
+      expect(ids).toEqual([rows[4].id, rows[4].id]);
+      expect(rows[3].ended_at).not.toBeNull();
+      expect(rows[4].ended_at).toBeNull();
+
+      await database.run('DELETE FROM play_history WHERE id = ?', [rows[4].id]);
+      await database.run('UPDATE play_history SET ended_at = NULL WHERE id = ?', [rows[3].id]);
+    });
+  });
+
+  describe('GET /api/history', () => {
+    test('should return history newest first', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .expect(200);
+
+      expect(response.body.items.map(item => item.artist)).toEqual([
+        'Blondie', 'New Order', 'Talking Heads', 'Kate Bush'
+      ]);
+      expect(response.body.items[2]).toMatchObject({
+        title: 'This Must Be the Place (1983)',
+        year: 1983,
+        bit_depth: 24,
+        sample_rate: 48000,
+        started_at: '2026-10-13T14:10:00.000Z',
+        ended_at: '2026-10-13T14:15:00.000Z'
+      });
+      expect(response.body.next_cursor).toBeNull();
+    });
+
+    test('should answer what was playing at a given instant', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ at: '2026-10-13T14:14:00Z' })
+        .expect(200);
+
+      expect(response.body.items).toHaveLength(1);
+      expect(response.body.items[0].artist).toBe('Talking Heads');
+    });
+
+    test('should filter by start time range', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ from: '2026-10-13T14:10:00Z', to: '2026-10-13T14:19:00Z' })
+        .expect(200);
+
+      expect(response.body.items.map(item => item.artist)).toEqual(['New Order', 'Talking Heads']);
+    });
+
+    test('should paginate with a cursor', async () => {
+      const firstPage = await request(app)
+        .get('/api/history')
+        .query({ limit: 3 })
+        .expect(200);
+
+      expect(firstPage.body.items).toHaveLength(3);
+      expect(firstPage.body.next_cursor).toEqual(expect.any(String));
+
+      const secondPage = await request(app)
+        .get('/api/history')
+        .query({ limit: 3, cursor: firstPage.body.next_cursor })
+        .expect(200);
+
+      expect(secondPage.body.items.map(item => item.artist)).toEqual(['Kate Bush']);
+      expect(secondPage.body.next_cursor).toBeNull();
+    });
+
+    test('should reject invalid filters', async () => {
+      const response = await request(app)
+        .get('/api/history')
+        .query({ from: 'last tuesday', limit: 1000, cursor: 'not-a-cursor' })
+        .expect(400);
+
+      const fields = response.body.details.map(detail => detail.field);
+      expect(fields).toEqual(expect.arrayContaining(['from', 'limit', 'cursor']));
+    });
+  });
+});
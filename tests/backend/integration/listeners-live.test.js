@@ -0,0 +1,161 @@
+/**
+ * Integration tests for the live listener count
+ * Tests countLiveListeners(), GET /api/listeners/live and the listener
+ * count pushed to event stream clients
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const http = require('http');
+const request = require('supertest');
+const { app, database, pubsub, nowPlayingStream, startLiveUpdates, liveListeners } = require('../../../server');
+const listeningSessions = require('../../../listening-sessions');
+const { flushPubSub } = require('../helpers/pubsub');
+
+async function addListener(sessionId) {
+  await database.run('INSERT INTO listeners (session_id) VALUES (?)', [sessionId]);
+}
+
+// An open session with its last heartbeat secondsAgo
+function addSession(sessionId, stationId, secondsAgo = 0) {
+  return listeningSessions.startSession(sessionId, stationId, new Date(Date.now() - secondsAgo * 1000));
+}
+
+describe('Live listener count', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+    await startLiveUpdates();
+
+    for (const sessionId of ['listener-1', 'listener-2', 'listener-3', 'listener-4']) {
+      await addListener(sessionId);
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    await database.run('DELETE FROM listening_sessions');
+  });
+
+  describe('countLiveListeners', () => {
+    test('should count listeners with a heartbeat in the last minute per station', async () => {
+      await addSession('listener-1', 'main');
+      await addSession('listener-2', 'main', 30);
+      await addSession('listener-3', 'jazz');
+      await addSession('listener-4', 'main', 61);
+
+      expect(await listeningSessions.countLiveListeners()).toEqual({
+        total: 3,
+        stations: { main: 2, jazz: 1 }
+      });
+    });
+
+    test('should not count ended sessions', async () => {
+      const id = await addSession('listener-1', 'main');
+      const session = await database.get('SELECT * FROM listening_sessions WHERE id = ?', [id]);
+      await listeningSessions.closeSession(session);
+
+      expect(await listeningSessions.countLiveListeners()).toEqual({ total: 0, stations: {} });
+    });
+
+    test('should count a listener with two players once in the total', async () => {
+      await addSession('listener-1', 'main');
+      await addSession('listener-1', 'jazz');
+      await addSession('listener-1', 'main');
+
+      expect(await listeningSessions.countLiveListeners()).toEqual({
+        total: 1,
+        stations: { main: 1, jazz: 1 }
+      });
+    });
+  });
+
+  describe('GET /api/listeners/live', () => {
+    test('should return the overall and per station count', async () => {
+      await addSession('listener-1', 'main');
+      await addSession('listener-2', 'main', 120);
+
+      const response = await request(app)
+        .get('/api/listeners/live')
+        .expect(200);
+
+      expect(response.body).toEqual({ listening: 1, stations: { main: 1 } });
+      expect(response.headers['cache-control']).toBe('no-cache');
+    });
+
+    test('should list every station, including those without listeners', async () => {
+      const response = await request(app)
+        .get('/api/listeners/live')
+        .expect(200);
+
+      expect(response.body).toEqual({ listening: 0, stations: { main: 0 } });
+    });
+  });
+
+  describe('live updates', () => {
+    test('should publish the count when it changes', async () => {
+      const published = jest.fn();
+      await pubsub.subscribe('listeners', published);
+      await liveListeners.refresh();
+      await flushPubSub();
+      published.mockClear();
+
+      await addSession('listener-2', 'main');
+      await liveListeners.refresh();
+      await liveListeners.refresh();
+      await flushPubSub();
+
+      expect(published).toHaveBeenCalledTimes(1);
+      expect(published).toHaveBeenCalledWith({ total: 1, stations: { main: 1 } });
+    });
+
+    test('should recount when a session starts', async () => {
+      await request(app).post('/api/sessions/start').send({ session_id: 'listener-3' }).expect(200);
+      await liveListeners.refresh();
+
+      expect(liveListeners.getCounts()).toEqual({ total: 1, stations: { main: 1 } });
+    });
+
+    test('should relay the count to the station\'s event stream clients', async () => {
+      const broadcast = jest.spyOn(nowPlayingStream, 'broadcast');
+
+      await addSession('listener-1', 'main');
+      await addSession('listener-4', 'main');
+      await liveListeners.refresh();
+      await flushPubSub();
+
+      expect(broadcast).toHaveBeenCalledWith('listeners', { station_id: 'main', listening: 2, total: 2 });
+      broadcast.mockRestore();
+    });
+
+    test('should send the count to clients as they connect', async () => {
+      await addSession('listener-1', 'main');
+      await liveListeners.refresh();
+
+      const server = await new Promise((resolve) => {
+        const listening = app.listen(0, () => resolve(listening));
+      });
+      const received = await new Promise((resolve, reject) => {
+        const req = http.get({ port: server.address().port, path: '/api/now-playing/stream' }, (res) => {
+          let text = '';
+          res.setEncoding('utf8');
+          res.on('data', (chunk) => {
+            text += chunk;
+            if (text.includes('event: listeners')) {
+              req.destroy();
+              resolve(text);
+            }
+          });
+        });
+        req.on('error', reject);
+      });
+      await new Promise(resolve => server.close(resolve));
+
+      expect(received).toContain('event: listeners\ndata: {"station_id":"main","listening":1,"total":1}');
+    });
+  });
+});
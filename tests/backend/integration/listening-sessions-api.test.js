@@ -0,0 +1,275 @@
+/**
+ * Integration tests for listening sessions
+ * Tests POST /api/sessions/start, /heartbeat and /end (including session
+ * ownership and rate limits) and the sweeper that closes sessions without
+ * a heartbeat
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const { app, database } = require('../../../server');
+const listeningSessions = require('../../../listening-sessions');
+
+async function register(sessionId) {
+  await request(app).post('/api/listeners').send({ session_id: sessionId }).expect(200);
+}
+
+async function startSession(sessionId, extra = {}) {
+  const response = await request(app)
+    .post('/api/sessions/start')
+    .send({ session_id: sessionId, ...extra })
+    .expect(200);
+  return response.body.session_id;
+}
+
+function getSession(id) {
+  return database.get('SELECT * FROM listening_sessions WHERE id = ?', [id]);
+}
+
+describe('Listening sessions', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+    await register('listener-a');
+    await register('listener-b');
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+  });
+
+  describe('POST /api/sessions/start', () => {
+    test('should open a session on the requested station', async () => {
+      const response = await request(app)
+        .post('/api/sessions/start')
+        .send({ session_id: 'listener-a', station_id: 'main' })
+        .expect(200);
+
+      expect(response.body.heartbeat_interval).toBe(listeningSessions.HEARTBEAT_INTERVAL);
+
+      const session = await getSession(response.body.session_id);
+      expect(session.station_id).toBe('main');
+      expect(session.last_heartbeat).toBe(session.started_at);
+      expect(session.ended_at).toBeNull();
+    });
+
+    test('should require a registered listener', async () => {
+      await request(app)
+        .post('/api/sessions/start')
+        .send({ session_id: 'unknown-listener' })
+        .expect(404);
+    });
+
+    test('should reject unknown stations', async () => {
+      await request(app)
+        .post('/api/sessions/start')
+        .send({ session_id: 'listener-a', station_id: 'nope' })
+        .expect(400);
+    });
+  });
+
+  describe('POST /api/sessions/heartbeat', () => {
+    test('should extend an open session', async () => {
+      const id = await startSession('listener-a');
+      await database.run('UPDATE listening_sessions SET last_heartbeat = ? WHERE id = ?', ['2026-10-19T10:00:00.000Z', id]);
+
+      await request(app)
+        .post('/api/sessions/heartbeat')
+        .send({ session_id: 'listener-a', listening_session_id: id })
+        .expect(200);
+
+      const session = await getSession(id);
+      expect(Date.parse(session.last_heartbeat)).toBeGreaterThan(Date.parse('2026-10-19T10:00:00.000Z'));
+    });
+
+    test('should not extend another listener\'s session', async () => {
+      const id = await startSession('listener-a');
+
+      const response = await request(app)
+        .post('/api/sessions/heartbeat')
+        .send({ session_id: 'listener-b', listening_session_id: id })
+        .expect(404);
+
+      expect(response.body.error).toBe('Listening session not found');
+    });
+
+    test('should report a session that has ended', async () => {
+      const id = await startSession('listener-a');
+      await request(app)
+        .post('/api/sessions/end')
+        .send({ session_id: 'listener-a', listening_session_id: id })
+        .expect(200);
+
+      await request(app)
+        .post('/api/sessions/heartbeat')
+        .send({ session_id: 'listener-a', listening_session_id: id })
+        .expect(410);
+    });
+
+    test('should validate the session ids', async () => {
+      await request(app)
+        .post('/api/sessions/heartbeat')
+        .send({ session_id: 'listener-a', listening_session_id: 'abc' })
+        .expect(400);
+    });
+
+    test('should limit heartbeats per listener, not per IP', async () => {
+      const id = await startSession('listener-a');
+      let status = 200;
+      for (let i = 0; i < 12 && status !== 429; i++) {
+        ({ status } = await request(app)
+          .post('/api/sessions/heartbeat')
+          .send({ session_id: 'listener-a', listening_session_id: id }));
+      }
+      expect(status).toBe(429);
+
+      // Another listener on the same address keeps its own allowance
+      const other = await startSession('listener-b');
+      await request(app)
+        .post('/api/sessions/heartbeat')
+        .send({ session_id: 'listener-b', listening_session_id: other })
+        .expect(200);
+    });
+
+    test('should still limit an IP that rotates session ids', async () => {
+      let status = 404;
+      let sent = 0;
+      while (sent < 150 && status !== 429) {
+        ({ status } = await request(app)
+          .post('/api/sessions/heartbeat')
+          .set('X-Forwarded-For', '203.0.113.7')
+          .send({ session_id: `rotating-${sent}`, listening_session_id: 1 }));
+        sent++;
+      }
+
+      expect(status).toBe(429);
+      expect(sent).toBeGreaterThan(100);
+    });
+  });
+
+  describe('POST /api/sessions/end', () => {
+    test('should close the session and add its duration to the listener', async () => {
+      const id = await startSession('listener-b');
+      await database.run('UPDATE listening_sessions SET started_at = ? WHERE id = ?', [new Date(Date.now() - 5.5 * 60000).toISOString(), id]);
+      const before = await database.get('SELECT total_listening_time FROM listeners WHERE session_id = ?', ['listener-b']);
+
+      const response = await request(app)
+        .post('/api/sessions/end')
+        .send({ session_id: 'listener-b', listening_session_id: id })
+        .expect(200);
+
+      expect(response.body.duration_minutes).toBe(5);
+      const session = await getSession(id);
+      expect(session.ended_at).not.toBeNull();
+      expect(session.duration).toBe(5);
+      const after = await database.get('SELECT total_listening_time FROM listeners WHERE session_id = ?', ['listener-b']);
+      expect(after.total_listening_time).toBe(before.total_listening_time + 5);
+    });
+
+    test('should count a session that is ended twice once', async () => {
+      const id = await startSession('listener-b');
+      await database.run('UPDATE listening_sessions SET started_at = ? WHERE id = ?', [new Date(Date.now() - 3.5 * 60000).toISOString(), id]);
+      const before = await database.get('SELECT total_listening_time FROM listeners WHERE session_id = ?', ['listener-b']);
+
+      for (let i = 0; i < 2; i++) {
+        const response = await request(app)
+          .post('/api/sessions/end')
+          .send({ session_id: 'listener-b', listening_session_id: id })
+          .expect(200);
+        expect(response.body.duration_minutes).toBe(3);
+      }
+
+      const after = await database.get('SELECT total_listening_time FROM listeners WHERE session_id = ?', ['listener-b']);
+      expect(after.total_listening_time).toBe(before.total_listening_time + 3);
+    });
+
+    test('should not end another listener\'s session', async () => {
+      const id = await startSession('listener-a');
+
+      await request(app)
+        .post('/api/sessions/end')
+        .send({ session_id: 'listener-b', listening_session_id: id })
+        .expect(404);
+
+      const session = await getSession(id);
+      expect(session.ended_at).toBeNull();
+    });
+
+    test('should accept a beacon body', async () => {
+      const id = await startSession('listener-a');
+
+      await request(app)
+        .post('/api/sessions/end')
+        .set('Content-Type', 'application/json')
+        .send(JSON.stringify({ session_id: 'listener-a', listening_session_id: id }))
+        .expect(200);
+
+      const session = await getSession(id);
+      expect(session.ended_at).not.toBeNull();
+    });
+
+    test('should not use up the song request allowance', async () => {
+      for (let i = 0; i < 35; i++) {
+        await request(app)
+          .post('/api/sessions/end')
+          .set('X-Forwarded-For', '203.0.113.8')
+          .send({ session_id: 'listener-c', listening_session_id: 1 })
+          .expect(404);
+      }
+
+      await request(app)
+        .post('/api/requests')
+        .set('X-Forwarded-For', '203.0.113.8')
+        .send({ song_title: 'Heroes', artist: 'David Bowie' })
+        .expect(200);
+    });
+  });
+
+  describe('sweepSessions', () => {
+    beforeEach(async () => {
+      await database.run('UPDATE listening_sessions SET ended_at = ?, duration = 0 WHERE ended_at IS NULL', [new Date().toISOString()]);
+    });
+
+    test('should close sessions without a recent heartbeat at their last heartbeat', async () => {
+      const now = new Date('2026-10-19T12:00:00.000Z');
+      const stale = await listeningSessions.startSession('listener-a', 'main', new Date('2026-10-19T11:30:00.000Z'));
+      const session = await getSession(stale);
+      await listeningSessions.recordHeartbeat(session, 'main', new Date('2026-10-19T11:50:30.000Z'));
+      const fresh = await listeningSessions.startSession('listener-a', 'main', new Date('2026-10-19T11:59:00.000Z'));
+
+      const closed = await listeningSessions.sweepSessions({ now });
+
+      expect(closed).toBe(1);
+      const swept = await getSession(stale);
+      expect(swept.ended_at).toBe('2026-10-19T11:50:30.000Z');
+      expect(swept.duration).toBe(20);
+      expect((await getSession(fresh)).ended_at).toBeNull();
+    });
+
+    test('should close sessions from before heartbeats', async () => {
+      const listener = await database.get('SELECT id FROM listeners WHERE session_id = ?', ['listener-b']);
+      const result = await database.run(
+        'INSERT INTO listening_sessions (listener_id, started_at) VALUES (?, ?)',
+        [listener.id, '2026-10-18 09:00:00']
+      );
+
+      await listeningSessions.sweepSessions({ now: new Date('2026-10-19T12:00:00.000Z') });
+
+      const session = await getSession(Number(result.lastInsertRowid));
+      expect(session.ended_at).toBe('2026-10-18T09:00:00.000Z');
+      expect(session.duration).toBe(0);
+    });
+  });
+
+  describe('getDurationMinutes', () => {
+    test('should count whole minutes', () => {
+      expect(listeningSessions.getDurationMinutes('2026-10-19T10:00:00.000Z', '2026-10-19T10:02:59.000Z')).toBe(2);
+    });
+
+    test('should read SQLite timestamps as UTC', () => {
+      expect(listeningSessions.getDurationMinutes('2026-10-19 10:00:00', '2026-10-19T10:10:00.000Z')).toBe(10);
+    });
+  });
+});
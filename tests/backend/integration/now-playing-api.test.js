@@ -0,0 +1,48 @@
+/**
+ * Integration tests for the now playing API
+ * Tests GET /api/now-playing against the real Express app
+ */
+
+const request = require('supertest');
+const { app, nowPlaying } = require('../../../server');
+
+describe('GET /api/now-playing', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  test('should return 503 before the first successful poll', async () => {
+    jest.spyOn(nowPlaying, 'getNowPlaying').mockReturnValue(null);
+
+    const response = await request(app)
+      .get('/api/now-playing')
+      .expect(503);
+
+    expect(response.body.error).toBeDefined();
+  });
+
+  test('should return the cached track', async () => {
+    jest.spyOn(nowPlaying, 'getNowPlaying').mockReturnValue({
+      artist: 'Talking Heads',
+      title: 'Burning Down the House',
+      album: 'Speaking in Tongues',
+      recently_played: [{ artist: 'Kate Bush', title: 'Running Up That Hill' }]
+    });
+
+    const response = await request(app)
+      .get('/api/now-playing')
+      .expect(200);
+
+    expect(response.headers['cache-control']).toBe('no-cache');
+    expect(response.body.artist).toBe('Talking Heads');
+    expect(response.body.recently_played).toHaveLength(1);
+  });
+
+  test('should not count towards the general API rate limit', async () => {
+    jest.spyOn(nowPlaying, 'getNowPlaying').mockReturnValue({ artist: 'A', title: 'B' });
+
+    const response = await request(app).get('/api/now-playing');
+
+    expect(response.headers['ratelimit-remaining']).toBeUndefined();
+  });
+});
@@ -0,0 +1,106 @@
+/**
+ * Integration tests for the now playing event stream
+ * Tests GET /api/now-playing/stream against the real Express app
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const http = require('http');
+const { app, database, nowPlaying, nowPlayingStream } = require('../../../server');
+const { getTrackEventId } = require('../../../metadata-poller');
+
+const UPSTREAM_TRACK = {
+  artist: 'Talking Heads',
+  title: 'Burning Down the House',
+  album: 'Speaking in Tongues'
+};
+
+// Open a stream and resolve once the received text contains `marker`
+function readStreamUntil(port, marker, headers = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.get({ port, path: '/api/now-playing/stream', headers }, (res) => {
+      let received = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => {
+        received += chunk;
+        if (received.includes(marker)) {
+          req.destroy();
+          resolve({ res, received });
+        }
+      });
+    });
+    req.on('error', reject);
+  });
+}
+
+function mockUpstream(data) {
+  jest.spyOn(global, 'fetch').mockResolvedValue({
+    ok: true,
+    status: 200,
+    json: () => Promise.resolve(data)
+  });
+}
+
+describe('GET /api/now-playing/stream', () => {
+  let server;
+  let port;
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+
+    await new Promise((resolve) => {
+      server = app.listen(0, resolve);
+    });
+    port = server.address().port;
+  });
+
+  afterAll(async () => {
+    nowPlayingStream.close();
+    await new Promise(resolve => server.close(resolve));
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  afterEach(() => {
+    if (global.fetch.mockRestore) global.fetch.mockRestore();
+  });
+
+  test('should respond with an event stream and deliver the current track on connect', async () => {
+    mockUpstream(UPSTREAM_TRACK);
+    await nowPlaying.poll();
+
+    const { res, received } = await readStreamUntil(port, 'event: track');
+
+    expect(res.headers['content-type']).toBe('text/event-stream');
+    expect(received).toContain(`id: ${getTrackEventId(nowPlaying.getNowPlaying())}`);
+    expect(received).toContain('Burning Down the House');
+    expect(received).toContain('"song_id":"s_');
+  });
+
+  test('should skip the resend when Last-Event-ID matches the current track', async () => {
+    const currentId = getTrackEventId(nowPlaying.getNowPlaying());
+
+    const { received } = await readStreamUntil(port, 'retry:', { 'Last-Event-ID': currentId });
+
+    expect(received).not.toContain('event: track');
+  });
+
+  test('should push a track event when the track changes', async () => {
+    const pending = readStreamUntil(port, 'Heart of Glass', {
+      'Last-Event-ID': getTrackEventId(nowPlaying.getNowPlaying())
+    });
+
+    // Wait until the connection is registered before changing track
+    while (nowPlayingStream.getClientCount() === 0) {
+      await new Promise(resolve => setTimeout(resolve, 10));
+    }
+
+    mockUpstream({ artist: 'Blondie', title: 'Heart of Glass', album: 'Parallel Lines' });
+    await nowPlaying.poll();
+
+    const { received } = await pending;
+    expect(received).toContain('event: track');
+    expect(received).toContain('Blondie');
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * Integration tests for live rating updates
+ * Tests that POST /api/ratings publishes new totals and that they are
+ * relayed to event stream clients
+ */
+
+process.env.DB_PATH = ':memory:';
+
+const request = require('supertest');
+const { app, database, pubsub, nowPlayingStream, startLiveUpdates } = require('../../../server');
+const songCatalog = require('../../../song-catalog');
+const { flushPubSub } = require('../helpers/pubsub');
+
+function submitVote(songId, rating, userAgent) {
+  return request(app)
+    .post('/api/ratings')
+    .set('User-Agent', userAgent)
+    .send({ song_id: songId, session_id: 'session-123', rating })
+    .expect(200);
+}
+
+describe('Live rating updates', () => {
+  let published;
+  const songIds = [];
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+    await startLiveUpdates();
+
+    for (let i = 1; i <= 4; i++) {
+      const song = await songCatalog.resolveSong({ artist: 'Live Artist', title: `Live Song ${i}` });
+      songIds.push(song.id);
+    }
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+  });
+
+  beforeEach(async () => {
+    published = jest.fn();
+    await pubsub.subscribe('ratings', published);
+  });
+
+  test('should publish updated totals when a vote is cast', async () => {
+    await submitVote(songIds[0], 1, 'Browser/1.0');
+    await flushPubSub();
+
+    expect(published).toHaveBeenCalledWith({
+      station_id: 'main',
+      song_id: songIds[0],
+      thumbs_up: 1,
+      thumbs_down: 0
+    });
+  });
+
+  test('should publish when a vote is changed', async () => {
+    await submitVote(songIds[1], 1, 'Browser/2.0');
+    await submitVote(songIds[1], -1, 'Browser/2.0');
+    await flushPubSub();
+
+    expect(published).toHaveBeenLastCalledWith({
+      station_id: 'main',
+      song_id: songIds[1],
+      thumbs_up: 0,
+      thumbs_down: 1
+    });
+  });
+
+  test('should not publish when a repeated vote leaves totals unchanged', async () => {
+    await submitVote(songIds[2], 1, 'Browser/3.0');
+    await flushPubSub();
+    published.mockClear();
+
+    await submitVote(songIds[2], 1, 'Browser/3.0');
+    await flushPubSub();
+
+    expect(published).not.toHaveBeenCalled();
+  });
+
+  test('should relay published totals to event stream clients', async () => {
+    const broadcast = jest.spyOn(nowPlayingStream, 'broadcast');
+
+    await submitVote(songIds[3], 1, 'Browser/4.0');
+    await flushPubSub();
+
+    expect(broadcast).toHaveBeenCalledWith('ratings', expect.objectContaining({
+      song_id: songIds[3],
+      thumbs_up: 1
+    }));
+  });
+});
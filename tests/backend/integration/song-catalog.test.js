@@ -0,0 +1,219 @@
+/**
+ * Integration tests for the song catalog
+ * Tests the legacy song_id migration in db.js and the ratings API
+ * accepting both catalog ids and legacy strings
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const testDbDir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-catalog-'));
+const testDbPath = path.join(testDbDir, 'radio.db');
+process.env.DB_PATH = testDbPath;
+
+const request = require('supertest');
+const { app, database } = require('../../../server');
+const songCatalog = require('../../../song-catalog');
+
+const LEGACY_ID = songCatalog.getLegacySongId('Talking Heads', 'Burning Down the House (1983)');
+const UNPLAYED_LEGACY_ID = 'Some_Band-Some_Song';
+
+// Database as it looked before the song catalog existed
+function createLegacyDatabase() {
+  const db = new Database(testDbPath);
+  db.exec(`
+    CREATE TABLE song_ratings (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      song_id TEXT NOT NULL,
+      session_id TEXT,
+      ip_address TEXT,
+      user_fingerprint TEXT,
+      rating INTEGER NOT NULL,
+      created_at DATETIME DEFAULT CURRENT_TIMESTAMP
+    );
+    CREATE UNIQUE INDEX idx_song_fingerprint ON song_ratings(song_id, user_fingerprint);
+
+    CREATE TABLE play_history (
+      id INTEGER PRIMARY KEY AUTOINCREMENT,
+      artist TEXT,
+      title TEXT,
+      album TEXT,
+      year INTEGER,
+      bit_depth INTEGER,
+      sample_rate INTEGER,
+      started_at DATETIME NOT NULL,
+      ended_at DATETIME
+    );
+  `);
+
+  db.prepare(`
+    INSERT INTO play_history (artist, title, album, year, started_at)
+    VALUES ('Talking Heads', 'Burning Down the House (1983)', 'Speaking in Tongues', 1983, '2026-10-13T14:00:00.000Z')
+  `).run();
+
+  const insertRating = db.prepare('INSERT INTO song_ratings (song_id, user_fingerprint, rating) VALUES (?, ?, ?)');
+  insertRating.run(LEGACY_ID, 'fp-1', 1);
+  insertRating.run(LEGACY_ID, 'fp-2', 1);
+  insertRating.run(LEGACY_ID, 'fp-3', -1);
+  insertRating.run(UNPLAYED_LEGACY_ID, 'fp-1', 1);
+  db.close();
+}
+
+describe('Song catalog', () => {
+  const catalogId = songCatalog.getSongId('Talking Heads', 'Burning Down the House');
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    createLegacyDatabase();
+    await database.initializeDatabase();
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+    fs.rmSync(testDbDir, { recursive: true, force: true });
+  });
+
+  describe('legacy song_id migration', () => {
+    test('should create catalog entries from play history', async () => {
+      const song = await database.get('SELECT * FROM songs WHERE id = ?', [catalogId]);
+
+      expect(song).toMatchObject({
+        artist: 'Talking Heads',
+        title: 'Burning Down the House',
+        album: 'Speaking in Tongues',
+        year: 1983,
+        legacy_id: LEGACY_ID
+      });
+    });
+
+    test('should remap legacy ratings to the catalog id', async () => {
+      const remapped = await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [catalogId]);
+      const leftover = await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [LEGACY_ID]);
+
+      expect(remapped).toHaveLength(3);
+      expect(leftover).toHaveLength(0);
+    });
+
+    test('should leave unmatched legacy ids untouched', async () => {
+      const rows = await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [UNPLAYED_LEGACY_ID]);
+
+      expect(rows).toHaveLength(1);
+    });
+  });
+
+  describe('resolveSong', () => {
+    test('should return the same entry for spelling variants', async () => {
+      const first = await songCatalog.resolveSong({ artist: 'Björk', title: 'Jóga' });
+      const second = await songCatalog.resolveSong({ artist: 'björk ', title: 'JÓGA' });
+
+      expect(second.id).toBe(first.id);
+      expect(second.artist).toBe('Björk');
+    });
+
+    test('should adopt ratings stored under its legacy id when played again', async () => {
+      await database.run('INSERT INTO song_ratings (song_id, user_fingerprint, rating) VALUES (?, ?, ?)',
+        ['New_Order-Age_of_Consent', 'fp-9', 1]);
+
+      const song = await songCatalog.resolveSong({ artist: 'New Order', title: 'Age of Consent' });
+      await songCatalog.remapLegacyRatings(song.legacy_id, song.id);
+
+      const rows = await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [song.id]);
+      expect(rows).toHaveLength(1);
+    });
+  });
+
+  describe('rekeySongs', () => {
+    test('should merge songs whose id predates the normalization rules', async () => {
+      // Id as computed before "feat." guests were split from the artist
+      const oldId = 's_' + crypto.createHash('sha256')
+        .update('daft punk feat. pharrell williams\nget lucky').digest('hex').slice(0, 16);
+
+      await database.run(`
+        INSERT INTO songs (id, artist, title, normalized_artist, normalized_title, legacy_id)
+        VALUES (?, 'Daft Punk feat. Pharrell Williams', 'Get Lucky', 'daft punk feat. pharrell williams', 'get lucky', ?)
+      `, [oldId, songCatalog.getLegacySongId('Daft Punk feat. Pharrell Williams', 'Get Lucky')]);
+      await database.run('INSERT INTO song_ratings (song_id, user_fingerprint, rating) VALUES (?, ?, ?)', [oldId, 'fp-7', 1]);
+      await database.run(`
+        INSERT INTO play_history (artist, title, song_id, started_at)
+        VALUES ('Daft Punk feat. Pharrell Williams', 'Get Lucky', ?, '2026-10-14T09:00:00.000Z')
+      `, [oldId]);
+
+      const merged = await songCatalog.rekeySongs();
+
+      const newId = songCatalog.getSongId('Daft Punk', 'Get Lucky');
+      expect(merged).toBe(1);
+      expect(await songCatalog.findSong(oldId)).toBeNull();
+      expect(await songCatalog.findSong(newId)).toMatchObject({ artist: 'Daft Punk', title: 'Get Lucky' });
+      expect(await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [newId])).toHaveLength(1);
+      expect(await database.get('SELECT song_id FROM play_history WHERE title = ?', ['Get Lucky'])).toEqual({ song_id: newId });
+    });
+  });
+
+  describe('ratings API', () => {
+    test('should return ratings for a catalog id', async () => {
+      const response = await request(app)
+        .get(`/api/ratings/${catalogId}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ song_id: catalogId, thumbs_up: 2, thumbs_down: 1 });
+    });
+
+    test('should keep legacy ids working', async () => {
+      const response = await request(app)
+        .get(`/api/ratings/${LEGACY_ID}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ song_id: catalogId, thumbs_up: 2, thumbs_down: 1 });
+    });
+
+    test('should return ratings still stored under an unmatched legacy id', async () => {
+      const response = await request(app)
+        .get(`/api/ratings/${UNPLAYED_LEGACY_ID}`)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ song_id: UNPLAYED_LEGACY_ID, thumbs_up: 1 });
+    });
+
+    test('should store votes cast with a legacy id against the catalog id', async () => {
+      const response = await request(app)
+        .post('/api/ratings')
+        .send({ song_id: LEGACY_ID, session_id: 'session-123', rating: 1 })
+        .expect(200);
+
+      expect(response.body.thumbs_up).toBe(3);
+
+      const rows = await database.all('SELECT * FROM song_ratings WHERE song_id = ?', [LEGACY_ID]);
+      expect(rows).toHaveLength(0);
+    });
+
+    test('should store votes for an unmatched legacy id until the song is resolved', async () => {
+      const legacyId = songCatalog.getLegacySongId('Wire', 'Outdoor Miner (1978)');
+
+      const response = await request(app)
+        .post('/api/ratings')
+        .send({ song_id: legacyId, session_id: 'session-123', rating: -1 })
+        .expect(200);
+
+      expect(response.body).toMatchObject({ thumbs_down: 1, user_rating: -1 });
+
+      const song = await songCatalog.resolveSong({ artist: 'Wire', title: 'Outdoor Miner', year: 1978 });
+      await songCatalog.remapLegacyRatings(song.legacy_id, song.id);
+
+      const rows = await database.all('SELECT rating FROM song_ratings WHERE song_id = ?', [song.id]);
+      expect(rows).toEqual([{ rating: -1 }]);
+    });
+
+    test('should reject votes for catalog ids that are not in the catalog', async () => {
+      const response = await request(app)
+        .post('/api/ratings')
+        .send({ song_id: 's_0000000000000000', session_id: 'session-123', rating: 1 })
+        .expect(404);
+
+      expect(response.body.error).toBe('Song not found');
+    });
+  });
+});
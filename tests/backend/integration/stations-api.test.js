@@ -0,0 +1,180 @@
+/**
+ * Integration tests for multi-station support
+ * Tests GET /api/stations, the derived CSP and station-scoped ratings,
+ * history and requests against the real Express app
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const configDir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-stations-'));
+const STATIONS = [
+  {
+    id: 'main',
+    name: 'Radio Calico',
+    stream_url: 'https://main-cdn.test/hls/live.m3u8',
+    metadata_url: 'https://main-cdn.test/metadatav2.json',
+    cover_url: 'https://main-cdn.test/cover.jpg'
+  },
+  {
+    id: 'jazz',
+    name: 'Calico Jazz',
+    stream_url: 'https://jazz-cdn.test/hls/live.m3u8',
+    metadata_source: 'file',
+    metadata_file: path.join(configDir, 'jazz.json'),
+    branding: { tagline: 'Late night jazz', accent_color: '#1F4E23' }
+  }
+];
+fs.writeFileSync(path.join(configDir, 'stations.json'), JSON.stringify(STATIONS));
+
+process.env.DB_PATH = ':memory:';
+process.env.STATIONS_FILE = path.join(configDir, 'stations.json');
+
+const request = require('supertest');
+const { app, database, stationRuntimes, stationConfig } = require('../../../server');
+const stations = require('../../../stations');
+const playHistory = require('../../../play-history');
+const songCatalog = require('../../../song-catalog');
+
+function vote(songId, stationId, rating) {
+  return request(app)
+    .post('/api/ratings')
+    .set('User-Agent', 'StationBrowser/1.0')
+    .send({ song_id: songId, session_id: 'session-123', rating, station_id: stationId })
+    .expect(200);
+}
+
+describe('Stations', () => {
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+    await stations.syncStations(stationConfig);
+  });
+
+  afterAll(async () => {
+    jest.restoreAllMocks();
+    await database.close();
+    fs.rmSync(configDir, { recursive: true, force: true });
+  });
+
+  describe('GET /api/stations', () => {
+    test('should describe every configured station, default first', async () => {
+      const response = await request(app).get('/api/stations').expect(200);
+
+      expect(response.body.map(station => station.id)).toEqual(['main', 'jazz']);
+      expect(response.body[0]).toMatchObject({
+        name: 'Radio Calico',
+        stream_url: 'https://main-cdn.test/hls/live.m3u8',
+        metadata_source: 'metadatav2',
+        cover_url: 'https://main-cdn.test/cover.jpg',
+        is_default: true
+      });
+      expect(response.body[1].branding).toEqual({ tagline: 'Late night jazz', logo_url: null, accent_color: '#1F4E23' });
+    });
+
+    test('should not expose metadata file paths', async () => {
+      const response = await request(app).get('/api/stations').expect(200);
+
+      expect(JSON.stringify(response.body)).not.toContain(configDir);
+    });
+
+    test('should drop stations removed from the configuration', async () => {
+      await stations.syncStations([stationConfig[0]]);
+      try {
+        expect((await stations.listStations()).map(station => station.id)).toEqual(['main']);
+      } finally {
+        await stations.syncStations(stationConfig);
+      }
+    });
+  });
+
+  describe('Content-Security-Policy', () => {
+    test('should allow the stream host of every station', async () => {
+      const response = await request(app).get('/api/health').expect(200);
+      const csp = response.headers['content-security-policy'];
+
+      expect(csp).toMatch(/media-src 'self' https:\/\/main-cdn\.test https:\/\/jazz-cdn\.test blob:/);
+      expect(csp).toMatch(/connect-src 'self' https:\/\/main-cdn\.test https:\/\/jazz-cdn\.test/);
+      expect(csp).not.toContain('cloudfront.net');
+    });
+  });
+
+  describe('GET /api/now-playing', () => {
+    afterEach(() => {
+      jest.restoreAllMocks();
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    test('should return the selected station\'s track', async () => {
+      jest.spyOn(stationRuntimes.get('main').nowPlaying, 'getNowPlaying').mockReturnValue({ artist: 'Blondie', title: 'Atomic' });
+      jest.spyOn(stationRuntimes.get('jazz').nowPlaying, 'getNowPlaying').mockReturnValue({ artist: 'Nina Simone', title: 'Sinnerman' });
+
+      const jazz = await request(app).get('/api/now-playing?station=jazz').expect(200);
+      const main = await request(app).get('/api/now-playing').expect(200);
+
+      expect(jazz.body.artist).toBe('Nina Simone');
+      expect(main.body.artist).toBe('Blondie');
+    });
+
+    test('should reject unknown stations', async () => {
+      const response = await request(app).get('/api/now-playing?station=polka').expect(400);
+
+      expect(response.body.details[0]).toEqual({ field: 'station', message: 'Unknown station' });
+    });
+  });
+
+  describe('ratings', () => {
+    test('should count votes per station', async () => {
+      const song = await songCatalog.resolveSong({ artist: 'Nina Simone', title: 'Feeling Good' });
+
+      await vote(song.id, 'main', 1);
+      const jazz = await vote(song.id, 'jazz', -1);
+
+      expect(jazz.body).toMatchObject({ thumbs_up: 0, thumbs_down: 1 });
+
+      const main = await request(app)
+        .get(`/api/ratings/${song.id}`)
+        .set('User-Agent', 'StationBrowser/1.0')
+        .expect(200);
+      expect(main.body).toMatchObject({ thumbs_up: 1, thumbs_down: 0, user_rating: 1 });
+    });
+
+    test('should reject votes for unknown stations', async () => {
+      const song = await songCatalog.resolveSong({ artist: 'Nina Simone', title: 'Feeling Good' });
+
+      await request(app)
+        .post('/api/ratings')
+        .send({ song_id: song.id, session_id: 'session-123', rating: 1, station_id: 'polka' })
+        .expect(400);
+    });
+  });
+
+  describe('history', () => {
+    test('should keep each station\'s open entry separate', async () => {
+      await playHistory.recordTrackChange({ artist: 'Blondie', title: 'Call Me', started_at: '2026-10-13T10:00:00.000Z' }, 'main');
+      await playHistory.recordTrackChange({ artist: 'Miles Davis', title: 'So What', started_at: '2026-10-13T10:01:00.000Z' }, 'jazz');
+
+      const main = await request(app).get('/api/history').expect(200);
+      const jazz = await request(app).get('/api/history?station=jazz').expect(200);
+
+      expect(main.body.items).toHaveLength(1);
+      expect(main.body.items[0]).toMatchObject({ title: 'Call Me', station_id: 'main', ended_at: null });
+      expect(jazz.body.items).toHaveLength(1);
+      expect(jazz.body.items[0]).toMatchObject({ title: 'So What', station_id: 'jazz' });
+    });
+  });
+
+  describe('requests', () => {
+    test('should list requests for the selected station only', async () => {
+      await request(app).post('/api/requests').send({ song_title: 'Take Five', station_id: 'jazz' }).expect(200);
+      await request(app).post('/api/requests').send({ song_title: 'Heart of Glass' }).expect(200);
+
+      const jazz = await request(app).get('/api/requests?station=jazz').expect(200);
+      const main = await request(app).get('/api/requests').expect(200);
+
+      expect(jazz.body.map(item => item.song_title)).toEqual(['Take Five']);
+      expect(main.body.map(item => item.song_title)).toEqual(['Heart of Glass']);
+    });
+  });
+});
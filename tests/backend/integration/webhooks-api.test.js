@@ -0,0 +1,278 @@
+/**
+ * Integration tests for outbound webhooks
+ * Tests the admin API, signed deliveries and retries against a local
+ * HTTP receiver
+ */
+
+process.env.DB_PATH = ':memory:';
+process.env.ADMIN_TOKEN = 'test-admin-token';
+
+const http = require('http');
+const request = require('supertest');
+const { app, database, webhookDispatcher } = require('../../../server');
+const webhooks = require('../../../webhooks');
+
+const ADMIN_AUTH = 'Bearer test-admin-token';
+const SECRET = 'receiver-shared-secret';
+
+// Local endpoint recording every request; responds with the next queued status
+function createReceiver() {
+  const received = [];
+  const statuses = [];
+  const waiters = [];
+
+  const server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => {
+      received.push({ headers: req.headers, body });
+      res.statusCode = statuses.shift() || 200;
+      res.end();
+      waiters.splice(0).forEach(resolve => resolve());
+    });
+  });
+
+  return {
+    received,
+    statuses,
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', resolve)),
+    close: () => new Promise(resolve => server.close(resolve)),
+    url: () => `http://127.0.0.1:${server.address().port}/hook`,
+    // Resolve once `count` requests have arrived
+    waitFor: async (count) => {
+      while (received.length < count) {
+        await new Promise(resolve => waiters.push(resolve));
+      }
+    }
+  };
+}
+
+function registerWebhook(body) {
+  return request(app)
+    .post('/api/webhooks')
+    .set('Authorization', ADMIN_AUTH)
+    .send(body);
+}
+
+// Wait for fire-and-forget deliveries started by an API call
+async function waitForDeliveryStatus(deliveryId, status) {
+  for (let i = 0; i < 100; i++) {
+    const delivery = await webhooks.getDelivery(deliveryId);
+    if (delivery && delivery.status === status) return delivery;
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+  throw new Error(`Delivery ${deliveryId} never reached ${status}`);
+}
+
+describe('Webhooks', () => {
+  const receiver = createReceiver();
+
+  beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await database.initializeDatabase();
+    await receiver.listen();
+  });
+
+  afterAll(async () => {
+    webhookDispatcher.close();
+    await receiver.close();
+    await database.close();
+    jest.restoreAllMocks();
+  });
+
+  beforeEach(async () => {
+    receiver.received.length = 0;
+    receiver.statuses.length = 0;
+    await database.run('DELETE FROM webhook_deliveries');
+    await database.run('DELETE FROM webhooks');
+  });
+
+  describe('admin authentication', () => {
+    test('should reject requests without the admin token', async () => {
+      await request(app).get('/api/webhooks').expect(401);
+      await request(app).get('/api/webhooks').set('Authorization', 'Bearer wrong').expect(401);
+    });
+
+    test('should be disabled when ADMIN_TOKEN is not set', async () => {
+      delete process.env.ADMIN_TOKEN;
+      try {
+        await request(app).get('/api/webhooks').set('Authorization', ADMIN_AUTH).expect(503);
+      } finally {
+        process.env.ADMIN_TOKEN = 'test-admin-token';
+      }
+    });
+  });
+
+  describe('POST /api/webhooks', () => {
+    test('should register an endpoint and return its secret once', async () => {
+      const response = await registerWebhook({ url: receiver.url(), description: 'Discord bot' }).expect(201);
+
+      expect(response.body).toMatchObject({
+        url: receiver.url(),
+        events: ['track.changed'],
+        description: 'Discord bot'
+      });
+      expect(response.body.secret).toMatch(/^[0-9a-f]{64}$/);
+
+      const list = await request(app).get('/api/webhooks').set('Authorization', ADMIN_AUTH).expect(200);
+      expect(list.body).toHaveLength(1);
+      expect(list.body[0].secret).toBeUndefined();
+    });
+
+    test('should reject unknown events and non-http URLs', async () => {
+      await registerWebhook({ url: receiver.url(), events: ['track.skipped'] }).expect(400);
+      await registerWebhook({ url: 'ftp://example.com/hook' }).expect(400);
+    });
+  });
+
+  describe('deliveries', () => {
+    test('should sign the payload with the endpoint secret', async () => {
+      const { body: webhook } = await registerWebhook({ url: receiver.url(), secret: SECRET }).expect(201);
+
+      const response = await request(app)
+        .post(`/api/webhooks/${webhook.id}/test`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+
+      expect(response.body).toMatchObject({ event: 'ping', status: 'success', attempts: 1, response_status: 200 });
+
+      const [delivery] = receiver.received;
+      expect(delivery.headers['x-radio-event']).toBe('ping');
+      expect(delivery.headers['x-radio-delivery']).toBe(response.body.id);
+      expect(webhooks.verifySignature(
+        SECRET,
+        delivery.headers['x-radio-timestamp'],
+        delivery.body,
+        delivery.headers['x-radio-signature']
+      )).toBe(true);
+      expect(JSON.parse(delivery.body)).toMatchObject({ id: response.body.id, event: 'ping' });
+    });
+
+    test('should send new song requests to subscribed endpoints only', async () => {
+      await registerWebhook({ url: receiver.url(), events: ['request.created'] }).expect(201);
+      await registerWebhook({ url: receiver.url(), events: ['feedback.created'] }).expect(201);
+
+      await request(app)
+        .post('/api/requests')
+        .send({ listener_name: 'Sam', song_title: 'Heroes', artist: 'David Bowie' })
+        .expect(200);
+      await receiver.waitFor(1);
+
+      expect(receiver.received).toHaveLength(1);
+      expect(JSON.parse(receiver.received[0].body)).toMatchObject({
+        event: 'request.created',
+        data: { listener_name: 'Sam', song_title: 'Heroes', artist: 'David Bowie' }
+      });
+    });
+
+    test('should retry failed deliveries with backoff and log every attempt', async () => {
+      const { body: webhook } = await registerWebhook({ url: receiver.url() }).expect(201);
+      const dispatcher = webhooks.createWebhookDispatcher({ retryDelayMs: 20, maxAttempts: 3 });
+      receiver.statuses.push(500, 503);
+
+      try {
+        const [deliveryId] = await dispatcher.dispatch('track.changed', { track: { artist: 'Blondie' } });
+        const delivery = await waitForDeliveryStatus(deliveryId, 'success');
+
+        expect(delivery.attempts).toBe(3);
+        expect(receiver.received.map(item => item.headers['x-radio-delivery'])).toEqual([deliveryId, deliveryId, deliveryId]);
+      } finally {
+        dispatcher.close();
+      }
+
+      const log = await request(app)
+        .get(`/api/webhooks/${webhook.id}/deliveries`)
+        .set('Authorization', ADMIN_AUTH)
+        .expect(200);
+
+      expect(log.body).toHaveLength(1);
+      expect(log.body[0]).toMatchObject({ event: 'track.changed', status: 'success', attempts: 3 });
+    });
+
+    test('should deliver an event dispatched by several server processes once', async () => {
+      await registerWebhook({ url: receiver.url() }).expect(201);
+      const processes = [webhooks.createWebhookDispatcher(), webhooks.createWebhookDispatcher()];
+
+      try {
+        const results = await Promise.all(processes.map(dispatcher => (
+          dispatcher.dispatch('track.changed', { track: { artist: 'Blondie' } }, { key: 'a1b2:7' })
+        )));
+
+        expect(results.flat().filter(Boolean)).toHaveLength(1);
+        expect(receiver.received).toHaveLength(1);
+
+        // The same track played again later has a new history entry
+        await processes[0].dispatch('track.changed', { track: { artist: 'Blondie' } }, { key: 'a1b2:9' });
+        expect(receiver.received).toHaveLength(2);
+      } finally {
+        processes.forEach(dispatcher => dispatcher.close());
+      }
+    });
+
+    test('should send a retry scheduled by several server processes once', async () => {
+      await registerWebhook({ url: receiver.url() }).expect(201);
+      const first = webhooks.createWebhookDispatcher({ retryDelayMs: 60000 });
+      const processes = [webhooks.createWebhookDispatcher(), webhooks.createWebhookDispatcher()];
+      receiver.statuses.push(500);
+
+      try {
+        const [deliveryId] = await first.dispatch('track.changed', { track: { artist: 'Blondie' } });
+        // The retry is due, e.g. in every process that resumed it after a restart
+        await database.run('UPDATE webhook_deliveries SET next_attempt_at = NULL WHERE id = ?', [deliveryId]);
+
+        const results = await Promise.all(processes.map(dispatcher => dispatcher.attempt(deliveryId)));
+
+        expect(results.filter(Boolean)).toEqual(['success']);
+        expect(receiver.received).toHaveLength(2);
+        expect((await webhooks.getDelivery(deliveryId)).attempts).toBe(2);
+      } finally {
+        [first, ...processes].forEach(dispatcher => dispatcher.close());
+      }
+    });
+
+    test('should leave a retry another process is sending alone', async () => {
+      await registerWebhook({ url: receiver.url() }).expect(201);
+      const dispatcher = webhooks.createWebhookDispatcher();
+      const restarted = webhooks.createWebhookDispatcher();
+
+      try {
+        const [deliveryId] = await dispatcher.dispatch('track.changed', {});
+        // Claimed moments ago by a process whose request is still running
+        await database.run(`
+          UPDATE webhook_deliveries SET status = 'pending', attempts = 2, next_attempt_at = ? WHERE id = ?
+        `, [new Date(Date.now() + 60000).toISOString(), deliveryId]);
+
+        expect(await restarted.attempt(deliveryId)).toBeNull();
+        expect(receiver.received).toHaveLength(1);
+      } finally {
+        dispatcher.close();
+        restarted.close();
+      }
+    });
+
+    test('should give up after the last attempt', async () => {
+      await registerWebhook({ url: receiver.url() }).expect(201);
+      const dispatcher = webhooks.createWebhookDispatcher({ retryDelayMs: 10, maxAttempts: 2 });
+      receiver.statuses.push(500, 500);
+
+      try {
+        const [deliveryId] = await dispatcher.dispatch('track.changed', {});
+        const delivery = await waitForDeliveryStatus(deliveryId, 'failed');
+
+        expect(delivery).toMatchObject({ attempts: 2, response_status: 500 });
+        expect(delivery.error).toContain('500');
+      } finally {
+        dispatcher.close();
+      }
+    });
+  });
+
+  describe('DELETE /api/webhooks/:id', () => {
+    test('should remove the endpoint', async () => {
+      const { body: webhook } = await registerWebhook({ url: receiver.url() }).expect(201);
+
+      await request(app).delete(`/api/webhooks/${webhook.id}`).set('Authorization', ADMIN_AUTH).expect(200);
+      await request(app).delete(`/api/webhooks/${webhook.id}`).set('Authorization', ADMIN_AUTH).expect(404);
+    });
+  });
+});
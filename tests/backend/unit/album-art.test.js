@@ -0,0 +1,92 @@
+/**
+ * Unit tests for the album art store
+ * Tests capture() and getVariant() against a temporary directory
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const sharp = require('sharp');
+const { createArtStore } = require('../../../album-art');
+
+function mockFetch(response) {
+  return jest.fn().mockResolvedValue(response);
+}
+
+describe('createArtStore', () => {
+  let dir;
+  let image;
+
+  beforeAll(async () => {
+    image = await sharp({
+      create: { width: 400, height: 200, channels: 3, background: '#336699' }
+    }).png().toBuffer();
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-art-unit-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  describe('capture', () => {
+    test('should store the image under its content hash', async () => {
+      const store = createArtStore({
+        dir,
+        fetchImpl: mockFetch({ ok: true, arrayBuffer: () => Promise.resolve(image) })
+      });
+
+      const hash = await store.capture('https://example.com/cover.jpg');
+
+      expect(store.hasOriginal(hash)).toBe(true);
+      expect(fs.readFileSync(path.join(dir, 'originals', hash))).toEqual(image);
+    });
+
+    test('should reject failed and empty responses', async () => {
+      const failing = createArtStore({ dir, fetchImpl: mockFetch({ ok: false, status: 404 }) });
+      const empty = createArtStore({
+        dir,
+        fetchImpl: mockFetch({ ok: true, arrayBuffer: () => Promise.resolve(new ArrayBuffer(0)) })
+      });
+
+      await expect(failing.capture('https://example.com/cover.jpg')).rejects.toThrow('status 404');
+      await expect(empty.capture('https://example.com/cover.jpg')).rejects.toThrow('unexpected size');
+    });
+  });
+
+  describe('getVariant', () => {
+    test('should crop to a square of the requested size', async () => {
+      const store = createArtStore({
+        dir,
+        fetchImpl: mockFetch({ ok: true, arrayBuffer: () => Promise.resolve(image) })
+      });
+      const hash = await store.capture('https://example.com/cover.jpg');
+
+      const filePath = await store.getVariant(hash, 96, 'webp');
+
+      expect(await sharp(filePath).metadata()).toMatchObject({ format: 'webp', width: 96, height: 96 });
+    });
+
+    test('should share one generation between concurrent requests', async () => {
+      const store = createArtStore({
+        dir,
+        fetchImpl: mockFetch({ ok: true, arrayBuffer: () => Promise.resolve(image) })
+      });
+      const hash = await store.capture('https://example.com/cover.jpg');
+
+      const first = store.getVariant(hash, 300, 'jpeg');
+      const second = store.getVariant(hash, 300, 'jpeg');
+
+      expect(second).toBe(first);
+      await first;
+    });
+
+    test('should refuse hashes that are not sha256 hex', () => {
+      const store = createArtStore({ dir });
+
+      expect(() => store.getVariant('../../etc/passwd', 96, 'webp')).toThrow('Invalid art hash');
+    });
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * Unit tests for the embeddable player configuration
+ * Tests EMBED_ALLOWED_ORIGINS parsing and the frame-ancestors sources
+ */
+
+const { parseAllowedOrigins, loadAllowedOrigins, getFrameAncestors } = require('../../../embed');
+
+describe('parseAllowedOrigins', () => {
+  test('should be empty when unset', () => {
+    expect(parseAllowedOrigins(undefined)).toEqual([]);
+    expect(parseAllowedOrigins('')).toEqual([]);
+  });
+
+  test('should split, trim and lowercase the origins', () => {
+    expect(parseAllowedOrigins(' https://Partner.example , http://localhost:8080/,'))
+      .toEqual(['https://partner.example', 'http://localhost:8080']);
+  });
+
+  test('should accept subdomain wildcards', () => {
+    expect(parseAllowedOrigins('https://*.blog.example')).toEqual(['https://*.blog.example']);
+  });
+
+  test('should drop duplicates', () => {
+    expect(parseAllowedOrigins('https://partner.example,https://partner.example/')).toEqual(['https://partner.example']);
+  });
+
+  test.each([
+    ['a path', 'https://partner.example/player'],
+    ['no scheme', 'partner.example'],
+    ['another scheme', 'ftp://partner.example'],
+    ['a bare wildcard', '*']
+  ])('should reject an origin with %s', (name, value) => {
+    expect(() => parseAllowedOrigins(value)).toThrow(/EMBED_ALLOWED_ORIGINS/);
+  });
+});
+
+describe('loadAllowedOrigins', () => {
+  test('should read EMBED_ALLOWED_ORIGINS', () => {
+    expect(loadAllowedOrigins({ EMBED_ALLOWED_ORIGINS: 'https://partner.example' })).toEqual(['https://partner.example']);
+  });
+});
+
+describe('getFrameAncestors', () => {
+  test('should always allow this site', () => {
+    expect(getFrameAncestors([])).toEqual(["'self'"]);
+    expect(getFrameAncestors(['https://partner.example'])).toEqual(["'self'", 'https://partner.example']);
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * Unit tests for the Server-Sent Events hub
+ * Tests formatEvent() and createEventStream()
+ */
+
+const { EventEmitter } = require('events');
+const { createEventStream, formatEvent } = require('../../../event-stream');
+
+// Minimal request/response stand-ins for a streaming connection
+function createStreamConnection(headers = {}) {
+  const req = new EventEmitter();
+  req.headers = headers;
+
+  const res = {
+    chunks: [],
+    writeHead: jest.fn(),
+    write: jest.fn(function(chunk) {
+      this.chunks.push(chunk);
+      return true;
+    }),
+    end: jest.fn()
+  };
+
+  return { req, res };
+}
+
+describe('formatEvent', () => {
+  test('should serialize id, event name and JSON data', () => {
+    const message = formatEvent({ event: 'track', id: 'abc', data: { artist: 'Blondie' } });
+
+    expect(message).toBe('id: abc\nevent: track\ndata: {"artist":"Blondie"}\n\n');
+  });
+
+  test('should split multi-line string data into several data lines', () => {
+    const message = formatEvent({ data: 'line one\nline two' });
+
+    expect(message).toBe('data: line one\ndata: line two\n\n');
+  });
+});
+
+describe('createEventStream', () => {
+  afterEach(() => {
+    jest.useRealTimers();
+  });
+
+  test('should send SSE headers, retry delay and initial events on connect', () => {
+    const getInitialEvents = jest.fn(() => [{ event: 'track', id: 't1', data: { title: 'Call Me' } }]);
+    const stream = createEventStream({ getInitialEvents, retryMs: 3000 });
+    const { req, res } = createStreamConnection();
+
+    stream.handler(req, res);
+
+    expect(res.writeHead).toHaveBeenCalledWith(200, expect.objectContaining({
+      'Content-Type': 'text/event-stream'
+    }));
+    expect(res.chunks[0]).toBe('retry: 3000\n\n');
+    expect(res.chunks[1]).toContain('event: track');
+    expect(getInitialEvents).toHaveBeenCalledWith(null);
+
+    stream.close();
+  });
+
+  test('should pass Last-Event-ID to getInitialEvents', () => {
+    const getInitialEvents = jest.fn(() => []);
+    const stream = createEventStream({ getInitialEvents });
+    const { req, res } = createStreamConnection({ 'last-event-id': 't1' });
+
+    stream.handler(req, res);
+
+    expect(getInitialEvents).toHaveBeenCalledWith('t1');
+    expect(res.chunks).toHaveLength(1); // retry line only
+
+    stream.close();
+  });
+
+  test('should broadcast to connected clients and forget closed ones', () => {
+    const stream = createEventStream();
+    const first = createStreamConnection();
+    const second = createStreamConnection();
+
+    stream.handler(first.req, first.res);
+    stream.handler(second.req, second.res);
+    expect(stream.getClientCount()).toBe(2);
+
+    second.req.emit('close');
+    stream.broadcast('track', { title: 'Atomic' }, 't2');
+
+    expect(stream.getClientCount()).toBe(1);
+    expect(first.res.chunks.pop()).toBe('id: t2\nevent: track\ndata: {"title":"Atomic"}\n\n');
+    expect(second.res.chunks.some(chunk => chunk.includes('Atomic'))).toBe(false);
+
+    stream.close();
+  });
+
+  test('should send keepalive comments while clients are connected', () => {
+    jest.useFakeTimers();
+    const stream = createEventStream({ keepAliveMs: 1000 });
+    const { req, res } = createStreamConnection();
+
+    stream.handler(req, res);
+    jest.advanceTimersByTime(2000);
+
+    expect(res.chunks.filter(chunk => chunk === ': keepalive\n\n')).toHaveLength(2);
+
+    stream.close();
+    expect(res.end).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * Unit tests for the server-side now playing poller
+ * Tests createMetadataPoller()
+ */
+
+const { createMetadataPoller } = require('../../../metadata-poller');
+
+const UPSTREAM_PAYLOAD = {
+  artist: 'Talking Heads',
+  title: 'This Must Be the Place (1983)',
+  album: 'Speaking in Tongues',
+  bit_depth: 24,
+  sample_rate: '96000',
+  prev_artist_1: 'Kate Bush',
+  prev_title_1: 'Running Up That Hill',
+  prev_artist_2: 'New Order',
+  prev_title_2: 'Age of Consent',
+  prev_artist_3: '',
+  prev_title_3: 'Missing Artist'
+};
+
+// Minimal fetch Response stand-in
+function jsonResponse(data, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(data)
+  });
+}
+
+describe('createMetadataPoller', () => {
+  test('should fetch and cache the current track', async () => {
+    const fetchImpl = jest.fn(() => jsonResponse(UPSTREAM_PAYLOAD));
+    const poller = createMetadataPoller({ url: 'https://cdn.test/meta.json', fetchImpl });
+
+    expect(poller.getNowPlaying()).toBeNull();
+
+    await poller.poll();
+
+    expect(fetchImpl).toHaveBeenCalledWith('https://cdn.test/meta.json', expect.any(Object));
+    expect(poller.getNowPlaying().artist).toBe('Talking Heads');
+    expect(poller.getNowPlaying().started_at).toBeDefined();
+  });
+
+  test('should share a single upstream request between concurrent polls', async () => {
+    const fetchImpl = jest.fn(() => jsonResponse(UPSTREAM_PAYLOAD));
+    const poller = createMetadataPoller({ fetchImpl });
+
+    await Promise.all([poller.poll(), poller.poll(), poller.poll()]);
+
+    expect(fetchImpl).toHaveBeenCalledTimes(1);
+  });
+
+  test('should emit trackchange only when the track changes', async () => {
+    const payloads = [
+      UPSTREAM_PAYLOAD,
+      UPSTREAM_PAYLOAD,
+      { ...UPSTREAM_PAYLOAD, artist: 'Blondie', title: 'Heart of Glass' }
+    ];
+    const fetchImpl = jest.fn(() => jsonResponse(payloads.shift()));
+    const poller = createMetadataPoller({ fetchImpl });
+    const onTrackChange = jest.fn();
+    const onUpdate = jest.fn();
+    poller.on('trackchange', onTrackChange);
+    poller.on('update', onUpdate);
+
+    await poller.poll();
+    const firstStartedAt = poller.getNowPlaying().started_at;
+    await poller.poll();
+
+    expect(poller.getNowPlaying().started_at).toBe(firstStartedAt);
+
+    await poller.poll();
+
+    expect(onUpdate).toHaveBeenCalledTimes(3);
+    expect(onTrackChange).toHaveBeenCalledTimes(2);
+    expect(onTrackChange.mock.calls[1][0].artist).toBe('Blondie');
+    expect(onTrackChange.mock.calls[1][1].artist).toBe('Talking Heads');
+  });
+
+  test('should read tracks from the given metadata source', async () => {
+    const source = {
+      type: 'file',
+      fetchTrack: jest.fn().mockResolvedValue({ artist: 'Kate Bush', title: 'Cloudbusting', album: null })
+    };
+    const poller = createMetadataPoller({ source });
+
+    await poller.poll();
+
+    expect(source.fetchTrack).toHaveBeenCalledTimes(1);
+    expect(poller.getNowPlaying().title).toBe('Cloudbusting');
+  });
+
+  test('should keep the last good track when upstream fails', async () => {
+    const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const fetchImpl = jest.fn()
+      .mockImplementationOnce(() => jsonResponse(UPSTREAM_PAYLOAD))
+      .mockImplementationOnce(() => jsonResponse({}, 502));
+    const poller = createMetadataPoller({ fetchImpl });
+
+    await poller.poll();
+    await poller.poll();
+
+    expect(poller.getNowPlaying().artist).toBe('Talking Heads');
+    expect(poller.getLastError().message).toContain('502');
+
+    consoleSpy.mockRestore();
+  });
+});
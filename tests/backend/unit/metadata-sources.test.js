@@ -0,0 +1,234 @@
+/**
+ * Unit tests for the metadata source adapters
+ * Tests that every upstream format maps into the same normalized track
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  createMetadataSource,
+  createIcecastSource,
+  createShoutcastSource,
+  createFileSource,
+  splitStreamTitle,
+  normalizeMetadata,
+  normalizeIcecast,
+  normalizeShoutcast
+} = require('../../../metadata-sources');
+
+const UPSTREAM_PAYLOAD = {
+  artist: 'Talking Heads',
+  title: 'This Must Be the Place (1983)',
+  album: 'Speaking in Tongues',
+  bit_depth: 24,
+  sample_rate: '96000',
+  prev_artist_1: 'Kate Bush',
+  prev_title_1: 'Running Up That Hill',
+  prev_artist_2: 'New Order',
+  prev_title_2: 'Age of Consent',
+  prev_artist_3: '',
+  prev_title_3: 'Missing Artist'
+};
+
+const ICECAST_PAYLOAD = {
+  icestats: {
+    source: [
+      { listenurl: 'http://radio.test:8000/test.ogg', title: 'Blondie - Heart of Glass', audio_samplerate: 44100 },
+      { listenurl: 'http://radio.test:8000/lossless.flac', artist: 'Kate Bush', title: 'Cloudbusting', samplerate: 48000 }
+    ]
+  }
+};
+
+const SHOUTCAST_PAYLOAD = {
+  streamstatus: 1,
+  songtitle: 'New Order - Age of Consent',
+  samplerate: 44100,
+  bitrate: 128
+};
+
+// Minimal fetch Response stand-in
+function jsonResponse(data, status = 200) {
+  return Promise.resolve({
+    ok: status >= 200 && status < 300,
+    status,
+    json: () => Promise.resolve(data)
+  });
+}
+
+describe('normalizeMetadata', () => {
+  test('should map track fields and coerce numeric values', () => {
+    const track = normalizeMetadata(UPSTREAM_PAYLOAD, { coverUrl: 'https://cdn.test/cover.jpg' });
+
+    expect(track.artist).toBe('Talking Heads');
+    expect(track.title).toBe('This Must Be the Place');
+    expect(track.album).toBe('Speaking in Tongues');
+    expect(track.year).toBe(1983);
+    expect(track.bit_depth).toBe(24);
+    expect(track.sample_rate).toBe(96000);
+    expect(track.cover_url).toBe('https://cdn.test/cover.jpg');
+  });
+
+  test('should turn prev_artist_N/prev_title_N into an ordered array', () => {
+    const track = normalizeMetadata(UPSTREAM_PAYLOAD);
+
+    expect(track.recently_played).toEqual([
+      { artist: 'Kate Bush', title: 'Running Up That Hill' },
+      { artist: 'New Order', title: 'Age of Consent' }
+    ]);
+  });
+
+  test('should apply the shared title and artist normalization', () => {
+    const track = normalizeMetadata({
+      artist: 'Kate Bush feat. Peter Gabriel',
+      title: 'Don&#39;t Give Up - 2018 Remaster',
+      prev_artist_1: 'Blondie',
+      prev_title_1: 'Call Me (1980)'
+    });
+
+    expect(track).toMatchObject({
+      artist: 'Kate Bush',
+      title: "Don't Give Up",
+      tags: ['2018 Remaster'],
+      featured_artists: ['Peter Gabriel'],
+      recently_played: [{ artist: 'Blondie', title: 'Call Me' }]
+    });
+  });
+
+  test('should return nulls for missing fields', () => {
+    const track = normalizeMetadata({});
+
+    expect(track.artist).toBeNull();
+    expect(track.title).toBeNull();
+    expect(track.bit_depth).toBeNull();
+    expect(track.recently_played).toEqual([]);
+  });
+});
+
+describe('splitStreamTitle', () => {
+  test('should split on the first " - "', () => {
+    expect(splitStreamTitle('Sonic Youth - Teen Age Riot - Live')).toEqual({
+      artist: 'Sonic Youth',
+      title: 'Teen Age Riot - Live'
+    });
+  });
+
+  test('should keep titles without a separator', () => {
+    expect(splitStreamTitle('Station ID')).toEqual({ artist: null, title: 'Station ID' });
+  });
+});
+
+describe('normalizeIcecast', () => {
+  test('should use the first source by default and split its stream title', () => {
+    const track = normalizeIcecast(ICECAST_PAYLOAD);
+
+    expect(track).toMatchObject({ artist: 'Blondie', title: 'Heart of Glass', sample_rate: 44100, cover_url: null });
+  });
+
+  test('should select the configured mount and prefer its artist field', () => {
+    const track = normalizeIcecast(ICECAST_PAYLOAD, { mount: '/lossless.flac' });
+
+    expect(track).toMatchObject({ artist: 'Kate Bush', title: 'Cloudbusting', sample_rate: 48000 });
+  });
+
+  test('should accept a single source object', () => {
+    const track = normalizeIcecast({ icestats: { source: ICECAST_PAYLOAD.icestats.source[1] } });
+
+    expect(track.artist).toBe('Kate Bush');
+  });
+
+  test('should fail when no source is mounted', () => {
+    expect(() => normalizeIcecast({ icestats: {} })).toThrow('no active sources');
+  });
+});
+
+describe('normalizeShoutcast', () => {
+  test('should split the song title', () => {
+    const track = normalizeShoutcast(SHOUTCAST_PAYLOAD, { coverUrl: 'https://cdn.test/cover.jpg' });
+
+    expect(track).toMatchObject({
+      artist: 'New Order',
+      title: 'Age of Consent',
+      sample_rate: 44100,
+      cover_url: 'https://cdn.test/cover.jpg'
+    });
+  });
+
+  test('should fail when the stream is down', () => {
+    expect(() => normalizeShoutcast({ ...SHOUTCAST_PAYLOAD, streamstatus: 0 })).toThrow('offline');
+  });
+});
+
+describe('stream server sources', () => {
+  test('should build recently played from observed track changes', async () => {
+    const payloads = [
+      SHOUTCAST_PAYLOAD,
+      { ...SHOUTCAST_PAYLOAD, songtitle: 'Blondie - Atomic' },
+      { ...SHOUTCAST_PAYLOAD, songtitle: 'Blondie - Atomic' }
+    ];
+    const source = createShoutcastSource({
+      url: 'http://radio.test:8000/stats?sid=1&json=1',
+      fetchImpl: jest.fn(() => jsonResponse(payloads.shift()))
+    });
+
+    expect((await source.fetchTrack()).recently_played).toEqual([]);
+    await source.fetchTrack();
+    const track = await source.fetchTrack();
+
+    expect(track.title).toBe('Atomic');
+    expect(track.recently_played).toEqual([{ artist: 'New Order', title: 'Age of Consent' }]);
+  });
+
+  test('should report upstream HTTP errors', async () => {
+    const source = createIcecastSource({
+      url: 'http://radio.test:8000/status-json.xsl',
+      fetchImpl: jest.fn(() => jsonResponse({}, 503))
+    });
+
+    await expect(source.fetchTrack()).rejects.toThrow('status 503');
+  });
+
+  test('should require a URL', () => {
+    expect(() => createIcecastSource({})).toThrow('METADATA_URL is required');
+  });
+});
+
+describe('createFileSource', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-metadata-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should re-read the file on every fetch', async () => {
+    const filePath = path.join(dir, 'now-playing.json');
+    const source = createFileSource({ path: filePath });
+
+    fs.writeFileSync(filePath, JSON.stringify({ artist: 'Kate Bush', title: 'Hounds of Love (1985)' }));
+    const first = await source.fetchTrack();
+
+    fs.writeFileSync(filePath, JSON.stringify({ artist: 'Kate Bush', title: 'Cloudbusting' }));
+    const second = await source.fetchTrack();
+
+    expect(first).toMatchObject({ title: 'Hounds of Love', year: 1985, recently_played: [] });
+    expect(second.title).toBe('Cloudbusting');
+  });
+});
+
+describe('createMetadataSource', () => {
+  test('should create the adapter for each supported type', () => {
+    const options = { url: 'http://radio.test/status', path: '/tmp/now-playing.json' };
+
+    for (const type of ['metadatav2', 'icecast', 'shoutcast', 'file']) {
+      expect(createMetadataSource(type, options).type).toBe(type);
+    }
+  });
+
+  test('should reject unknown types', () => {
+    expect(() => createMetadataSource('rss')).toThrow('Unknown METADATA_SOURCE');
+  });
+});
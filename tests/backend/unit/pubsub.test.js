@@ -0,0 +1,70 @@
+/**
+ * Unit tests for the pub/sub abstraction layer
+ * Tests createPubSub() and the in-process backend
+ */
+
+const { createPubSub, createMemoryPubSub } = require('../../../pubsub');
+const { flushPubSub } = require('../helpers/pubsub');
+
+describe('createPubSub', () => {
+  test('should default to the in-process backend', () => {
+    const pubsub = createPubSub('memory');
+
+    expect(pubsub.type).toBe('memory');
+  });
+
+  test('should reject unknown backends', () => {
+    expect(() => createPubSub('redis')).toThrow('Unknown PUBSUB_TYPE');
+  });
+});
+
+describe('createMemoryPubSub', () => {
+  let pubsub;
+
+  beforeEach(() => {
+    pubsub = createMemoryPubSub();
+  });
+
+  afterEach(async () => {
+    await pubsub.close();
+  });
+
+  test('should deliver published messages to every subscriber of a channel', async () => {
+    const first = jest.fn();
+    const second = jest.fn();
+    await pubsub.subscribe('ratings', first);
+    await pubsub.subscribe('ratings', second);
+
+    await pubsub.publish('ratings', { song_id: 'song-1', thumbs_up: 3 });
+    await flushPubSub();
+
+    expect(first).toHaveBeenCalledWith({ song_id: 'song-1', thumbs_up: 3 });
+    expect(second).toHaveBeenCalledTimes(1);
+  });
+
+  test('should not deliver messages from other channels', async () => {
+    const handler = jest.fn();
+    await pubsub.subscribe('ratings', handler);
+
+    await pubsub.publish('listeners', { count: 1 });
+    await flushPubSub();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should stop delivering after unsubscribe', async () => {
+    const handler = jest.fn();
+    const unsubscribe = await pubsub.subscribe('ratings', handler);
+
+    unsubscribe();
+    await pubsub.publish('ratings', { song_id: 'song-1' });
+    await flushPubSub();
+
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  test('should reject channel names that are not safe identifiers', async () => {
+    await expect(pubsub.publish('ratings; DROP TABLE x', {})).rejects.toThrow('Invalid pub/sub channel');
+    await expect(pubsub.subscribe('Ratings', jest.fn())).rejects.toThrow('Invalid pub/sub channel');
+  });
+});
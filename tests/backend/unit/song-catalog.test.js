@@ -0,0 +1,60 @@
+/**
+ * Unit tests for song catalog id generation
+ * Tests normalizeKey(), getSongId() and getLegacySongId()
+ */
+
+const {
+  normalizeKey,
+  getSongId,
+  getLegacySongId,
+  isSongId
+} = require('../../../song-catalog');
+
+describe('normalizeKey', () => {
+  test('should case-fold and collapse whitespace', () => {
+    expect(normalizeKey('  Talking   HEADS ')).toBe('talking heads');
+  });
+
+  test('should keep non-ASCII characters', () => {
+    expect(normalizeKey('Björk')).toBe('björk');
+  });
+
+  test('should treat composed and decomposed Unicode as equal', () => {
+    expect(normalizeKey('Jo\u0301ga')).toBe(normalizeKey('J\u00f3ga'));
+  });
+});
+
+describe('getSongId', () => {
+  test('should produce a stable catalog id', () => {
+    const id = getSongId('Björk', 'Jóga');
+
+    expect(isSongId(id)).toBe(true);
+    expect(getSongId('Björk', 'Jóga')).toBe(id);
+  });
+
+  test('should ignore case, spacing and the year suffix', () => {
+    expect(getSongId('Talking Heads', 'This Must Be the Place (1983)'))
+      .toBe(getSongId('talking heads ', 'This  Must Be The Place'));
+  });
+
+  test('should ignore remaster tags and featured guests', () => {
+    expect(getSongId('Daft Punk feat. Pharrell Williams', 'Get Lucky (Radio Edit)'))
+      .toBe(getSongId('Daft Punk', 'Get Lucky'));
+  });
+
+  test('should not collide where legacy ids did', () => {
+    // Both of these produced "Bj_rk-J_ga" as a legacy id
+    expect(getLegacySongId('Björk', 'Jóga')).toBe(getLegacySongId('Bjørk', 'Jøga'));
+    expect(getSongId('Björk', 'Jóga')).not.toBe(getSongId('Bjørk', 'Jøga'));
+  });
+});
+
+describe('getLegacySongId', () => {
+  test('should match the id the player used to build', () => {
+    expect(getLegacySongId('Blondie', 'Call Me (1980)')).toBe('Blondie-Call_Me__1980_');
+  });
+
+  test('should not be mistaken for a catalog id', () => {
+    expect(isSongId(getLegacySongId('Talking Heads', 'Burning Down the House'))).toBe(false);
+  });
+});
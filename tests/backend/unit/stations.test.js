@@ -0,0 +1,97 @@
+/**
+ * Unit tests for the stations registry configuration
+ * Tests STATIONS_FILE parsing, the environment fallback and CSP origins
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  loadStationConfig,
+  normalizeStation,
+  getStreamOrigins,
+  DEFAULT_STATION_ID,
+  DEFAULT_STREAM_URL
+} = require('../../../stations');
+
+describe('loadStationConfig', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'radio-stations-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function writeConfig(stations) {
+    const file = path.join(dir, 'stations.json');
+    fs.writeFileSync(file, JSON.stringify(stations));
+    return file;
+  }
+
+  test('should build the default station from the environment', () => {
+    const [station] = loadStationConfig({ file: undefined, env: { METADATA_SOURCE: 'icecast', METADATA_URL: 'http://radio.test/status-json.xsl' } });
+
+    expect(station).toMatchObject({
+      id: DEFAULT_STATION_ID,
+      name: 'Radio Calico',
+      stream_url: DEFAULT_STREAM_URL,
+      metadata_source: 'icecast',
+      metadata_url: 'http://radio.test/status-json.xsl'
+    });
+  });
+
+  test('should read stations from STATIONS_FILE in order', () => {
+    const file = writeConfig([
+      { id: 'main', stream_url: 'https://a.test/live.m3u8' },
+      { id: 'jazz', name: 'Jazz', stream_url: 'https://b.test/live.m3u8', metadata_source: 'shoutcast' }
+    ]);
+
+    const stations = loadStationConfig({ file });
+
+    expect(stations.map(station => station.id)).toEqual(['main', 'jazz']);
+    expect(stations[0]).toMatchObject({ name: 'main', metadata_source: 'metadatav2', cover_url: null });
+    expect(stations[1].metadata_source).toBe('shoutcast');
+  });
+
+  test('should reject an empty file and duplicate ids', () => {
+    expect(() => loadStationConfig({ file: writeConfig([]) })).toThrow('non-empty JSON array');
+
+    const duplicate = { id: 'main', stream_url: 'https://a.test/live.m3u8' };
+    expect(() => loadStationConfig({ file: writeConfig([duplicate, duplicate]) })).toThrow('more than once');
+  });
+});
+
+describe('normalizeStation', () => {
+  const base = { id: 'main', stream_url: 'https://a.test/live.m3u8' };
+
+  test.each([
+    ['an id with uppercase letters', { ...base, id: 'Main' }, 'id must be'],
+    ['a missing stream URL', { id: 'main' }, 'stream_url'],
+    ['a non-http stream URL', { ...base, stream_url: 'rtmp://a.test/live' }, 'stream_url'],
+    ['a non-hex accent color', { ...base, branding: { accent_color: 'red;}' } }, 'accent_color'],
+    ['a javascript: logo URL', { ...base, branding: { logo_url: 'javascript:alert(1)' } }, 'logo_url']
+  ])('should reject %s', (name, station, message) => {
+    expect(() => normalizeStation(station, 0)).toThrow(message);
+  });
+
+  test('should keep known branding fields only', () => {
+    const station = normalizeStation({ ...base, branding: { tagline: ' Jazz all night ', theme: 'dark' } }, 0);
+
+    expect(station.branding).toEqual({ tagline: 'Jazz all night', logo_url: null, accent_color: null });
+  });
+});
+
+describe('getStreamOrigins', () => {
+  test('should list each stream origin once', () => {
+    const origins = getStreamOrigins([
+      { stream_url: 'https://cdn.test/a/live.m3u8' },
+      { stream_url: 'https://cdn.test/b/live.m3u8' },
+      { stream_url: 'https://other.test:8443/live.m3u8' }
+    ]);
+
+    expect(origins).toEqual(['https://cdn.test', 'https://other.test:8443']);
+  });
+});
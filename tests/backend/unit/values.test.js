@@ -0,0 +1,31 @@
+/**
+ * Unit tests for the shared value conversions
+ * Tests trimming text values and formatting stored timestamps
+ */
+
+const { toText, toIsoString } = require('../../../values');
+
+describe('toText', () => {
+  test('should trim strings and stringify other values', () => {
+    expect(toText('  Radio Calico ')).toBe('Radio Calico');
+    expect(toText(128)).toBe('128');
+  });
+
+  test('should be null for missing or blank values', () => {
+    expect(toText(undefined)).toBeNull();
+    expect(toText(null)).toBeNull();
+    expect(toText('   ')).toBeNull();
+  });
+});
+
+describe('toIsoString', () => {
+  test('should format SQLite strings and PostgreSQL dates as ISO-8601', () => {
+    expect(toIsoString('2026-10-19T12:00:00.000Z')).toBe('2026-10-19T12:00:00.000Z');
+    expect(toIsoString(new Date(Date.UTC(2026, 9, 19, 12)))).toBe('2026-10-19T12:00:00.000Z');
+  });
+
+  test('should keep missing timestamps null', () => {
+    expect(toIsoString(null)).toBeNull();
+    expect(toIsoString(undefined)).toBeNull();
+  });
+});
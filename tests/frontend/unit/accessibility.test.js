@@ -0,0 +1,120 @@
+/* eslint-env browser */
+/**
+ * Frontend unit tests for the accessibility helpers
+ * Tests the keyboard shortcuts, the keys they ignore, the volume
+ * announcement and the live region announcer
+ */
+
+const {
+    getShortcut,
+    describeVolume,
+    createAnnouncer
+} = require('../../../public/accessibility');
+
+// A keydown on an element of the page (document.body by default)
+function keydown(key, { target = document.body, ...init } = {}) {
+    const event = new KeyboardEvent('keydown', { key, bubbles: true, cancelable: true, ...init });
+    target.dispatchEvent(event);
+    return event;
+}
+
+describe('getShortcut', () => {
+    beforeEach(() => {
+        document.body.innerHTML = `
+            <button id="button">Play</button>
+            <input id="input">
+            <div id="editable" contenteditable="true"><span id="inside">x</span></div>
+            <p id="text">text</p>`;
+    });
+
+    test.each([
+        [' ', 'play-pause'],
+        ['m', 'mute'],
+        ['M', 'mute'],
+        ['ArrowUp', 'volume-up'],
+        ['ArrowRight', 'volume-up'],
+        ['ArrowDown', 'volume-down'],
+        ['ArrowLeft', 'volume-down'],
+        ['u', 'rate-up'],
+        ['U', 'rate-up'],
+        ['d', 'rate-down'],
+        ['D', 'rate-down']
+    ])('should map "%s" to %s', (key, shortcut) => {
+        expect(getShortcut(keydown(key, { target: document.getElementById('text') }))).toBe(shortcut);
+    });
+
+    test('should ignore other keys', () => {
+        expect(getShortcut(keydown('x'))).toBeNull();
+        expect(getShortcut(keydown('Enter'))).toBeNull();
+    });
+
+    test('should ignore keys with modifiers', () => {
+        expect(getShortcut(keydown('m', { ctrlKey: true }))).toBeNull();
+        expect(getShortcut(keydown('m', { metaKey: true }))).toBeNull();
+        expect(getShortcut(keydown('m', { altKey: true }))).toBeNull();
+    });
+
+    test('should ignore keys while typing in a form field', () => {
+        expect(getShortcut(keydown('m', { target: document.getElementById('input') }))).toBeNull();
+        expect(getShortcut(keydown(' ', { target: document.getElementById('inside') }))).toBeNull();
+    });
+
+    test('should leave Space to a focused button but keep the other keys', () => {
+        const button = document.getElementById('button');
+
+        expect(getShortcut(keydown(' ', { target: button }))).toBeNull();
+        expect(getShortcut(keydown('ArrowUp', { target: button }))).toBe('volume-up');
+    });
+
+    test('should ignore events already handled', () => {
+        const event = new KeyboardEvent('keydown', { key: 'm', cancelable: true });
+        event.preventDefault();
+
+        expect(getShortcut(event)).toBeNull();
+    });
+});
+
+describe('describeVolume', () => {
+    test('should read the volume as a percentage', () => {
+        expect(describeVolume(45)).toBe('Volume 45%');
+        expect(describeVolume('100')).toBe('Volume 100%');
+    });
+
+    test('should read zero as muted', () => {
+        expect(describeVolume(0)).toBe('Muted');
+        expect(describeVolume('0')).toBe('Muted');
+    });
+});
+
+describe('createAnnouncer', () => {
+    beforeEach(() => {
+        jest.useFakeTimers();
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+    });
+
+    test('should clear the live region before reading the message', () => {
+        const region = document.createElement('div');
+        region.textContent = 'Now playing: Blondie - Atomic';
+        const announce = createAnnouncer(region);
+
+        announce('Now playing: Blondie - Atomic');
+        expect(region.textContent).toBe('');
+
+        jest.advanceTimersByTime(100);
+        expect(region.textContent).toBe('Now playing: Blondie - Atomic');
+    });
+
+    test('should read the latest message', () => {
+        const region = document.createElement('div');
+        const announce = createAnnouncer(region, 50);
+
+        announce('Muted');
+        announce('Volume 5%');
+        jest.advanceTimersByTime(50);
+
+        expect(region.textContent).toBe('Volume 5%');
+    });
+});
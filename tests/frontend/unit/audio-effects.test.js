@@ -0,0 +1,168 @@
+/**
+ * Frontend unit tests for the equalizer and loudness leveling
+ * Tests settings validation, bypass detection and the Web Audio graph
+ * wiring against a fake AudioContext
+ */
+
+const {
+    normalizeSettings,
+    isBypassed,
+    createEffectsChain,
+    EQ_BANDS,
+    EQ_PRESETS
+} = require('../../../public/audio-effects');
+
+// Records the connections between fake Web Audio nodes
+function createFakeContext() {
+    const connections = new Set();
+
+    function createNode(name) {
+        const node = {
+            name,
+            type: null,
+            frequency: { value: 0 },
+            gain: { value: 0 },
+            Q: { value: 0 },
+            threshold: { value: 0 },
+            knee: { value: 0 },
+            ratio: { value: 0 },
+            attack: { value: 0 },
+            release: { value: 0 },
+            fftSize: 0,
+            connect: jest.fn(target => connections.add(`${name}>${target.name}`)),
+            disconnect: jest.fn(() => {
+                connections.forEach(edge => {
+                    if (edge.startsWith(`${name}>`)) connections.delete(edge);
+                });
+            })
+        };
+        return node;
+    }
+
+    let filterCount = 0;
+    return {
+        destination: createNode('destination'),
+        createMediaElementSource: jest.fn(() => createNode('source')),
+        createBiquadFilter: jest.fn(() => createNode(`eq${filterCount++}`)),
+        createDynamicsCompressor: jest.fn(() => createNode('compressor')),
+        createGain: jest.fn(() => createNode('makeup')),
+        createAnalyser: jest.fn(() => createNode('analyser')),
+        connections
+    };
+}
+
+// Path from the source to the destination through the recorded connections
+function signalPath(connections) {
+    const path = ['source'];
+    let current = 'source';
+    while (current !== 'destination') {
+        const edge = [...connections].find(item => item.startsWith(`${current}>`));
+        if (!edge) return path;
+        current = edge.split('>')[1];
+        path.push(current);
+    }
+    return path;
+}
+
+describe('normalizeSettings', () => {
+    test('should default to everything off', () => {
+        expect(normalizeSettings(null)).toEqual({
+            eq_enabled: false,
+            preset: 'flat',
+            gains: EQ_PRESETS.flat,
+            leveling: false
+        });
+    });
+
+    test('should use the preset gains when none are stored', () => {
+        expect(normalizeSettings({ eq_enabled: true, preset: 'bass' }).gains).toEqual(EQ_PRESETS.bass);
+    });
+
+    test('should clamp custom gains to whole dB within ±12', () => {
+        const gains = [20, -20, 2.6, 'x', 0, 0, 0, 0, 0, 0];
+
+        expect(normalizeSettings({ preset: 'custom', gains }).gains).toEqual([12, -12, 3, 0, 0, 0, 0, 0, 0, 0]);
+    });
+
+    test('should reject unknown presets and wrong band counts', () => {
+        const settings = normalizeSettings({ preset: '__proto__', gains: [1, 2, 3] });
+
+        expect(settings.preset).toBe('flat');
+        expect(settings.gains).toEqual(EQ_PRESETS.flat);
+    });
+});
+
+describe('isBypassed', () => {
+    test.each([
+        ['everything off', { eq_enabled: false, gains: EQ_PRESETS.bass, leveling: false }, true],
+        ['a flat equalizer', { eq_enabled: true, gains: EQ_PRESETS.flat, leveling: false }, true],
+        ['an active equalizer', { eq_enabled: true, gains: EQ_PRESETS.bass, leveling: false }, false],
+        ['leveling only', { eq_enabled: false, gains: EQ_PRESETS.flat, leveling: true }, false]
+    ])('%s', (name, settings, expected) => {
+        expect(isBypassed(settings)).toBe(expected);
+    });
+});
+
+describe('createEffectsChain', () => {
+    let context;
+    let chain;
+
+    beforeEach(() => {
+        context = createFakeContext();
+        chain = createEffectsChain(context, {});
+    });
+
+    test('should create one filter per band with shelves at the ends', () => {
+        const filters = context.createBiquadFilter.mock.results.map(result => result.value);
+
+        expect(filters.map(filter => filter.frequency.value)).toEqual(EQ_BANDS);
+        expect(filters[0].type).toBe('lowshelf');
+        expect(filters[5].type).toBe('peaking');
+        expect(filters[9].type).toBe('highshelf');
+    });
+
+    test('should connect the source straight to the output when bypassed', () => {
+        chain.apply(normalizeSettings({ eq_enabled: false, preset: 'bass' }));
+
+        expect(signalPath(context.connections)).toEqual(['source', 'destination']);
+    });
+
+    test('should route through the equalizer and the compressor', () => {
+        chain.apply(normalizeSettings({ eq_enabled: true, preset: 'vocal', leveling: true }));
+
+        const path = signalPath(context.connections);
+        expect(path.slice(0, 2)).toEqual(['source', 'eq0']);
+        expect(path.slice(-4)).toEqual(['eq9', 'compressor', 'makeup', 'destination']);
+        expect(path).toHaveLength(14);
+    });
+
+    test('should apply the band gains and reconnect when settings change', () => {
+        chain.apply(normalizeSettings({ eq_enabled: true, preset: 'bass' }));
+        const filters = context.createBiquadFilter.mock.results.map(result => result.value);
+        expect(filters.map(filter => filter.gain.value)).toEqual(EQ_PRESETS.bass);
+
+        chain.apply(normalizeSettings({ eq_enabled: false, preset: 'bass', leveling: true }));
+        expect(signalPath(context.connections)).toEqual(['source', 'compressor', 'makeup', 'destination']);
+    });
+
+    test('should tap the analyser at the end of the chain while analysing', () => {
+        chain.apply(normalizeSettings(null), { analyse: true });
+        expect(signalPath(context.connections)).toEqual(['source', 'analyser', 'destination']);
+
+        chain.apply(normalizeSettings({ leveling: true }), { analyse: true });
+        expect(signalPath(context.connections)).toEqual(['source', 'compressor', 'makeup', 'analyser', 'destination']);
+
+        chain.apply(normalizeSettings(null));
+        expect(signalPath(context.connections)).toEqual(['source', 'destination']);
+    });
+
+    test('should not rewire the graph when only gains change', () => {
+        chain.apply(normalizeSettings({ eq_enabled: true, preset: 'bass' }));
+        const source = context.createMediaElementSource.mock.results[0].value;
+
+        chain.apply(normalizeSettings({ eq_enabled: true, preset: 'treble' }));
+
+        expect(source.connect).toHaveBeenCalledTimes(1);
+        expect(context.createBiquadFilter.mock.results[9].value.gain.value).toBe(EQ_PRESETS.treble[9]);
+    });
+});
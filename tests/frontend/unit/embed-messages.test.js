@@ -0,0 +1,114 @@
+/**
+ * Frontend unit tests for the embeddable player's messages
+ * Tests the embed options, host origin detection, command parsing and the
+ * postMessage bridge to the host page
+ */
+
+const {
+    parseEmbedOptions,
+    getHostOrigin,
+    parseCommand,
+    createEmbedBridge,
+    MESSAGE_SOURCE
+} = require('../../../public/embed-messages');
+
+describe('parseEmbedOptions', () => {
+    test('should read the station, theme and muted autoplay', () => {
+        expect(parseEmbedOptions('?station=jazz&theme=dark&autoplay=muted')).toEqual({
+            station: 'jazz',
+            theme: 'dark',
+            autoplayMuted: true
+        });
+    });
+
+    test('should default to the light theme without autoplay', () => {
+        expect(parseEmbedOptions('?theme=neon&autoplay=1')).toEqual({
+            station: null,
+            theme: 'light',
+            autoplayMuted: false
+        });
+    });
+});
+
+describe('getHostOrigin', () => {
+    test('should prefer the ancestor origins', () => {
+        expect(getHostOrigin({ ancestorOrigins: ['https://partner.example'], referrer: 'https://other.example/' }))
+            .toBe('https://partner.example');
+    });
+
+    test('should fall back to the referrer origin', () => {
+        expect(getHostOrigin({ referrer: 'https://partner.example/articles/radio?x=1' })).toBe('https://partner.example');
+    });
+
+    test('should be null without either', () => {
+        expect(getHostOrigin({ referrer: '' })).toBeNull();
+        expect(getHostOrigin({ referrer: 'not a url' })).toBeNull();
+    });
+});
+
+describe('parseCommand', () => {
+    test.each(['play', 'pause', 'toggle', 'mute', 'unmute', 'getState'])('should accept %s', (type) => {
+        expect(parseCommand({ type })).toEqual({ type });
+    });
+
+    test('should clamp the volume', () => {
+        expect(parseCommand({ type: 'volume', volume: 0.4 })).toEqual({ type: 'volume', volume: 0.4 });
+        expect(parseCommand({ type: 'volume', volume: 3 })).toEqual({ type: 'volume', volume: 1 });
+        expect(parseCommand({ type: 'volume', volume: 'loud' })).toBeNull();
+    });
+
+    test.each([null, 'play', { type: 'seek' }])('should ignore %p', (data) => {
+        expect(parseCommand(data)).toBeNull();
+    });
+});
+
+describe('createEmbedBridge', () => {
+    const hostOrigin = 'https://partner.example';
+    let host;
+    let handlers;
+
+    beforeEach(() => {
+        host = { postMessage: jest.fn() };
+        handlers = { play: jest.fn(), volume: jest.fn() };
+    });
+
+    test('should run commands from the host page', () => {
+        const bridge = createEmbedBridge({ host, hostOrigin, handlers });
+
+        bridge.handleMessage({ source: host, origin: hostOrigin, data: { type: 'volume', volume: 0.5 } });
+
+        expect(handlers.volume).toHaveBeenCalledWith({ type: 'volume', volume: 0.5 });
+    });
+
+    test.each([
+        ['another origin', { origin: 'https://evil.example' }],
+        ['another window', { source: {} }]
+    ])('should ignore messages from %s', (name, overrides) => {
+        const bridge = createEmbedBridge({ host, hostOrigin, handlers });
+
+        bridge.handleMessage({ source: host, origin: hostOrigin, data: { type: 'play' }, ...overrides });
+
+        expect(handlers.play).not.toHaveBeenCalled();
+    });
+
+    test('should post tagged messages to the host origin only', () => {
+        const bridge = createEmbedBridge({ host, hostOrigin, handlers });
+
+        bridge.send('state', { state: { playing: true } });
+
+        expect(host.postMessage).toHaveBeenCalledWith(
+            { source: MESSAGE_SOURCE, type: 'state', state: { playing: true } },
+            hostOrigin
+        );
+    });
+
+    test('should do nothing when the player is not framed', () => {
+        const bridge = createEmbedBridge({ host: null, hostOrigin: null, handlers });
+
+        bridge.send('ready');
+        bridge.handleMessage({ source: null, origin: 'null', data: { type: 'play' } });
+
+        expect(bridge.connected).toBe(false);
+        expect(handlers.play).not.toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,184 @@
+/**
+ * Frontend unit tests for listening session reporting
+ * Tests registration, session start, heartbeats, restarting a session the
+ * server closed, and ending with fetch or navigator.sendBeacon
+ */
+
+const { createListeningSession, DEFAULT_HEARTBEAT_INTERVAL } = require('../../../public/listening-session');
+
+function jsonResponse(data, status = 200) {
+    return { ok: status < 400, status, json: () => Promise.resolve(data) };
+}
+
+// Let pending promise callbacks run
+async function flush() {
+    for (let i = 0; i < 5; i++) {
+        await Promise.resolve();
+    }
+}
+
+describe('createListeningSession', () => {
+    let fetch;
+    let sendBeacon;
+    let session;
+    let stationId;
+    let nextSessionId;
+
+    function calls(path) {
+        return fetch.mock.calls
+            .filter(([url]) => url === `/api${path}`)
+            .map(([, options]) => JSON.parse(options.body));
+    }
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+        stationId = 'jazz';
+        nextSessionId = 41;
+        fetch = jest.fn(url => {
+            if (url === '/api/sessions/start') {
+                nextSessionId += 1;
+                return Promise.resolve(jsonResponse({ session_id: nextSessionId, heartbeat_interval: 20000 }));
+            }
+            if (url === '/api/sessions/end') {
+                return Promise.resolve(jsonResponse({ message: 'Session ended', duration_minutes: 3 }));
+            }
+            return Promise.resolve(jsonResponse({}));
+        });
+        sendBeacon = jest.fn(() => true);
+        session = createListeningSession({
+            getSessionId: () => 'fp_abc',
+            getStationId: () => stationId,
+            fetch,
+            sendBeacon
+        });
+    });
+
+    afterEach(() => {
+        jest.useRealTimers();
+        console.warn.mockRestore();
+    });
+
+    test('should register the listener once and open a session on the station', async () => {
+        await session.start();
+        await session.end();
+        await session.start();
+
+        expect(calls('/listeners')).toEqual([{ session_id: 'fp_abc' }]);
+        expect(calls('/sessions/start')).toEqual([
+            { session_id: 'fp_abc', station_id: 'jazz' },
+            { session_id: 'fp_abc', station_id: 'jazz' }
+        ]);
+        expect(session.getId()).toBe(43);
+    });
+
+    test('should leave out the station when none is selected', async () => {
+        stationId = null;
+
+        await session.start();
+
+        expect(calls('/sessions/start')).toEqual([{ session_id: 'fp_abc' }]);
+    });
+
+    test('should not open a second session while one is open or opening', async () => {
+        const first = session.start();
+        session.start();
+        await first;
+        await session.start();
+
+        expect(calls('/sessions/start')).toHaveLength(1);
+    });
+
+    test('should send heartbeats at the interval from the server', async () => {
+        await session.start();
+
+        jest.advanceTimersByTime(19999);
+        expect(calls('/sessions/heartbeat')).toHaveLength(0);
+
+        jest.advanceTimersByTime(1);
+        expect(calls('/sessions/heartbeat')).toEqual([
+            { session_id: 'fp_abc', listening_session_id: 42, station_id: 'jazz' }
+        ]);
+    });
+
+    test('should use the default interval when the server sends none', async () => {
+        fetch.mockImplementation(() => Promise.resolve(jsonResponse({ session_id: 7 })));
+
+        await session.start();
+        jest.advanceTimersByTime(DEFAULT_HEARTBEAT_INTERVAL);
+
+        expect(calls('/sessions/heartbeat')).toHaveLength(1);
+    });
+
+    test('should open a new session when the server has closed it', async () => {
+        await session.start();
+        fetch.mockImplementationOnce(() => Promise.resolve(jsonResponse({ error: 'Listening session has ended' }, 410)));
+
+        jest.advanceTimersByTime(20000);
+        await flush();
+
+        expect(calls('/sessions/start')).toHaveLength(2);
+        expect(session.getId()).toBe(43);
+    });
+
+    test('should stop heartbeats and end the session', async () => {
+        await session.start();
+
+        const result = await session.end();
+        jest.advanceTimersByTime(60000);
+
+        expect(calls('/sessions/end')).toEqual([{ session_id: 'fp_abc', listening_session_id: 42 }]);
+        expect(calls('/sessions/heartbeat')).toHaveLength(0);
+        expect(result.duration_minutes).toBe(3);
+        expect(session.getId()).toBeNull();
+    });
+
+    test('should end a session that opens after playback stopped', async () => {
+        const starting = session.start();
+        session.end();
+        await starting;
+        await flush();
+
+        expect(calls('/sessions/end')).toEqual([{ session_id: 'fp_abc', listening_session_id: 42 }]);
+        expect(session.isActive()).toBe(false);
+    });
+
+    test('should end with a beacon when the page goes away', async () => {
+        await session.start();
+
+        await session.end({ beacon: true });
+
+        expect(sendBeacon).toHaveBeenCalledWith('/api/sessions/end', expect.any(Blob));
+        expect(calls('/sessions/end')).toHaveLength(0);
+        const [, blob] = sendBeacon.mock.calls[0];
+        expect(blob.type).toBe('application/json');
+    });
+
+    test('should fall back to a keepalive request when the beacon is refused', async () => {
+        sendBeacon.mockReturnValue(false);
+        await session.start();
+
+        await session.end({ beacon: true });
+
+        const [, options] = fetch.mock.calls.find(([url]) => url === '/api/sessions/end');
+        expect(options.keepalive).toBe(true);
+    });
+
+    test('should not end a session that was never opened', async () => {
+        await expect(session.end({ beacon: true })).resolves.toBeNull();
+
+        expect(sendBeacon).not.toHaveBeenCalled();
+        expect(fetch).not.toHaveBeenCalled();
+    });
+
+    test('should retry registration after a failed start', async () => {
+        fetch.mockImplementationOnce(() => Promise.resolve(jsonResponse({ error: 'Too many submissions' }, 429)));
+
+        await session.start();
+        expect(session.getId()).toBeNull();
+
+        await session.start();
+        expect(calls('/listeners')).toHaveLength(2);
+        expect(session.getId()).toBe(42);
+    });
+});
@@ -0,0 +1,124 @@
+/**
+ * Frontend unit tests for the Media Session helpers
+ * Tests lock screen artwork and metadata, the playback state and media
+ * key handlers, with and without Media Session support
+ */
+
+const {
+    getArtwork,
+    setMetadata,
+    setPlaybackState,
+    setActionHandlers,
+    ARTWORK_SIZES
+} = require('../../../public/media-controls');
+
+// Stand-in for navigator.mediaSession, rejecting the actions it is given
+function createMediaSession(unsupported = []) {
+    return {
+        metadata: null,
+        playbackState: 'none',
+        handlers: {},
+        setActionHandler(action, handler) {
+            if (unsupported.includes(action)) {
+                throw new TypeError(`The provided value '${action}' is not a valid enum value`);
+            }
+            this.handlers[action] = handler;
+        }
+    };
+}
+
+class FakeMediaMetadata {
+    constructor(init) {
+        Object.assign(this, init);
+    }
+}
+
+const getArtUrl = (songId, size, format) => `/api/art/${songId}?size=${size}&format=${format}`;
+
+describe('getArtwork', () => {
+    test('should offer the catalog art in every size', () => {
+        const artwork = getArtwork({ song_id: 's_1', cover_url: 'https://example.com/cover.jpg' }, getArtUrl);
+
+        expect(artwork).toHaveLength(ARTWORK_SIZES.length);
+        expect(artwork[0]).toEqual({ src: '/api/art/s_1?size=96&format=webp', sizes: '96x96', type: 'image/webp' });
+    });
+
+    test('should fall back to the upstream cover without a song id', () => {
+        expect(getArtwork({ cover_url: 'https://example.com/cover.jpg' }, getArtUrl)).toEqual([
+            { src: 'https://example.com/cover.jpg' }
+        ]);
+    });
+
+    test('should have no artwork without either', () => {
+        expect(getArtwork({}, getArtUrl)).toEqual([]);
+    });
+});
+
+describe('setMetadata', () => {
+    test('should show the track in the system media controls', () => {
+        const mediaSession = createMediaSession();
+
+        const shown = setMetadata(mediaSession, { title: 'Atomic', artist: 'Blondie', album: 'Eat to the Beat' }, FakeMediaMetadata);
+
+        expect(shown).toBe(true);
+        expect(mediaSession.metadata).toBeInstanceOf(FakeMediaMetadata);
+        expect(mediaSession.metadata).toMatchObject({ title: 'Atomic', artist: 'Blondie', album: 'Eat to the Beat', artwork: [] });
+    });
+
+    test('should do nothing without Media Session support', () => {
+        expect(setMetadata(undefined, { title: 'Atomic' }, FakeMediaMetadata)).toBe(false);
+        expect(setMetadata(createMediaSession(), { title: 'Atomic' }, undefined)).toBe(false);
+    });
+});
+
+describe('setPlaybackState', () => {
+    test('should report playing and paused', () => {
+        const mediaSession = createMediaSession();
+
+        setPlaybackState(mediaSession, true);
+        expect(mediaSession.playbackState).toBe('playing');
+
+        setPlaybackState(mediaSession, false);
+        expect(mediaSession.playbackState).toBe('paused');
+    });
+
+    test('should do nothing without Media Session support', () => {
+        expect(() => setPlaybackState(undefined, true)).not.toThrow();
+    });
+});
+
+describe('setActionHandlers', () => {
+    beforeEach(() => {
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    test('should route media keys to the handlers', () => {
+        const mediaSession = createMediaSession();
+        const play = jest.fn();
+        const pause = jest.fn();
+
+        const actions = setActionHandlers(mediaSession, { play, pause });
+        mediaSession.handlers.play();
+
+        expect(actions).toEqual(['play', 'pause']);
+        expect(play).toHaveBeenCalled();
+        expect(pause).not.toHaveBeenCalled();
+    });
+
+    test('should skip actions the browser does not know', () => {
+        const mediaSession = createMediaSession(['stop']);
+
+        const actions = setActionHandlers(mediaSession, { play: jest.fn(), stop: jest.fn(), seekbackward: jest.fn() });
+
+        expect(actions).toEqual(['play', 'seekbackward']);
+        expect(console.warn).toHaveBeenCalledWith('Media session action "stop" not supported');
+    });
+
+    test('should do nothing without Media Session support', () => {
+        expect(setActionHandlers(undefined, { play: jest.fn() })).toEqual([]);
+    });
+});
@@ -0,0 +1,140 @@
+/**
+ * Frontend unit tests for the offline snapshot
+ * Tests creating, saving and loading the last track and recently played
+ * list shown on the offline screen, and the age label
+ */
+
+const {
+    createSnapshot,
+    saveSnapshot,
+    loadSnapshot,
+    formatSnapshotAge,
+    STORAGE_KEY
+} = require('../../../public/offline-snapshot');
+
+const MINUTE = 60000;
+
+// In-memory stand-in for localStorage
+function createStorage() {
+    const items = new Map();
+    return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value))
+    };
+}
+
+describe('Offline Snapshot', () => {
+    let storage;
+
+    beforeEach(() => {
+        storage = createStorage();
+        jest.spyOn(console, 'warn').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        console.warn.mockRestore();
+    });
+
+    describe('createSnapshot', () => {
+        test('should keep the track as displayed and the station', () => {
+            const track = {
+                artist: 'Miles Davis',
+                title: 'So What',
+                album: 'Kind of Blue',
+                bit_depth: 16,
+                album_art: '/api/art/1',
+                recently_played: [{ artist: 'Nina Simone', title: 'Sinnerman', album: 'Pastel Blues', played_at: 1 }]
+            };
+
+            const snapshot = createSnapshot(track, { id: 'jazz', name: 'Calico Jazz', stream_url: 'x' }, 1000);
+
+            expect(snapshot).toEqual({
+                station: { id: 'jazz', name: 'Calico Jazz' },
+                track: { artist: 'Miles Davis', title: 'So What', album: 'Kind of Blue' },
+                recently_played: [{ artist: 'Nina Simone', title: 'Sinnerman', album: 'Pastel Blues' }],
+                saved_at: 1000
+            });
+        });
+
+        test('should keep at most ten recent tracks and skip empty entries', () => {
+            const recent = Array.from({ length: 12 }, (_, i) => ({ artist: `Artist ${i}`, title: `Song ${i}` }));
+
+            const snapshot = createSnapshot({ artist: 'A', title: 'B', recently_played: [{}, null, ...recent] }, null);
+
+            expect(snapshot.station).toBeNull();
+            expect(snapshot.recently_played).toHaveLength(10);
+            expect(snapshot.recently_played[0].artist).toBe('Artist 0');
+        });
+    });
+
+    describe('saveSnapshot / loadSnapshot', () => {
+        test('should round-trip through storage', () => {
+            const snapshot = createSnapshot({ artist: 'A', title: 'B', album: 'C' }, { id: 'main', name: 'Radio Calico' }, 5000);
+
+            expect(saveSnapshot(storage, snapshot)).toBe(true);
+
+            expect(loadSnapshot(storage)).toEqual(snapshot);
+        });
+
+        test('should return null when nothing was saved', () => {
+            expect(loadSnapshot(storage)).toBeNull();
+        });
+
+        test('should return null for unreadable or malformed data', () => {
+            storage.setItem(STORAGE_KEY, '{not json');
+            expect(loadSnapshot(storage)).toBeNull();
+
+            storage.setItem(STORAGE_KEY, JSON.stringify({ track: { artist: 'A' } }));
+            expect(loadSnapshot(storage)).toBeNull();
+        });
+
+        test('should default a missing recently played list', () => {
+            storage.setItem(STORAGE_KEY, JSON.stringify({ track: { artist: 'A', title: 'B' }, saved_at: 1 }));
+
+            expect(loadSnapshot(storage).recently_played).toEqual([]);
+        });
+
+        test('should skip malformed recently played entries', () => {
+            storage.setItem(STORAGE_KEY, JSON.stringify({
+                track: { artist: 'A', title: 'B' },
+                recently_played: [null, 'Sinnerman', { artist: 'Nina Simone', title: 'Sinnerman' }],
+                saved_at: 1
+            }));
+
+            expect(loadSnapshot(storage).recently_played).toEqual([
+                { artist: 'Nina Simone', title: 'Sinnerman', album: '' }
+            ]);
+        });
+
+        test('should warn and carry on when storage is unavailable', () => {
+            const unavailable = {
+                setItem: () => { throw new Error('QuotaExceededError'); },
+                getItem: () => { throw new Error('SecurityError'); }
+            };
+
+            expect(saveSnapshot(unavailable, createSnapshot({ artist: 'A' }, null))).toBe(false);
+            expect(console.warn).toHaveBeenCalled();
+            expect(loadSnapshot(unavailable)).toBeNull();
+        });
+    });
+
+    describe('formatSnapshotAge', () => {
+        const now = Date.UTC(2026, 9, 19, 12, 0, 0);
+
+        test.each([
+            [0, 'just now'],
+            [30 * 1000, 'just now'],
+            [MINUTE, '1 minute ago'],
+            [5 * MINUTE, '5 minutes ago'],
+            [60 * MINUTE, '1 hour ago'],
+            [150 * MINUTE, '2 hours ago'],
+            [3 * 1440 * MINUTE, '3 days ago']
+        ])('should describe %i ms as "%s"', (age, expected) => {
+            expect(formatSnapshotAge(now - age, now)).toBe(expected);
+        });
+
+        test('should treat a future time as just now', () => {
+            expect(formatSnapshotAge(now + MINUTE, now)).toBe('just now');
+        });
+    });
+});
@@ -0,0 +1,168 @@
+/**
+ * Frontend unit tests for the playback supervisor
+ * Tests the state machine, backoff with jitter, stall detection, online
+ * recovery and transition events, using fake timers
+ */
+
+const {
+    createPlaybackSupervisor,
+    getBackoffDelay,
+    DEFAULTS
+} = require('../../../public/playback-supervisor');
+
+describe('getBackoffDelay', () => {
+    test.each([
+        [1, 0, 500],
+        [1, 1, 1000],
+        [3, 0.5, 3000],
+        [10, 1, 30000],
+        [10, 0, 15000]
+    ])('attempt %i with jitter %d', (attempt, jitter, expected) => {
+        expect(getBackoffDelay(attempt, DEFAULTS, () => jitter)).toBe(expected);
+    });
+});
+
+describe('createPlaybackSupervisor', () => {
+    let currentTime;
+    let paused;
+    let recover;
+    let supervisor;
+    let transitions;
+
+    beforeEach(() => {
+        jest.useFakeTimers();
+        currentTime = 0;
+        paused = false;
+        recover = jest.fn();
+        transitions = [];
+        supervisor = createPlaybackSupervisor({
+            recover,
+            getCurrentTime: () => currentTime,
+            isPaused: () => paused,
+            random: () => 1
+        });
+        supervisor.on('transition', event => transitions.push(`${event.from}>${event.to}`));
+    });
+
+    afterEach(() => {
+        supervisor.stop();
+        jest.useRealTimers();
+    });
+
+    test('should go from connecting to playing', () => {
+        supervisor.start();
+        supervisor.playing();
+
+        expect(supervisor.getState()).toBe('playing');
+        expect(transitions).toEqual(['idle>connecting', 'connecting>playing']);
+    });
+
+    test('should retry fatal errors after an increasing delay', () => {
+        supervisor.start();
+        supervisor.fail('network');
+
+        expect(supervisor.getState()).toBe('recovering');
+        jest.advanceTimersByTime(999);
+        expect(recover).not.toHaveBeenCalled();
+        jest.advanceTimersByTime(1);
+        expect(recover).toHaveBeenCalledWith({ attempt: 1, reason: 'network' });
+        expect(supervisor.getState()).toBe('connecting');
+
+        supervisor.fail('network');
+        jest.advanceTimersByTime(2000);
+        expect(recover).toHaveBeenLastCalledWith({ attempt: 2, reason: 'network' });
+    });
+
+    test('should count down to the next attempt', () => {
+        const countdown = [];
+        supervisor.on('countdown', event => countdown.push(event.seconds));
+
+        supervisor.start();
+        supervisor.fail('network');
+        supervisor.fail('network'); // Ignored while already recovering
+        jest.advanceTimersByTime(1000);
+
+        expect(countdown).toEqual([1, 0]);
+    });
+
+    test('should reset the attempts once playing again', () => {
+        supervisor.start();
+        supervisor.fail('network');
+        jest.advanceTimersByTime(1000);
+        supervisor.playing();
+
+        expect(supervisor.getAttempt()).toBe(0);
+    });
+
+    test('should fail after the last attempt and recover when back online', () => {
+        supervisor.start();
+        for (let i = 0; i < DEFAULTS.maxAttempts; i++) {
+            supervisor.fail('network');
+            jest.advanceTimersByTime(DEFAULTS.maxDelay);
+        }
+        supervisor.fail('network');
+
+        expect(supervisor.getState()).toBe('failed');
+        expect(recover).toHaveBeenCalledTimes(DEFAULTS.maxAttempts);
+
+        supervisor.online();
+
+        expect(supervisor.getState()).toBe('connecting');
+        expect(recover).toHaveBeenLastCalledWith({ attempt: 0, reason: 'network' });
+    });
+
+    test('should treat a load that never starts as a failure', () => {
+        supervisor.start();
+        jest.advanceTimersByTime(DEFAULTS.connectTimeout);
+
+        expect(supervisor.getState()).toBe('recovering');
+        expect(transitions).toContain('connecting>recovering');
+    });
+
+    test('should detect stalls and recover from them', () => {
+        supervisor.start();
+        supervisor.playing();
+
+        jest.advanceTimersByTime(DEFAULTS.stallTimeout);
+        expect(supervisor.getState()).toBe('stalled');
+
+        currentTime = 1;
+        jest.advanceTimersByTime(DEFAULTS.checkInterval);
+        expect(supervisor.getState()).toBe('playing');
+
+        jest.advanceTimersByTime(DEFAULTS.stallTimeout * 2);
+        expect(supervisor.getState()).toBe('recovering');
+        expect(transitions.slice(-2)).toEqual(['playing>stalled', 'stalled>recovering']);
+    });
+
+    test('should not mistake a system pause for a stall', () => {
+        supervisor.start();
+        supervisor.playing();
+        paused = true;
+
+        jest.advanceTimersByTime(DEFAULTS.stallTimeout * 3);
+
+        expect(supervisor.getState()).toBe('playing');
+    });
+
+    test('should stop supervising when stopped', () => {
+        supervisor.start();
+        supervisor.fail('network');
+        supervisor.stop();
+        jest.advanceTimersByTime(DEFAULTS.maxDelay);
+
+        expect(recover).not.toHaveBeenCalled();
+        expect(supervisor.getState()).toBe('idle');
+    });
+
+    test('should describe each transition', () => {
+        const events = [];
+        supervisor.on('transition', event => events.push(event));
+
+        supervisor.start();
+        supervisor.fail('media');
+
+        expect(events[1]).toMatchObject({ from: 'connecting', to: 'recovering', reason: 'media', attempt: 1, delay: 1000 });
+        expect(typeof events[1].at).toBe('number');
+    });
+});
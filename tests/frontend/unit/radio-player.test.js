@@ -0,0 +1,411 @@
+/**
+ * Frontend unit tests for the headless radio player
+ * Tests playback states, stream setup (hls.js and native HLS), volume,
+ * station switching, the now playing stream and ratings, using a fake
+ * media element, hls.js and EventSource
+ */
+
+const { RadioPlayer } = require('../../../public/radio-player');
+
+class FakeMedia extends EventTarget {
+    constructor({ nativeHls = false } = {}) {
+        super();
+        this.nativeHls = nativeHls;
+        this.paused = true;
+        this.src = '';
+        this.currentVolume = 1;
+        this.currentMuted = false;
+        this.playError = null;
+        this.play = jest.fn(() => {
+            if (this.playError) return Promise.reject(this.playError);
+            this.paused = false;
+            return Promise.resolve();
+        });
+        this.pause = jest.fn(() => { this.paused = true; });
+        this.load = jest.fn();
+    }
+
+    get volume() { return this.currentVolume; }
+    set volume(value) {
+        this.currentVolume = value;
+        this.dispatchEvent(new Event('volumechange'));
+    }
+
+    get muted() { return this.currentMuted; }
+    set muted(value) {
+        this.currentMuted = value;
+        this.dispatchEvent(new Event('volumechange'));
+    }
+
+    canPlayType(type) {
+        return this.nativeHls && type === 'application/vnd.apple.mpegurl' ? 'maybe' : '';
+    }
+
+    removeAttribute(name) {
+        if (name === 'src') this.src = '';
+    }
+}
+
+class FakeHls {
+    static isSupported() { return FakeHls.supported; }
+
+    constructor(config) {
+        this.config = config;
+        this.handlers = {};
+        this.loadSource = jest.fn();
+        this.attachMedia = jest.fn();
+        this.destroy = jest.fn();
+        this.recoverMediaError = jest.fn();
+        FakeHls.instances.push(this);
+    }
+
+    on(event, handler) {
+        this.handlers[event] = handler;
+    }
+
+    trigger(event, data) {
+        this.handlers[event](event, data);
+    }
+}
+FakeHls.Events = { ERROR: 'hlsError' };
+
+class FakeEventSource {
+    constructor(url) {
+        this.url = url;
+        this.listeners = {};
+        this.close = jest.fn();
+        FakeEventSource.instances.push(this);
+    }
+
+    addEventListener(type, listener) {
+        this.listeners[type] = listener;
+    }
+
+    dispatch(type, data) {
+        this.listeners[type]({ data });
+    }
+}
+
+const STATION = { id: 'main', name: 'Radio Calico', stream_url: 'https://cdn.test/main.m3u8' };
+const JAZZ = { id: 'jazz', name: 'Calico Jazz', stream_url: 'https://cdn.test/jazz.m3u8' };
+
+function jsonResponse(data, ok = true) {
+    return { ok, json: () => Promise.resolve(data) };
+}
+
+describe('RadioPlayer', () => {
+    let media;
+    let fetch;
+    let player;
+    let states;
+    let errors;
+
+    function createPlayer(options = {}) {
+        player = new RadioPlayer({
+            media,
+            Hls: FakeHls,
+            getSessionId: () => 'session-123',
+            fetch,
+            EventSource: FakeEventSource,
+            ...options
+        });
+        player.on('statechange', event => states.push(`${event.previous}>${event.state}`));
+        player.on('error', event => errors.push(event));
+        player.setStation(STATION);
+        return player;
+    }
+
+    beforeEach(() => {
+        FakeHls.supported = true;
+        FakeHls.instances = [];
+        FakeEventSource.instances = [];
+        media = new FakeMedia();
+        fetch = jest.fn();
+        states = [];
+        errors = [];
+        createPlayer();
+    });
+
+    describe('playback', () => {
+        test('should load the stream with hls.js and play', async () => {
+            const streams = [];
+            player.on('stream', event => streams.push(event));
+
+            await expect(player.play()).resolves.toBe(true);
+
+            const [hls] = FakeHls.instances;
+            expect(hls.loadSource).toHaveBeenCalledWith(STATION.stream_url);
+            expect(hls.attachMedia).toHaveBeenCalledWith(media);
+            expect(streams).toEqual([{ hls }]);
+            expect(player.hls).toBe(hls);
+            expect(states).toEqual(['stopped>loading', 'loading>playing']);
+            expect(player.isPlaying()).toBe(true);
+        });
+
+        test('should use native HLS without hls.js support', async () => {
+            FakeHls.supported = false;
+            media = new FakeMedia({ nativeHls: true });
+            createPlayer();
+
+            await player.play();
+
+            expect(media.src).toBe(STATION.stream_url);
+            expect(player.hls).toBeNull();
+            expect(player.state).toBe('playing');
+        });
+
+        test('should report browsers without HLS', async () => {
+            FakeHls.supported = false;
+
+            await expect(player.play()).resolves.toBe(false);
+
+            expect(errors[0].type).toBe('unsupported');
+            expect(player.state).toBe('stopped');
+        });
+
+        test('should report a blocked play and go back to stopped', async () => {
+            media.playError = Object.assign(new Error('blocked'), { name: 'NotAllowedError' });
+
+            await expect(player.play()).resolves.toBe(false);
+
+            expect(states).toEqual(['stopped>loading', 'loading>stopped']);
+            expect(errors).toEqual([{ type: 'play', error: media.playError }]);
+        });
+
+        test('should not report a play interrupted by pause', async () => {
+            media.play.mockImplementation(() => {
+                player.pause();
+                return Promise.reject(Object.assign(new Error('aborted'), { name: 'AbortError' }));
+            });
+
+            await player.play();
+
+            expect(player.state).toBe('paused');
+            expect(errors).toEqual([]);
+        });
+
+        test('should keep the stream when paused and release it when stopped', async () => {
+            await player.play();
+            player.pause();
+
+            expect(media.pause).toHaveBeenCalled();
+            expect(player.state).toBe('paused');
+            expect(FakeHls.instances[0].destroy).not.toHaveBeenCalled();
+
+            player.stop();
+
+            expect(FakeHls.instances[0].destroy).toHaveBeenCalled();
+            expect(player.hls).toBeNull();
+            expect(player.state).toBe('stopped');
+        });
+
+        test('should follow buffering and the end of the stream', async () => {
+            await player.play();
+
+            media.dispatchEvent(new Event('waiting'));
+            expect(player.state).toBe('loading');
+
+            media.dispatchEvent(new Event('playing'));
+            expect(player.state).toBe('playing');
+
+            media.dispatchEvent(new Event('ended'));
+            expect(player.state).toBe('stopped');
+        });
+
+        test('should report hls.js errors', async () => {
+            await player.play();
+            const data = { type: 'networkError', details: 'manifestLoadError', fatal: true };
+
+            FakeHls.instances[0].trigger(FakeHls.Events.ERROR, data);
+
+            expect(errors).toEqual([{ type: 'hls', data }]);
+        });
+    });
+
+    describe('recover', () => {
+        test('should recover a decode error in place', async () => {
+            await player.play();
+
+            await player.recover({ inPlace: true });
+
+            expect(FakeHls.instances).toHaveLength(1);
+            expect(FakeHls.instances[0].recoverMediaError).toHaveBeenCalled();
+        });
+
+        test('should otherwise rebuild the stream', async () => {
+            await player.play();
+
+            await expect(player.recover()).resolves.toBe(true);
+
+            expect(FakeHls.instances[0].destroy).toHaveBeenCalled();
+            expect(FakeHls.instances).toHaveLength(2);
+            expect(player.hls).toBe(FakeHls.instances[1]);
+        });
+
+        test('should report a recovery that cannot play', async () => {
+            await player.play();
+            media.playError = new Error('still offline');
+
+            await expect(player.recover()).resolves.toBe(false);
+
+            expect(errors).toEqual([{ type: 'recover', error: media.playError }]);
+        });
+    });
+
+    describe('volume', () => {
+        test('should clamp the volume and report changes', () => {
+            const changes = [];
+            player.on('volumechange', event => changes.push(event));
+
+            player.setVolume(1.5);
+            player.setMuted(true);
+
+            expect(media.volume).toBe(1);
+            expect(changes).toEqual([{ volume: 1, muted: false }, { volume: 1, muted: true }]);
+        });
+    });
+
+    describe('setStation', () => {
+        test('should stop playback and move the now playing stream', async () => {
+            const changes = [];
+            player.on('stationchange', station => changes.push(station.id));
+            player.startMetadata();
+            await player.play();
+
+            player.setStation(JAZZ);
+
+            expect(player.state).toBe('stopped');
+            expect(FakeEventSource.instances[0].close).toHaveBeenCalled();
+            expect(FakeEventSource.instances[1].url).toBe('/api/now-playing/stream?station=jazz');
+            expect(changes).toEqual(['jazz']);
+        });
+
+        test('should ignore the current station', () => {
+            const changes = [];
+            player.on('stationchange', station => changes.push(station.id));
+
+            player.setStation({ ...STATION });
+
+            expect(changes).toEqual([]);
+        });
+    });
+
+    describe('now playing', () => {
+        test('should emit track changes and rating totals from the stream', () => {
+            const tracks = [];
+            const ratings = [];
+            player.on('trackchange', track => tracks.push(track));
+            player.on('ratings', counts => ratings.push(counts));
+
+            player.startMetadata();
+            const [stream] = FakeEventSource.instances;
+            stream.dispatch('track', JSON.stringify({ song_id: 'song-1', title: 'Atomic' }));
+            stream.dispatch('ratings', JSON.stringify({ song_id: 'song-1', thumbs_up: 3 }));
+
+            expect(stream.url).toBe('/api/now-playing/stream?station=main');
+            expect(tracks).toEqual([{ song_id: 'song-1', title: 'Atomic' }]);
+            expect(player.track.title).toBe('Atomic');
+            expect(ratings).toEqual([{ song_id: 'song-1', thumbs_up: 3 }]);
+        });
+
+        test('should emit the live listener count', () => {
+            const counts = [];
+            player.on('listeners', event => counts.push(event));
+
+            player.startMetadata();
+            FakeEventSource.instances[0].dispatch('listeners', JSON.stringify({ station_id: 'main', listening: 12, total: 20 }));
+
+            expect(counts).toEqual([{ station_id: 'main', listening: 12, total: 20 }]);
+        });
+
+        test('should report malformed events', () => {
+            player.startMetadata();
+
+            FakeEventSource.instances[0].dispatch('track', '{');
+
+            expect(errors[0].type).toBe('metadata');
+        });
+
+        test('should fetch the current track without EventSource', async () => {
+            jest.spyOn(console, 'warn').mockImplementation(() => {});
+            fetch.mockResolvedValue(jsonResponse({ song_id: 'song-1', title: 'Atomic' }));
+            createPlayer({ EventSource: undefined });
+            const tracks = [];
+            player.on('trackchange', track => tracks.push(track));
+
+            player.startMetadata();
+            await new Promise(resolve => setTimeout(resolve, 0));
+
+            expect(fetch).toHaveBeenCalledWith('/api/now-playing?station=main');
+            expect(tracks).toHaveLength(1);
+            console.warn.mockRestore();
+        });
+
+        test('should not follow a station after stopMetadata', () => {
+            player.startMetadata();
+            player.stopMetadata();
+            player.setStation(JAZZ);
+
+            expect(FakeEventSource.instances).toHaveLength(1);
+        });
+    });
+
+    describe('ratings', () => {
+        test('should fetch the ratings of the current track', async () => {
+            fetch.mockResolvedValue(jsonResponse({ thumbs_up: 2, thumbs_down: 1, user_rating: 1 }));
+            player.startMetadata();
+            FakeEventSource.instances[0].dispatch('track', JSON.stringify({ song_id: 'song 1' }));
+
+            const data = await player.fetchRatings();
+
+            expect(fetch).toHaveBeenCalledWith('/api/ratings/song%201?session_id=session-123&station=main');
+            expect(data.user_rating).toBe(1);
+        });
+
+        test('should rate a song for the station', async () => {
+            fetch.mockResolvedValue(jsonResponse({ thumbs_up: 3, thumbs_down: 1 }));
+
+            const data = await player.rate(1, 'song-1');
+
+            const [url, request] = fetch.mock.calls[0];
+            expect(url).toBe('/api/ratings');
+            expect(JSON.parse(request.body)).toEqual({ song_id: 'song-1', session_id: 'session-123', rating: 1, station_id: 'main' });
+            expect(data.thumbs_up).toBe(3);
+        });
+
+        test('should report a failed vote', async () => {
+            fetch.mockResolvedValue(jsonResponse({ error: 'Too many requests' }, false));
+
+            await expect(player.rate(-1, 'song-1')).resolves.toBeNull();
+
+            expect(errors[0].type).toBe('rate');
+        });
+
+        test('should not rate without a song', async () => {
+            await expect(player.rate(1)).resolves.toBeNull();
+            expect(fetch).not.toHaveBeenCalled();
+        });
+    });
+
+    test('should reject unknown events', () => {
+        expect(() => player.on('tracks', () => {})).toThrow('Unknown player event: tracks');
+    });
+
+    test('should describe its state', async () => {
+        await player.play();
+
+        expect(player.getState()).toEqual({ state: 'playing', station: 'main', volume: 1, muted: false, track: null });
+    });
+
+    test('should stop and stop listening when destroyed', async () => {
+        player.startMetadata();
+        await player.play();
+
+        player.destroy();
+
+        expect(player.state).toBe('stopped');
+        expect(FakeEventSource.instances[0].close).toHaveBeenCalled();
+        media.dispatchEvent(new Event('playing'));
+        expect(player.state).toBe('stopped');
+    });
+});
@@ -0,0 +1,78 @@
+/**
+ * Frontend unit tests for the sleep timer and alarm
+ * Tests duration parsing, fades, alarm scheduling and the countdown
+ */
+
+const {
+    parseSleepMinutes,
+    getFadeOutVolume,
+    getFadeInVolume,
+    getNextAlarm,
+    formatCountdown,
+    FADE_OUT_MS,
+    FADE_IN_MS
+} = require('../../../public/sleep-timer');
+
+describe('parseSleepMinutes', () => {
+    test.each([
+        ['a preset', '30', 30],
+        ['a custom duration', 45, 45],
+        ['zero', '0', null],
+        ['a fraction', '2.5', null],
+        ['more than 12 hours', '721', null],
+        ['text', 'soon', null],
+        ['empty', '', null]
+    ])('%s', (name, value, expected) => {
+        expect(parseSleepMinutes(value)).toBe(expected);
+    });
+});
+
+describe('getFadeOutVolume', () => {
+    test('should keep the volume until the fade starts', () => {
+        expect(getFadeOutVolume(0.8, 10 * 60 * 1000)).toBe(0.8);
+        expect(getFadeOutVolume(0.8, FADE_OUT_MS)).toBe(0.8);
+    });
+
+    test('should fade linearly to silence', () => {
+        expect(getFadeOutVolume(0.8, FADE_OUT_MS / 2)).toBeCloseTo(0.4);
+        expect(getFadeOutVolume(0.8, 0)).toBe(0);
+        expect(getFadeOutVolume(0.8, -500)).toBe(0);
+    });
+});
+
+describe('getFadeInVolume', () => {
+    test('should rise from silence to the listener volume', () => {
+        expect(getFadeInVolume(0.6, 0)).toBe(0);
+        expect(getFadeInVolume(0.6, FADE_IN_MS / 3)).toBeCloseTo(0.2);
+        expect(getFadeInVolume(0.6, FADE_IN_MS * 2)).toBe(0.6);
+    });
+});
+
+describe('getNextAlarm', () => {
+    const now = new Date(2026, 9, 19, 22, 15, 30);
+
+    test('should ring later today when the time is still ahead', () => {
+        expect(getNextAlarm('23:00', now)).toEqual(new Date(2026, 9, 19, 23, 0, 0));
+    });
+
+    test('should ring tomorrow when the time has passed', () => {
+        expect(getNextAlarm('07:30', now)).toEqual(new Date(2026, 9, 20, 7, 30, 0));
+        expect(getNextAlarm('22:15', now)).toEqual(new Date(2026, 9, 20, 22, 15, 0));
+    });
+
+    test.each(['', '7:30', '24:00', '12:60', undefined])('should reject %p', (time) => {
+        expect(getNextAlarm(time, now)).toBeNull();
+    });
+});
+
+describe('formatCountdown', () => {
+    test.each([
+        [29 * 60 * 1000 + 59 * 1000, '29:59'],
+        [65 * 60 * 1000 + 3 * 1000, '1:05:03'],
+        [1500, '0:02'],
+        [0, '0:00'],
+        [-1000, '0:00']
+    ])('%i ms', (ms, expected) => {
+        expect(formatCountdown(ms)).toBe(expected);
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Frontend unit tests for the stream quality display
+ * Tests codec naming, manifest parsing, init segment sample rates,
+ * quality tiers and the data usage meter
+ */
+
+const {
+    describeCodec,
+    parseMasterPlaylist,
+    getLevelQuality,
+    summarizeVariants,
+    readSampleRate,
+    formatStreamQuality,
+    getQualityTiers,
+    isChoiceAvailable,
+    getLevelSelection,
+    formatDataUsage
+} = require('../../../public/stream-quality');
+
+// Minimal init segment: moov > trak > mdia > mdhd with the given timescale
+function buildInitSegment(timescale, version = 0) {
+    const mdhdSize = version === 1 ? 44 : 32;
+    const bytes = new Uint8Array(mdhdSize + 8);
+    const view = new DataView(bytes.buffer);
+
+    view.setUint32(0, bytes.length);
+    bytes.set([0x6d, 0x64, 0x69, 0x61], 4); // 'mdia'
+    view.setUint32(8, mdhdSize);
+    bytes.set([0x6d, 0x64, 0x68, 0x64], 12); // 'mdhd'
+    bytes[16] = version;
+    view.setUint32(version === 1 ? 36 : 28, timescale);
+
+    return bytes;
+}
+
+function streamInf(...attributes) {
+    return `#EXT-X-STREAM-INF:${attributes.join(',')}`;
+}
+
+describe('describeCodec', () => {
+    test.each([
+        ['FLAC', 'fLaC', 'FLAC'],
+        ['AAC-LC', 'mp4a.40.2', 'AAC-LC'],
+        ['HE-AAC', 'mp4a.40.5', 'HE-AAC'],
+        ['MP3 in MPEG-TS', 'mp4a.40.34', 'MP3'],
+        ['Opus', 'opus', 'Opus'],
+        ['audio after video', 'avc1.64001f,mp4a.40.2', 'AAC-LC'],
+        ['unknown codec', 'vorbis', 'vorbis'],
+        ['missing', undefined, null]
+    ])('%s', (name, input, expected) => {
+        expect(describeCodec(input)).toBe(expected);
+    });
+});
+
+describe('parseMasterPlaylist', () => {
+    test('should read bandwidth, codecs and sample rate of each variant', () => {
+        const playlist = [
+            '#EXTM3U',
+            streamInf('BANDWIDTH=1500000', 'AVERAGE-BANDWIDTH=1100000', 'CODECS="fLaC"', 'SAMPLE-RATE=48000'),
+            'lossless/index.m3u8',
+            streamInf('BANDWIDTH=192000', 'CODECS="mp4a.40.2"'),
+            'aac/index.m3u8'
+        ].join('\n');
+
+        expect(parseMasterPlaylist(playlist)).toEqual([
+            { codec: 'FLAC', bitrate: 1100000, sampleRate: 48000 },
+            { codec: 'AAC-LC', bitrate: 192000, sampleRate: null }
+        ]);
+    });
+
+    test('should return no variants for a media playlist', () => {
+        expect(parseMasterPlaylist('#EXTM3U\n#EXTINF:6.0,\nsegment1.ts')).toEqual([]);
+    });
+});
+
+describe('getLevelQuality', () => {
+    test('should use the hls.js level codec and bitrate', () => {
+        const level = { bitrate: 1411000, audioCodec: 'fLaC', attrs: { BANDWIDTH: '1500000', CODECS: 'fLaC' } };
+
+        expect(getLevelQuality(level)).toEqual({ codec: 'FLAC', bitrate: 1411000, sampleRate: null });
+    });
+
+    test('should fall back to the manifest attributes', () => {
+        const level = { attrs: { BANDWIDTH: '128000', CODECS: 'mp4a.40.2', 'SAMPLE-RATE': '44100' } };
+
+        expect(getLevelQuality(level)).toEqual({ codec: 'AAC-LC', bitrate: 128000, sampleRate: 44100 });
+    });
+});
+
+describe('summarizeVariants', () => {
+    test('should keep only the fields every variant shares', () => {
+        const variants = [
+            { codec: 'FLAC', bitrate: 1100000, sampleRate: 48000 },
+            { codec: 'FLAC', bitrate: 700000, sampleRate: 48000 }
+        ];
+
+        expect(summarizeVariants(variants)).toEqual({ codec: 'FLAC', bitrate: null, sampleRate: 48000 });
+    });
+
+    test('should describe a single variant completely', () => {
+        const variant = { codec: 'AAC-LC', bitrate: 128000, sampleRate: null };
+
+        expect(summarizeVariants([variant])).toEqual(variant);
+    });
+});
+
+describe('readSampleRate', () => {
+    test.each([
+        ['version 0 mdhd', buildInitSegment(48000), 48000],
+        ['version 1 mdhd', buildInitSegment(96000, 1), 96000],
+        ['implausible timescale', buildInitSegment(1000), null],
+        ['no mdhd box', new Uint8Array(16), null],
+        ['missing segment', undefined, null]
+    ])('%s', (name, segment, expected) => {
+        expect(readSampleRate(segment)).toBe(expected);
+    });
+});
+
+describe('formatStreamQuality', () => {
+    test('should show sample rate, codec and bitrate', () => {
+        expect(formatStreamQuality({ codec: 'FLAC', bitrate: 1411000, sampleRate: 48000 }))
+            .toBe('Stream quality: 48.0kHz FLAC · 1411 kbps');
+    });
+
+    test('should skip unknown parts', () => {
+        expect(formatStreamQuality({ codec: 'AAC-LC', bitrate: null, sampleRate: null })).toBe('Stream quality: AAC-LC');
+        expect(formatStreamQuality({})).toBe('Stream quality: HLS');
+    });
+});
+
+describe('quality tiers', () => {
+    // hls.js level order is manifest order, not bitrate order
+    const levels = [
+        { codec: 'AAC-LC', bitrate: 256000 },
+        { codec: 'FLAC', bitrate: 1411000 },
+        { codec: 'AAC-LC', bitrate: 64000 }
+    ];
+
+    test('should map each tier to a level index', () => {
+        expect(getQualityTiers(levels)).toEqual({ lossless: 1, high: 0, low: 2, saver: 2 });
+    });
+
+    test('should leave missing tiers empty', () => {
+        expect(getQualityTiers([{ codec: 'FLAC', bitrate: 1411000 }])).toEqual({ lossless: 0, high: null, low: null, saver: 0 });
+        expect(getQualityTiers([])).toEqual({ lossless: null, high: null, low: null, saver: null });
+    });
+
+    test.each([
+        ['auto', false, true],
+        ['lossless', false, true],
+        ['lossless', true, false],
+        ['high', true, false],
+        ['low', true, true]
+    ])('%s with data saver %s available: %s', (choice, dataSaver, expected) => {
+        expect(isChoiceAvailable(choice, getQualityTiers(levels), dataSaver)).toBe(expected);
+    });
+
+    test('should not offer Low when there is a single lossy level', () => {
+        const tiers = getQualityTiers([{ codec: 'FLAC', bitrate: 1411000 }, { codec: 'AAC-LC', bitrate: 128000 }]);
+
+        expect(isChoiceAvailable('high', tiers, false)).toBe(true);
+        expect(isChoiceAvailable('low', tiers, false)).toBe(false);
+    });
+
+    test('should force the chosen level', () => {
+        expect(getLevelSelection('lossless', getQualityTiers(levels), false)).toEqual({ choice: 'lossless', level: 1, cap: -1 });
+    });
+
+    test('should cap automatic switching in data saver mode', () => {
+        expect(getLevelSelection('auto', getQualityTiers(levels), true)).toEqual({ choice: 'auto', level: -1, cap: 2 });
+    });
+
+    test('should fall back to auto for unavailable or unknown choices', () => {
+        const tiers = getQualityTiers(levels);
+
+        expect(getLevelSelection('lossless', tiers, true)).toEqual({ choice: 'auto', level: -1, cap: 2 });
+        expect(getLevelSelection('ultra', tiers, false)).toEqual({ choice: 'auto', level: -1, cap: -1 });
+    });
+});
+
+describe('formatDataUsage', () => {
+    test.each([
+        [0, null, 'Data used: 0 B'],
+        [512, null, 'Data used: 512 B'],
+        [12400000, null, 'Data used: 12.4 MB'],
+        [3500000000, null, 'Data used: 3.5 GB'],
+        [1000000, 128000, 'Data used: 1.0 MB (~57.6 MB/h)']
+    ])('%i bytes at %s bps', (bytes, bitrate, expected) => {
+        expect(formatDataUsage(bytes, bitrate)).toBe(expected);
+    });
+});
@@ -0,0 +1,123 @@
+/**
+ * Frontend unit tests for time-shifted playback
+ * Tests the live offset, rewind and resume positions within the DVR
+ * window, the audio delay and the delayed now playing timeline
+ */
+
+const {
+    getLiveOffset,
+    formatLiveOffset,
+    getRewindPosition,
+    getResumePosition,
+    getAudioDelay,
+    createTrackTimeline
+} = require('../../../public/time-shift');
+
+describe('getLiveOffset', () => {
+    test.each([
+        ['at the live position', 120, 120, 0],
+        ['within the tolerance', 120, 118, 0],
+        ['behind live', 120, 35.6, 84],
+        ['ahead of the live position', 120, 121, 0],
+        ['before the playlist loads', null, 10, 0]
+    ])('%s', (name, livePosition, currentTime, expected) => {
+        expect(getLiveOffset(livePosition, currentTime)).toBe(expected);
+    });
+});
+
+describe('formatLiveOffset', () => {
+    test.each([
+        [0, 'Live'],
+        [84, '-1:24'],
+        [5, '-0:05']
+    ])('%i seconds', (seconds, expected) => {
+        expect(formatLiveOffset(seconds)).toBe(expected);
+    });
+});
+
+describe('getRewindPosition', () => {
+    test('should go back 30 seconds', () => {
+        expect(getRewindPosition(100, 0)).toBe(70);
+    });
+
+    test('should stop at the start of the DVR window', () => {
+        expect(getRewindPosition(100, 80)).toBe(82);
+    });
+});
+
+describe('getResumePosition', () => {
+    test('should resume where playback was paused', () => {
+        expect(getResumePosition(100, 40)).toBe(100);
+    });
+
+    test('should move up to the window when the paused position has left it', () => {
+        expect(getResumePosition(100, 300)).toBe(302);
+    });
+});
+
+describe('getAudioDelay', () => {
+    const now = Date.UTC(2024, 0, 1, 12, 0, 0);
+
+    test('should use the program date of the audible position', () => {
+        expect(getAudioDelay({ now, playingDate: new Date(now - 14000), latency: 9 })).toBe(14000);
+    });
+
+    test('should accept the program date as a timestamp', () => {
+        expect(getAudioDelay({ now, playingDate: now - 14000, latency: 9 })).toBe(14000);
+    });
+
+    test('should fall back to the measured latency without a program date', () => {
+        expect(getAudioDelay({ now, playingDate: null, latency: 9.5 })).toBe(9500);
+    });
+
+    test.each([
+        ['listener clock behind', now + 60000],
+        ['listener clock ahead', now - 300000],
+        ['invalid date', new Date(NaN)]
+    ])('should ignore the program date with a %s', (name, playingDate) => {
+        expect(getAudioDelay({ now, playingDate, latency: 9 })).toBe(9000);
+    });
+
+    test('should be 0 before anything is measured', () => {
+        expect(getAudioDelay({ now, latency: NaN })).toBe(0);
+    });
+});
+
+describe('createTrackTimeline', () => {
+    const first = { title: 'Atomic' };
+    const second = { title: 'Call Me' };
+
+    test('should return the track that was live at the given time', () => {
+        const timeline = createTrackTimeline();
+        timeline.add(first, 1000);
+        timeline.add(second, 5000);
+
+        expect(timeline.at(4999)).toBe(first);
+        expect(timeline.at(5000)).toBe(second);
+        expect(timeline.at(9000)).toBe(second);
+    });
+
+    test('should fall back to the oldest known track', () => {
+        const timeline = createTrackTimeline();
+        timeline.add(first, 1000);
+
+        expect(timeline.at(0)).toBe(first);
+    });
+
+    test('should keep a bounded history', () => {
+        const timeline = createTrackTimeline(2);
+        timeline.add(first, 1000);
+        timeline.add(second, 2000);
+        timeline.add({ title: 'Rapture' }, 3000);
+
+        expect(timeline.at(0)).toBe(second);
+    });
+
+    test('should be empty after clear', () => {
+        const timeline = createTrackTimeline();
+        timeline.add(first, 1000);
+        timeline.clear();
+
+        expect(timeline.at(2000)).toBeNull();
+    });
+});
@@ -0,0 +1,99 @@
+/**
+ * Frontend unit tests for the shared track metadata normalization
+ * public/track-metadata.js is also required by the server (song ids, history)
+ */
+
+const {
+    decodeEntities,
+    cleanText,
+    parseTitle,
+    parseArtist,
+    normalizeTrack
+} = require('../../../public/track-metadata');
+
+describe('parseTitle', () => {
+    test.each([
+        ['plain title', 'Heart of Glass', { title: 'Heart of Glass', year: null, tags: [], featured: [] }],
+        ['trailing year', 'Call Me (1980)', { title: 'Call Me', year: 1980, tags: [], featured: [] }],
+        ['bracketed year', 'Atomic [1979]', { title: 'Atomic', year: 1979, tags: [], featured: [] }],
+        ['dash remaster', 'Once in a Lifetime - 2005 Remaster', { title: 'Once in a Lifetime', year: null, tags: ['2005 Remaster'], featured: [] }],
+        ['remastered with year', 'Heroes (Remastered 2017)', { title: 'Heroes', year: null, tags: ['Remastered 2017'], featured: [] }],
+        ['radio edit', 'Blue Monday [Radio Edit]', { title: 'Blue Monday', year: null, tags: ['Radio Edit'], featured: [] }],
+        ['mono', 'Waterloo Sunset - Mono', { title: 'Waterloo Sunset', year: null, tags: ['Mono'], featured: [] }],
+        ['featured guest', 'Under Pressure (feat. David Bowie)', { title: 'Under Pressure', year: null, tags: [], featured: ['David Bowie'] }],
+        ['several suffixes', 'Song (feat. Guest) [Remastered 2011] (1983)', { title: 'Song', year: 1983, tags: ['Remastered 2011'], featured: ['Guest'] }],
+        ['version that is a different recording', 'Heart of Glass (Live)', { title: 'Heart of Glass (Live)', year: null, tags: [], featured: [] }],
+        ['dash that is part of the title', 'Love Will Tear Us Apart - Pennine Version', { title: 'Love Will Tear Us Apart - Pennine Version', year: null, tags: [], featured: [] }],
+        ['number that is not a year', 'Song (2)', { title: 'Song (2)', year: null, tags: [], featured: [] }],
+        ['title that is only a year', '(1999)', { title: '(1999)', year: 1999, tags: [], featured: [] }],
+        ['entities and whitespace', '  Don&#39;t   Stop &amp; Go  ', { title: "Don't Stop & Go", year: null, tags: [], featured: [] }],
+        ['missing title', null, { title: null, year: null, tags: [], featured: [] }]
+    ])('%s', (name, input, expected) => {
+        expect(parseTitle(input)).toEqual(expected);
+    });
+});
+
+describe('parseArtist', () => {
+    test.each([
+        ['single artist', 'Talking Heads', { artist: 'Talking Heads', featured: [] }],
+        ['feat.', 'Daft Punk feat. Pharrell Williams', { artist: 'Daft Punk', featured: ['Pharrell Williams'] }],
+        ['ft. with several guests', 'Gorillaz ft. De La Soul, Gruff Rhys', { artist: 'Gorillaz', featured: ['De La Soul', 'Gruff Rhys'] }],
+        ['featuring', 'Santana Featuring Rob Thomas', { artist: 'Santana', featured: ['Rob Thomas'] }],
+        ['bracketed guest', 'Queen (feat. David Bowie)', { artist: 'Queen', featured: ['David Bowie'] }],
+        ['ampersand is kept', 'Simon &amp; Garfunkel', { artist: 'Simon & Garfunkel', featured: [] }],
+        ['name containing "ft"', 'Swift Hearts', { artist: 'Swift Hearts', featured: [] }],
+        ['missing artist', '', { artist: null, featured: [] }]
+    ])('%s', (name, input, expected) => {
+        expect(parseArtist(input)).toEqual(expected);
+    });
+});
+
+describe('decodeEntities', () => {
+    test.each([
+        ['named', 'Rock &amp; Roll', 'Rock & Roll'],
+        ['decimal', 'Caf&#233;', 'Café'],
+        ['hex', 'Caf&#xE9;', 'Café'],
+        ['decoded once', '&amp;lt;', '&lt;'],
+        ['unknown entity', '&bogus;', '&bogus;']
+    ])('%s', (name, input, expected) => {
+        expect(decodeEntities(input)).toBe(expected);
+    });
+});
+
+describe('cleanText', () => {
+    test('should return null for blank values', () => {
+        expect(cleanText('   ')).toBeNull();
+        expect(cleanText(undefined)).toBeNull();
+    });
+});
+
+describe('normalizeTrack', () => {
+    const raw = {
+        artist: 'Kate Bush feat. Peter Gabriel',
+        title: 'Don&#39;t Give Up (2018 Remaster) (1986)',
+        album: ' So ',
+        bit_depth: 24
+    };
+
+    test('should normalize artist, title, album and year', () => {
+        expect(normalizeTrack(raw)).toEqual({
+            artist: 'Kate Bush',
+            title: "Don't Give Up",
+            album: 'So',
+            year: 1986,
+            tags: ['2018 Remaster'],
+            featured_artists: ['Peter Gabriel'],
+            bit_depth: 24
+        });
+    });
+
+    test('should be safe to apply twice', () => {
+        const once = normalizeTrack(raw);
+
+        expect(normalizeTrack(once)).toEqual(once);
+    });
+
+    test('should keep a year supplied separately', () => {
+        expect(normalizeTrack({ title: 'Heroes', year: '1977' }).year).toBe(1977);
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * Frontend unit tests for the spectrum visualizer
+ * Tests bar grouping, waveform points and frame drawing
+ */
+
+const {
+    getBarHeights,
+    getWaveformPoints,
+    drawFrame,
+    BAR_COUNT,
+    COLORS
+} = require('../../../public/visualizer');
+
+function createFakeContext() {
+    const fills = [];
+    const context = {
+        clearRect: jest.fn(),
+        fillRect: jest.fn((...rect) => fills.push({ color: context.fillStyle, rect })),
+        beginPath: jest.fn(),
+        moveTo: jest.fn(),
+        lineTo: jest.fn(),
+        stroke: jest.fn(),
+        fillStyle: null,
+        strokeStyle: null
+    };
+    return { context, fills };
+}
+
+describe('getBarHeights', () => {
+    test('should scale full-level bins to the canvas height', () => {
+        const heights = getBarHeights(new Uint8Array(1024).fill(255), 32, 100);
+
+        expect(heights).toHaveLength(32);
+        heights.forEach(height => expect(height).toBeCloseTo(100));
+    });
+
+    test('should give the low bins to the first bars', () => {
+        const data = new Uint8Array(1024);
+        data.fill(255, 1, 8);
+
+        const heights = getBarHeights(data, 32, 100);
+
+        expect(heights[0]).toBeCloseTo(100);
+        expect(heights[31]).toBe(0);
+    });
+
+    test('should be silent for silence', () => {
+        expect(getBarHeights(new Uint8Array(1024), 8, 100)).toEqual(new Array(8).fill(0));
+    });
+});
+
+describe('getWaveformPoints', () => {
+    test('should spread samples across the width', () => {
+        const points = getWaveformPoints(new Uint8Array([0, 128, 255]), 200, 100);
+
+        expect(points[0]).toEqual([0, 0]);
+        expect(points[1][0]).toBe(100);
+        expect(points[1][1]).toBeCloseTo(50.2, 1);
+        expect(points[2]).toEqual([200, 100]);
+    });
+});
+
+describe('drawFrame', () => {
+    test('should draw a teal bar with a mint cap per band', () => {
+        const { context, fills } = createFakeContext();
+
+        drawFrame(context, 'bars', new Uint8Array(1024).fill(128), 320, 100);
+
+        expect(context.clearRect).toHaveBeenCalledWith(0, 0, 320, 100);
+        expect(fills).toHaveLength(BAR_COUNT * 2);
+        expect(fills[0].color).toBe(COLORS.bar);
+        expect(fills[1].color).toBe(COLORS.cap);
+    });
+
+    test('should stroke the waveform in calico orange', () => {
+        const { context } = createFakeContext();
+
+        drawFrame(context, 'waveform', new Uint8Array(16).fill(128), 320, 100);
+
+        expect(context.strokeStyle).toBe(COLORS.wave);
+        expect(context.moveTo).toHaveBeenCalledTimes(1);
+        expect(context.lineTo).toHaveBeenCalledTimes(15);
+        expect(context.stroke).toHaveBeenCalled();
+    });
+
+    test('should only clear the canvas when off', () => {
+        const { context, fills } = createFakeContext();
+
+        drawFrame(context, 'off', new Uint8Array(16), 320, 100);
+
+        expect(context.clearRect).toHaveBeenCalled();
+        expect(fills).toHaveLength(0);
+    });
+});
@@ -0,0 +1,28 @@
+/**
+ * Value Conversions
+ * Small helpers shared by the modules that read configuration, upstream
+ * metadata and database rows
+ */
+
+/**
+ * Convert a value to a trimmed string, or null when empty
+ */
+function toText(value) {
+  if (value === undefined || value === null) return null;
+  const text = String(value).trim();
+  return text.length > 0 ? text : null;
+}
+
+/**
+ * Timestamps are stored as ISO-8601 UTC strings (SQLite) or TIMESTAMP
+ * (PostgreSQL); always hand them out as ISO-8601
+ */
+function toIsoString(value) {
+  if (value === null || value === undefined) return null;
+  return new Date(value).toISOString();
+}
+
+module.exports = {
+  toText,
+  toIsoString
+};
@@ -1,6 +1,6 @@
 import { defineConfig } from 'vite';
 import { resolve } from 'path';
-import { copyFileSync, existsSync, mkdirSync } from 'fs';
+import { copyFileSync, cpSync, existsSync, mkdirSync } from 'fs';
 
 // Plugin to copy service worker to dist
 function copyServiceWorker() {
@@ -17,10 +17,31 @@ function copyServiceWorker() {
   };
 }
 
+// Plugin to copy the web app manifest and its icons to dist under their
+// own names (the manifest, service worker and installed apps refer to them)
+function copyAppManifest() {
+  return {
+    name: 'copy-app-manifest',
+    closeBundle() {
+      const manifest = resolve(__dirname, 'public/manifest.webmanifest');
+      const icons = resolve(__dirname, 'public/icons');
+      if (existsSync(manifest)) {
+        copyFileSync(manifest, resolve(__dirname, 'dist/manifest.webmanifest'));
+        console.log('✓ Copied manifest.webmanifest to dist/');
+      }
+      if (existsSync(icons)) {
+        mkdirSync(resolve(__dirname, 'dist/icons'), { recursive: true });
+        cpSync(icons, resolve(__dirname, 'dist/icons'), { recursive: true });
+        console.log('✓ Copied icons/ to dist/');
+      }
+    }
+  };
+}
+
 export default defineConfig({
   root: 'public',
   base: './',
-  plugins: [copyServiceWorker()],
+  plugins: [copyServiceWorker(), copyAppManifest()],
   build: {
     outDir: '../dist',
     emptyOutDir: true,
@@ -34,6 +55,7 @@ export default defineConfig({
     rollupOptions: {
       input: {
         main: resolve(__dirname, 'public/index.html'),
+        embed: resolve(__dirname, 'public/embed.html'),
       },
       output: {
         assetFileNames: (assetInfo) => {
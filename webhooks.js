@@ -0,0 +1,325 @@
+/**
+ * Webhooks
+ * Notifies admin-registered endpoints of station events (track changes,
+ * song requests, feedback) with HMAC-SHA256 signed JSON payloads
+ * Failed deliveries are retried with exponential backoff and every
+ * delivery is logged in webhook_deliveries
+ */
+
+const crypto = require('crypto');
+const database = require('./db');
+const { toIsoString } = require('./values');
+
+const WEBHOOK_EVENTS = ['track.changed', 'request.created', 'feedback.created'];
+const DEFAULT_EVENTS = ['track.changed'];
+const PING_EVENT = 'ping';
+const DEFAULT_MAX_ATTEMPTS = 6;
+const DEFAULT_RETRY_DELAY = 5000; // 5s, 10s, 20s, 40s, 80s between attempts
+const REQUEST_TIMEOUT = 10000;
+const DEFAULT_DELIVERY_LIMIT = 50;
+const MAX_DELIVERY_LIMIT = 200;
+
+/**
+ * Signature sent in X-Radio-Signature: HMAC-SHA256 over "<timestamp>.<body>"
+ * Receivers recompute it with their secret and reject stale timestamps
+ */
+function signPayload(secret, timestamp, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+}
+
+/**
+ * Check a signature in constant time (for receivers and tests)
+ */
+function verifySignature(secret, timestamp, body, signature) {
+  const expected = Buffer.from(signPayload(secret, timestamp, body));
+  const provided = Buffer.from(String(signature || ''));
+  return expected.length === provided.length && crypto.timingSafeEqual(expected, provided);
+}
+
+function generateSecret() {
+  return crypto.randomBytes(32).toString('hex');
+}
+
+function formatWebhook(row) {
+  return {
+    id: Number(row.id),
+    url: row.url,
+    events: row.events.split(','),
+    description: row.description || null,
+    created_at: toIsoString(row.created_at)
+  };
+}
+
+function formatDelivery(row) {
+  return {
+    id: row.id,
+    webhook_id: Number(row.webhook_id),
+    event: row.event,
+    status: row.status,
+    attempts: Number(row.attempts),
+    response_status: row.response_status === null ? null : Number(row.response_status),
+    error: row.error || null,
+    payload: JSON.parse(row.payload),
+    created_at: toIsoString(row.created_at),
+    updated_at: toIsoString(row.updated_at),
+    next_attempt_at: toIsoString(row.next_attempt_at)
+  };
+}
+
+/**
+ * Register an endpoint; the secret is only returned here
+ */
+async function createWebhook({ url, events = DEFAULT_EVENTS, description = null, secret = null }) {
+  const webhookSecret = secret || generateSecret();
+  const result = await database.run(`
+    INSERT INTO webhooks (url, secret, events, description)
+    VALUES (?, ?, ?, ?)
+  `, [url, webhookSecret, events.join(','), description]);
+
+  const webhook = await getWebhook(result.lastInsertRowid);
+  return { ...webhook, secret: webhookSecret };
+}
+
+async function getWebhook(id) {
+  const row = await database.get('SELECT * FROM webhooks WHERE id = ?', [id]);
+  return row ? formatWebhook(row) : null;
+}
+
+async function listWebhooks() {
+  const rows = await database.all('SELECT * FROM webhooks ORDER BY id');
+  return rows.map(formatWebhook);
+}
+
+/**
+ * Remove an endpoint and its delivery log
+ */
+async function deleteWebhook(id) {
+  await database.run('DELETE FROM webhook_deliveries WHERE webhook_id = ?', [id]);
+  const result = await database.run('DELETE FROM webhooks WHERE id = ?', [id]);
+  return result.changes > 0;
+}
+
+async function getDelivery(id) {
+  const row = await database.get('SELECT * FROM webhook_deliveries WHERE id = ?', [id]);
+  return row ? formatDelivery(row) : null;
+}
+
+/**
+ * Delivery log for one endpoint, newest first
+ */
+async function listDeliveries(webhookId, { status, limit = DEFAULT_DELIVERY_LIMIT } = {}) {
+  const pageSize = Math.min(Math.max(parseInt(limit, 10) || DEFAULT_DELIVERY_LIMIT, 1), MAX_DELIVERY_LIMIT);
+  const params = [webhookId];
+  let where = 'WHERE webhook_id = ?';
+
+  if (status) {
+    where += ' AND status = ?';
+    params.push(status);
+  }
+
+  const rows = await database.all(`
+    SELECT * FROM webhook_deliveries
+    ${where}
+    ORDER BY created_at DESC, id DESC
+    LIMIT ?
+  `, [...params, pageSize]);
+
+  return rows.map(formatDelivery);
+}
+
+/**
+ * Create a dispatcher that sends events to every subscribed endpoint
+ * Retries are kept in memory and re-scheduled from the delivery log by
+ * resumePending() after a restart. Every attempt is claimed in the log
+ * before it is sent, so server processes that have the same retry
+ * scheduled send it once between them
+ */
+function createWebhookDispatcher({
+  fetchImpl = (...args) => fetch(...args),
+  maxAttempts = DEFAULT_MAX_ATTEMPTS,
+  retryDelayMs = DEFAULT_RETRY_DELAY,
+  timeoutMs = REQUEST_TIMEOUT
+} = {}) {
+  const timers = new Set();
+  let closed = false;
+
+  function schedule(deliveryId, delayMs) {
+    if (closed) return;
+
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      attempt(deliveryId)
+        .catch(error => console.error('⚠️ Webhook delivery failed:', error.message));
+    }, Math.max(delayMs, 0));
+
+    // Don't keep the process alive just for retries
+    if (timer.unref) timer.unref();
+    timers.add(timer);
+  }
+
+  async function post(url, secret, delivery) {
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+
+    const response = await fetchImpl(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'User-Agent': 'RadioCalico-Webhooks/1.0',
+        'X-Radio-Event': delivery.event,
+        'X-Radio-Delivery': delivery.id,
+        'X-Radio-Timestamp': timestamp,
+        'X-Radio-Signature': signPayload(secret, timestamp, delivery.payload)
+      },
+      body: delivery.payload,
+      // A redirect is treated as a failure rather than followed
+      redirect: 'manual',
+      signal: AbortSignal.timeout(timeoutMs)
+    });
+
+    return response.status;
+  }
+
+  /**
+   * Make one delivery attempt and record its outcome
+   * Resolves to null when there is nothing to send: the delivery is done,
+   * not due yet or claimed by another process
+   */
+  async function attempt(deliveryId) {
+    const delivery = await database.get('SELECT * FROM webhook_deliveries WHERE id = ?', [deliveryId]);
+    if (!delivery || delivery.status !== 'pending') return null;
+
+    // Rescheduled by the process that made the last attempt, or claimed by
+    // one that is sending it now: follow the delivery log
+    const dueAt = delivery.next_attempt_at ? new Date(delivery.next_attempt_at).getTime() : 0;
+    if (dueAt > Date.now()) {
+      schedule(deliveryId, dueAt - Date.now());
+      return null;
+    }
+
+    const webhook = await database.get('SELECT * FROM webhooks WHERE id = ?', [delivery.webhook_id]);
+    if (!webhook) return null;
+
+    // Claim the attempt; a process that read the same attempt count loses.
+    // Until the request has had time to finish, other processes leave it be
+    const attempts = Number(delivery.attempts) + 1;
+    const claimedAt = new Date();
+    const claim = await database.run(`
+      UPDATE webhook_deliveries
+      SET attempts = attempts + 1, updated_at = ?, next_attempt_at = ?
+      WHERE id = ? AND status = 'pending' AND attempts = ?
+    `, [claimedAt.toISOString(), toIsoString(claimedAt.getTime() + timeoutMs * 2), deliveryId, delivery.attempts]);
+    if (claim.changes === 0) return null;
+
+    let responseStatus = null;
+    let error = null;
+
+    try {
+      responseStatus = await post(webhook.url, webhook.secret, delivery);
+      if (responseStatus < 200 || responseStatus >= 300) {
+        error = `Endpoint responded with status ${responseStatus}`;
+      }
+    } catch (requestError) {
+      error = requestError.message;
+    }
+
+    const now = new Date();
+    let status = 'success';
+    let nextAttemptAt = null;
+
+    if (error) {
+      if (attempts < maxAttempts) {
+        status = 'pending';
+        nextAttemptAt = new Date(now.getTime() + retryDelayMs * 2 ** (attempts - 1));
+      } else {
+        status = 'failed';
+      }
+    }
+
+    await database.run(`
+      UPDATE webhook_deliveries
+      SET status = ?, attempts = ?, response_status = ?, error = ?, updated_at = ?, next_attempt_at = ?
+      WHERE id = ?
+    `, [status, attempts, responseStatus, error, now.toISOString(), toIsoString(nextAttemptAt), deliveryId]);
+
+    if (nextAttemptAt) {
+      schedule(deliveryId, nextAttemptAt.getTime() - now.getTime());
+    }
+
+    return status;
+  }
+
+  /**
+   * Log a delivery for one endpoint and make the first attempt
+   * Resolves to null when a delivery with the same key already exists
+   */
+  async function deliver(webhook, event, data, key = null) {
+    const id = crypto.randomUUID();
+    const createdAt = new Date().toISOString();
+    const payload = JSON.stringify({ id, event, created_at: createdAt, data });
+
+    const result = await database.run(`
+      INSERT INTO webhook_deliveries (id, webhook_id, event, payload, status, attempts, created_at, updated_at, dedupe_key)
+      VALUES (?, ?, ?, ?, 'pending', 0, ?, ?, ?)
+      ON CONFLICT DO NOTHING
+    `, [id, webhook.id, event, payload, createdAt, createdAt, key]);
+    if (result.changes === 0) return null;
+
+    await attempt(id);
+    return id;
+  }
+
+  /**
+   * Send an event to every endpoint subscribed to it
+   * - key: identifies the occurrence, so server processes that all see it
+   *   (e.g. a track change) send one delivery per endpoint between them
+   */
+  async function dispatch(event, data, { key = null } = {}) {
+    const webhooks = (await listWebhooks()).filter(webhook => webhook.events.includes(event));
+    return Promise.all(webhooks.map(webhook => deliver(webhook, event, data, key)));
+  }
+
+  /**
+   * Send a test event to one endpoint, regardless of its subscriptions
+   */
+  async function ping(webhook) {
+    return deliver(webhook, PING_EVENT, { message: 'Webhook test from Radio Calico' });
+  }
+
+  /**
+   * Re-schedule retries that were pending when the server stopped
+   */
+  async function resumePending() {
+    const pending = await database.all("SELECT id, next_attempt_at FROM webhook_deliveries WHERE status = 'pending'");
+
+    for (const delivery of pending) {
+      const dueAt = delivery.next_attempt_at ? new Date(delivery.next_attempt_at).getTime() : Date.now();
+      schedule(delivery.id, dueAt - Date.now());
+    }
+
+    return pending.length;
+  }
+
+  function close() {
+    closed = true;
+    for (const timer of timers) {
+      clearTimeout(timer);
+    }
+    timers.clear();
+  }
+
+  return { dispatch, ping, attempt, resumePending, close };
+}
+
+module.exports = {
+  createWebhookDispatcher,
+  createWebhook,
+  getWebhook,
+  listWebhooks,
+  deleteWebhook,
+  getDelivery,
+  listDeliveries,
+  signPayload,
+  verifySignature,
+  WEBHOOK_EVENTS,
+  MAX_DELIVERY_LIMIT
+};